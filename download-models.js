@@ -0,0 +1,96 @@
+// Script to download model files for offline / air-gapped hosting
+// Run with: node download-models.js [--runtime] [model ids...]
+//
+// Files land in ./models/<model id>/, which the app loads instead of the
+// Hugging Face CDN (see MODEL_HOSTING_CONFIG in js/constants.js and DOCKER.md).
+// --runtime also fetches the transformers.js build, its ONNX Runtime .wasm
+// files and Three.js into ./models/runtime/, so no code comes from a CDN either.
+// index.html switches its import map to the local Three.js when it finds it.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+// Keep in sync with MODEL_CONFIGS in js/embeddings.js
+const DEFAULT_MODELS = [
+    'Xenova/all-MiniLM-L6-v2',
+    'Xenova/e5-small-v2',
+    'Xenova/bge-small-en-v1.5'
+];
+
+// What transformers.js reads for a quantized feature-extraction pipeline
+const MODEL_FILES = [
+    'config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    'onnx/model_quantized.onnx'
+];
+
+// Must match WORKER_CONFIG.TRANSFORMERS_URL
+const RUNTIME_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/';
+const RUNTIME_FILES = [
+    'transformers.min.js',
+    'ort-wasm.wasm',
+    'ort-wasm-simd.wasm',
+    'ort-wasm-threaded.wasm',
+    'ort-wasm-simd-threaded.wasm'
+];
+
+// Must match the CDN version in index.html's import map. package.json is what
+// index.html checks for; the rest are the Three.js modules the app imports.
+const THREE_URL = 'https://cdn.jsdelivr.net/npm/three@0.160.0/';
+const THREE_FILES = [
+    'package.json',
+    'build/three.module.js',
+    'examples/jsm/controls/OrbitControls.js',
+    'examples/jsm/exporters/GLTFExporter.js',
+    'examples/jsm/utils/TextureUtils.js'
+];
+
+const OUTPUT_DIR = 'models';
+
+async function download(url, destination) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    await mkdir(dirname(destination), { recursive: true });
+    await writeFile(destination, data);
+    console.log(`  ${destination} (${(data.length / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+async function downloadModels() {
+    const args = process.argv.slice(2);
+    const includeRuntime = args.includes('--runtime');
+    const modelIds = args.filter(arg => !arg.startsWith('--'));
+
+    for (const modelId of modelIds.length > 0 ? modelIds : DEFAULT_MODELS) {
+        console.log(`Downloading ${modelId}...`);
+        for (const file of MODEL_FILES) {
+            await download(
+                `https://huggingface.co/${modelId}/resolve/main/${file}`,
+                join(OUTPUT_DIR, modelId, file)
+            );
+        }
+    }
+
+    if (includeRuntime) {
+        console.log('Downloading transformers.js runtime...');
+        for (const file of RUNTIME_FILES) {
+            await download(RUNTIME_URL + file, join(OUTPUT_DIR, 'runtime', file));
+        }
+
+        console.log('Downloading Three.js...');
+        for (const file of THREE_FILES) {
+            await download(THREE_URL + file, join(OUTPUT_DIR, 'runtime', 'three', file));
+        }
+    }
+
+    console.log(`\nDone! Serve ./${OUTPUT_DIR} next to index.html.`);
+}
+
+downloadModels().catch((error) => {
+    console.error('Download failed:', error.message);
+    process.exit(1);
+});
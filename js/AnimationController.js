@@ -5,7 +5,8 @@
  * - Vector mesh animations (emissive, opacity)
  * - Label sprite animations (scale, opacity)
  * - Soft reveal effects
- * - Camera movements
+ * - Position transitions after re-projection
+ * - Camera movements, turntable orbits and keyframe paths
  *
  * Benefits:
  * - Single responsibility: animation only
@@ -14,12 +15,15 @@
  * - Better animation lifecycle management
  */
 
-import { ANIMATION_CONFIG, LABEL_CONFIG } from './constants.js'
+import * as THREE from 'three'
+import { ANIMATION_CONFIG, LABEL_CONFIG, PROJECTION_CONFIG } from './constants.js'
 
 export class AnimationController {
   constructor(stateManager) {
     this.state = stateManager
     this.activeCameraAnimation = null
+    this.cameraAnimationEnd = null // Resolves the running orbit or path when something interrupts it
+    this.pendingTransitions = new Map()
   }
 
   // ========================================================================
@@ -176,6 +180,66 @@ export class AnimationController {
     requestAnimationFrame(animate)
   }
 
+  // ========================================================================
+  // POSITION TRANSITIONS
+  // ========================================================================
+
+  /**
+   * Move an existing arrow and its label from where the arrow currently points
+   * to new coordinates. Arrow geometry is proportional to length apart from
+   * fixed radii, so the group is rotated and stretched along its own axis
+   * instead of rebuilt.
+   * @param {THREE.Group} arrow - Arrow whose userData.baseLength is its built length
+   * @param {THREE.Sprite|null} label - Label whose basePosition follows the tip
+   * @param {Array<number>} toCoords - Target [x, y, z]
+   * @param {number} duration - Animation duration in milliseconds
+   * @returns {Promise<void>} Resolves when the transition completes or is superseded
+   */
+  animateVectorTransition(arrow, label, toCoords, duration = PROJECTION_CONFIG.TRANSITION_DURATION_MS) {
+    const up = new THREE.Vector3(0, 1, 0)
+    const to = new THREE.Vector3(...toCoords)
+    const baseLength = arrow.userData.baseLength || to.length()
+    // Start from the rendered tip so an interrupted transition continues smoothly
+    const from = up.clone().applyQuaternion(arrow.quaternion).multiplyScalar(baseLength * arrow.scale.y)
+    const current = new THREE.Vector3()
+    const direction = new THREE.Vector3()
+    const animationId = `transition-${arrow.uuid}`
+    const startTime = Date.now()
+
+    const apply = (eased) => {
+      current.lerpVectors(from, to, eased)
+      const length = current.length()
+      if (length > 1e-6 && baseLength > 1e-6) {
+        arrow.quaternion.setFromUnitVectors(up, direction.copy(current).divideScalar(length))
+        arrow.scale.set(1, length / baseLength, 1)
+      }
+      if (label?.userData.basePosition) {
+        label.userData.basePosition.copy(current).multiplyScalar(LABEL_CONFIG.POSITION_MULTIPLIER)
+      }
+    }
+
+    return new Promise((resolve) => {
+      const animate = () => {
+        const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1
+        apply(ANIMATION_CONFIG.EASING.IN_OUT_CUBIC(progress))
+
+        if (progress < 1) {
+          this.state.registerAnimation(animationId, requestAnimationFrame(animate))
+        } else {
+          this.state.unregisterAnimation(animationId)
+          this.pendingTransitions.delete(animationId)
+          resolve()
+        }
+      }
+
+      // A newer transition for the same arrow takes over; let the old one's caller continue
+      this.state.cancelAnimation(animationId)
+      this.pendingTransitions.get(animationId)?.()
+      this.pendingTransitions.set(animationId, resolve)
+      this.state.registerAnimation(animationId, requestAnimationFrame(animate))
+    })
+  }
+
   // ========================================================================
   // CAMERA ANIMATIONS
   // ========================================================================
@@ -214,12 +278,92 @@ export class AnimationController {
     }
 
     // Cancel any existing camera animation
+    this.stopCameraAnimation()
+
+    animate()
+  }
+
+  /**
+   * Orbit the camera around the controls' target at a constant speed,
+   * starting from the current view
+   * @param {THREE.Camera} camera - The camera to animate
+   * @param {THREE.OrbitControls} controls - The orbit controls
+   * @param {Object} options - {turns: full revolutions, duration: milliseconds}
+   * @returns {Promise<boolean>} True if the orbit finished, false if it was stopped
+   */
+  orbitCamera(camera, controls, { turns = 1, duration }) {
+    this.stopCameraAnimation()
+
+    const target = controls.target.clone()
+    const offset = camera.position.clone().sub(target)
+    const axis = camera.up.clone().normalize()
+    const startTime = Date.now()
+
+    return new Promise((resolve) => {
+      const animate = () => {
+        const progress = Math.min((Date.now() - startTime) / duration, 1)
+
+        camera.position.copy(offset).applyAxisAngle(axis, progress * turns * Math.PI * 2).add(target)
+        controls.update()
+
+        if (progress < 1) {
+          this.activeCameraAnimation = requestAnimationFrame(animate)
+        } else {
+          this.activeCameraAnimation = null
+          this.cameraAnimationEnd = null
+          resolve(true)
+        }
+      }
+
+      this.cameraAnimationEnd = () => resolve(false)
+      animate()
+    })
+  }
+
+  /**
+   * Jump to the first keyframe, then animate through the rest with
+   * animateCamera(), each over its own duration
+   * @param {THREE.Camera} camera - The camera to animate
+   * @param {THREE.OrbitControls} controls - The orbit controls
+   * @param {Array<Object>} keyframes - [{position: Vector3, target: Vector3, duration: ms to reach it}]
+   * @returns {Promise<boolean>} True if the path finished, false if it was stopped
+   */
+  playCameraPath(camera, controls, keyframes) {
+    this.stopCameraAnimation()
+
+    const [first, ...rest] = keyframes
+    camera.position.copy(first.position)
+    controls.target.copy(first.target)
+    controls.update()
+
+    return new Promise((resolve) => {
+      const next = (index) => {
+        this.cameraAnimationEnd = null
+        if (index >= rest.length) {
+          resolve(true)
+          return
+        }
+        const { position, target, duration } = rest[index]
+        this.animateCamera(camera, controls, position, target, duration, () => next(index + 1))
+        // Registered after animateCamera(), which ends whatever ran before it
+        this.cameraAnimationEnd = () => resolve(false)
+      }
+
+      next(0)
+    })
+  }
+
+  /**
+   * Stop the camera where it is; a running orbit or path resolves with false
+   */
+  stopCameraAnimation() {
     if (this.activeCameraAnimation) {
       cancelAnimationFrame(this.activeCameraAnimation)
       this.activeCameraAnimation = null
     }
-
-    animate()
+    const end = this.cameraAnimationEnd
+    this.cameraAnimationEnd = null
+    end?.()
   }
 
   // ========================================================================
@@ -0,0 +1,138 @@
+/**
+ * HistoryManager - Undo/redo for workspace changes
+ *
+ * Snapshot-based: after every change the caller commits a labeled step, and
+ * the manager keeps the workspace as it was before it. Queued changes commit
+ * from inside their job (see VectorManager.recordChange()). Undo and redo are
+ * queued jobs too and restore snapshots through VectorManager.restoreSession(),
+ * so stepping back over a model switch brings back the old embeddings without
+ * re-embedding anything, and never lands between another job and its step.
+ *
+ * Snapshots share embedding arrays with the live data (they are replaced,
+ * never mutated), so a step costs little more than its coordinates.
+ *
+ * Emits 'historyChanged' on the StateManager with {canUndo, canRedo, undoLabel, redoLabel}.
+ */
+
+import { createSession } from './session.js'
+import { scheduleJob } from './job-scheduler.js'
+import { HISTORY_CONFIG } from './constants.js'
+
+export class HistoryManager {
+  constructor(stateManager, vectorManager) {
+    this.state = stateManager
+    this.vectorManager = vectorManager
+
+    this.undoStack = []
+    this.redoStack = []
+    this.current = this.capture()
+    // busy: an undo/redo is queued or running; restoring: it is running
+    this.busy = false
+    this.restoring = false
+  }
+
+  /**
+   * Snapshot of the workspace (camera excluded; undo doesn't move the view)
+   */
+  capture() {
+    return createSession({
+      camera: null,
+      clusterSettings: this.vectorManager.clusterSettings,
+      colorMode: this.vectorManager.colorMode
+    })
+  }
+
+  /**
+   * Record a completed change
+   * @param {string} label - Shown in the undo/redo button titles, e.g. 'Add "cat"'
+   */
+  commit(label) {
+    // A change made while a snapshot is being restored is overwritten by it
+    if (this.restoring) return
+
+    this.undoStack.push({ label, snapshot: this.current })
+    if (this.undoStack.length > HISTORY_CONFIG.MAX_ENTRIES) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+    this.current = this.capture()
+    this.emitChange()
+  }
+
+  /**
+   * Forget all steps and treat the present workspace as the starting point
+   */
+  reset() {
+    this.undoStack = []
+    this.redoStack = []
+    this.current = this.capture()
+    this.emitChange()
+  }
+
+  canUndo() {
+    return !this.busy && this.undoStack.length > 0
+  }
+
+  canRedo() {
+    return !this.busy && this.redoStack.length > 0
+  }
+
+  /**
+   * Restore the workspace before the last step
+   * @returns {Promise<Object|null>} {label, snapshot} of the undone step, or null if there was none
+   */
+  async undo() {
+    return this.canUndo() ? this.step('Undo', this.undoStack, this.redoStack) : null
+  }
+
+  /**
+   * Re-apply the last undone step
+   * @returns {Promise<Object|null>} {label, snapshot} of the redone step, or null if there was none
+   */
+  async redo() {
+    return this.canRedo() ? this.step('Redo', this.redoStack, this.undoStack) : null
+  }
+
+  /**
+   * Move one step from one stack to the other and restore its snapshot, as a
+   * queued job: steps committed by jobs queued before it are in the stacks by
+   * the time it runs. On failure both stacks are put back, so the history
+   * still matches the scene.
+   */
+  async step(label, from, to) {
+    this.busy = true
+    this.emitChange()
+    try {
+      return await scheduleJob(label, async () => {
+        const entry = from.pop()
+        if (!entry) return null
+        to.push({ label: entry.label, snapshot: this.current })
+
+        this.restoring = true
+        try {
+          await this.vectorManager.restoreSession(entry.snapshot)
+          this.current = entry.snapshot
+          return entry
+        } catch (error) {
+          to.pop()
+          from.push(entry)
+          throw error
+        } finally {
+          this.restoring = false
+        }
+      }, { cancellable: false })
+    } finally {
+      this.busy = false
+      this.emitChange()
+    }
+  }
+
+  emitChange() {
+    this.state.emit('historyChanged', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null
+    })
+  }
+}
@@ -8,6 +8,7 @@
  * - Keyboard shortcuts
  * - Selection state updates
  * - Comparison mode visualization
+ * - Nearest-neighbor panel and lines for a single selection
  *
  * Benefits:
  * - Centralizes interaction logic
@@ -19,7 +20,8 @@
 
 import * as THREE from 'three'
 import { vectors } from './vector-data.js'
-import { cosineSimilarity, euclideanDistance, clamp } from './math-utils.js'
+import { clamp } from './math-utils.js'
+import { compareVectors, nearestNeighbors, similarity } from './similarity.js'
 import {
   createConnectionLine,
   createAngleArc,
@@ -27,8 +29,8 @@ import {
   createComparisonPlate,
   createTipBadge
 } from './three-helpers.js'
-import { updateInfoPanel } from './ui.js'
-import { VECTOR_VISUAL_STATE, COMPARISON_CONFIG, LABEL_CONFIG } from './constants.js'
+import { updateInfoPanel, showStatus } from './ui.js'
+import { VECTOR_VISUAL_STATE, COMPARISON_CONFIG, LABEL_CONFIG, KNN_CONFIG } from './constants.js'
 
 export class InteractionHandler {
   constructor(sceneManager, stateManager, animationController, cameraController, vectorManager) {
@@ -38,6 +40,9 @@ export class InteractionHandler {
     this.cameraController = cameraController
     this.vectorManager = vectorManager
 
+    // Metric for the single-selection neighbor list ('cosine' | 'dot' | 'euclidean')
+    this.neighborMetric = KNN_CONFIG.DEFAULT_METRIC
+
     this.setupEventListeners()
   }
 
@@ -390,13 +395,16 @@ export class InteractionHandler {
     // Create comparison visuals if 2 vectors selected
     if (twoSelected) {
       this.createComparisonVisuals(selectedVectors)
+    } else if (selectedVectors.length === 1) {
+      this.createNeighborVisuals(selectedVectors[0])
     }
 
     // Update info panel
-    updateInfoPanel(selectedVectors)
+    updateInfoPanel(selectedVectors, { neighborMetric: this.neighborMetric })
 
-    // Wire up close button
+    // Wire up close button and neighbor list
     this.setupCloseButton()
+    this.setupNeighborPanel()
   }
 
   updateVectorVisuals(hasSelection, twoSelected) {
@@ -472,8 +480,10 @@ export class InteractionHandler {
   createComparisonVisuals(selectedVectors) {
     const coords1 = vectors[selectedVectors[0]].coords
     const coords2 = vectors[selectedVectors[1]].coords
-    const similarityValue = cosineSimilarity(coords1, coords2)
-    const similarity = Math.abs(similarityValue)
+    const comparison = compareVectors(selectedVectors[0], selectedVectors[1])
+
+    // Color reflects the true (high-dimensional) similarity, not the projected one
+    const pairSimilarity = Math.abs((comparison.original || comparison.projected).cosine)
 
     // Create comparison plate
     const comparisonPlate = createComparisonPlate(coords1, coords2)
@@ -492,11 +502,7 @@ export class InteractionHandler {
     this.animator.softReveal(badge2, 320)
 
     // Determine color based on similarity
-    const color = similarity > COMPARISON_CONFIG.SIMILARITY_HIGH_THRESHOLD
-      ? COMPARISON_CONFIG.COLOR_HIGH_SIMILARITY
-      : similarity > COMPARISON_CONFIG.SIMILARITY_MEDIUM_THRESHOLD
-        ? COMPARISON_CONFIG.COLOR_MEDIUM_SIMILARITY
-        : COMPARISON_CONFIG.COLOR_LOW_SIMILARITY
+    const color = this.getSimilarityColor(pairSimilarity)
 
     // Create connection line
     const line = createConnectionLine(coords1, coords2, color)
@@ -516,8 +522,8 @@ export class InteractionHandler {
     this.sceneManager.add(angleArc)
     this.state.addAnnotation(angleArc)
 
-    // Create distance annotation
-    const euclideanDist = euclideanDistance(coords1, coords2)
+    // Distance annotation labels the drawn (projected) segment
+    const euclideanDist = comparison.projected.euclidean
     const distAnnotation = createDistanceAnnotation(coords1, coords2, euclideanDist, 'euclidean', color)
     this.sceneManager.add(distAnnotation)
     this.state.addAnnotation(distAnnotation)
@@ -526,6 +532,64 @@ export class InteractionHandler {
     this.cameraController.focusOnVectors(coords1, coords2)
   }
 
+  /**
+   * Draw temporary lines from a selected vector to its nearest neighbors
+   * (cleared with the other selection visuals)
+   * @param {string} name - Selected vector
+   */
+  createNeighborVisuals(name) {
+    const origin = vectors[name]?.coords
+    if (!origin) return
+
+    nearestNeighbors(name, { metric: this.neighborMetric, topK: KNN_CONFIG.TOP_K }).forEach(({ name: neighbor }) => {
+      const target = vectors[neighbor]?.coords
+      if (!target) return
+
+      // Whatever the ranking metric, color by cosine like the comparison line
+      const color = this.getSimilarityColor(Math.abs(similarity(name, neighbor, 'cosine')))
+      const line = createConnectionLine(origin, target, color)
+      this.sceneManager.add(line)
+      this.state.addConnectionLine(line)
+    })
+  }
+
+  /**
+   * Line/annotation color for an absolute cosine similarity
+   * @param {number} value - 0..1
+   * @returns {number} Hex color
+   */
+  getSimilarityColor(value) {
+    return value > COMPARISON_CONFIG.SIMILARITY_HIGH_THRESHOLD
+      ? COMPARISON_CONFIG.COLOR_HIGH_SIMILARITY
+      : value > COMPARISON_CONFIG.SIMILARITY_MEDIUM_THRESHOLD
+        ? COMPARISON_CONFIG.COLOR_MEDIUM_SIMILARITY
+        : COMPARISON_CONFIG.COLOR_LOW_SIMILARITY
+  }
+
+  setupNeighborPanel() {
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    document.querySelectorAll('.neighbor-metric-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.neighborMetric = button.dataset.metric
+        this.updateSelection()
+      })
+    })
+
+    document.querySelectorAll('.neighbor-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation()
+        const [selected] = this.state.getSelectedVectors()
+        const neighbor = item.dataset.neighbor
+        if (!selected || !vectors[neighbor]) return
+
+        // Second selection enters the two-vector comparison
+        this.state.selectVector(neighbor)
+        this.updateSelection()
+      })
+    })
+  }
+
   setupCloseButton() {
     const closeBtn = document.getElementById('close-comparison')
     if (closeBtn) {
@@ -563,7 +627,7 @@ export class InteractionHandler {
   }
 
   /**
-   * Delete selected vectors and trigger PCA re-projection
+   * Delete selected vectors (a queued job, see VectorManager.removeVectors())
    */
   async deleteSelectedVectors() {
     const selectedVectors = this.state.getSelectedVectors()
@@ -572,27 +636,7 @@ export class InteractionHandler {
       return
     }
 
-    // Remove all selected vectors
-    selectedVectors.forEach(name => {
-      this.vectorManager.removeVector(name)
-    })
-
-    // Check if we have any vectors left
-    const remainingCount = this.vectorManager.getVectorCount()
-
-    if (remainingCount === 0) {
-      // No vectors left
-      this.clearSelection()
-      updateInfoPanel([])
-      return
-    }
-
-    // Re-project remaining vectors with PCA
-    await this.vectorManager.recreateAllVisualizations()
-
-    // Clear selection and comparison visuals since coordinates changed
-    this.clearSelection()
-    this.cameraController.restoreSavedState()
+    await this.removeVectors(selectedVectors)
   }
 
   /**
@@ -606,26 +650,23 @@ export class InteractionHandler {
       return
     }
 
-    const vectorName = selectedVectors[0]
-
-    // Remove the vector
-    this.vectorManager.removeVector(vectorName)
-
-    // Check if we have any vectors left
-    const remainingCount = this.vectorManager.getVectorCount()
+    await this.removeVectors(selectedVectors)
+  }
 
-    if (remainingCount === 0) {
-      // No vectors left
-      this.clearSelection()
-      updateInfoPanel([])
+  // Waits its turn in the job queue; a queued deletion can be cancelled from the overlay
+  async removeVectors(names) {
+    try {
+      await this.vectorManager.removeVectors(names)
+    } catch (error) {
+      console.error('Error deleting vectors:', error)
+      showStatus(error.message, 'error')
       return
     }
 
-    // Re-project remaining vectors with PCA
-    await this.vectorManager.recreateAllVisualizations()
-
-    // Clear selection since the deleted vector is no longer present
+    // Clear selection and comparison visuals since coordinates changed
     this.clearSelection()
-    this.cameraController.restoreSavedState()
+    if (this.vectorManager.getVectorCount() > 0) {
+      this.cameraController.restoreSavedState()
+    }
   }
 }
@@ -17,7 +17,7 @@
 
 import * as THREE from 'three'
 import { vectors } from './vector-data.js'
-import { cosineSimilarity } from './math-utils.js'
+import { similarity as vectorSimilarity } from './similarity.js'
 import {
   LOD_CONFIG,
   LOD_IMPORTANCE_WEIGHTS,
@@ -46,7 +46,7 @@ import {
  * Notes:
  * - This controller relies on several global or externally-provided configuration
  *   objects and helpers (examples: LOD_CONFIG, VECTOR_CONFIG, LOD_IMPORTANCE_WEIGHTS,
- *   LOD_VISUAL_SCALES, LOD_THRESHOLDS, vectors, cosineSimilarity, THREE).
+ *   LOD_VISUAL_SCALES, LOD_THRESHOLDS, vectors, vectorSimilarity, THREE).
  * - Many behaviors assume label sprites store userData fields (name, baseScale, baseOpacity, etc.).
  *
  * @class
@@ -93,7 +93,7 @@ import {
  *     2. Camera distance: closer vectors score higher.
  *     3. Screen-center proximity: vectors near center score higher.
  *     4. Semantic similarity: when selected vectors exist, vectors similar to any selected
- *        vector are boosted by cosine similarity.
+ *        vector are boosted by cosine similarity in the original embedding space.
  *     5. View angle: vectors oriented toward/away from the camera are favored.
  *
  *   The method expects the vector dataset to be available (vectors[vectorName].coords).
@@ -341,7 +341,7 @@ export class LODController {
       selectedVectors.forEach(selectedName => {
         const selectedData = vectors[selectedName]
         if (selectedData && selectedData.coords) {
-          const similarity = cosineSimilarity(vectorData.coords, selectedData.coords)
+          const similarity = vectorSimilarity(vectorName, selectedName) ?? 0
           maxSimilarity = Math.max(maxSimilarity, Math.abs(similarity))
         }
       })
@@ -451,7 +451,7 @@ export class LODController {
       const vectorData = vectors[name]
       if (!vectorData || !vectorData.coords) return
 
-      const similarity = cosineSimilarity(selectedData.coords, vectorData.coords)
+      const similarity = vectorSimilarity(selectedVector, name) ?? 0
       similarities.push({ name, similarity })
     })
 
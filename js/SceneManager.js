@@ -45,6 +45,7 @@ export class SceneManager {
     this.gridHelper = null
     this.originShadow = null
     this.axesGroup = null
+    this.axisLabels = []
 
     this.initialize()
   }
@@ -253,7 +254,9 @@ export class SceneManager {
       SCENE_CONFIG.AXIS_THICKNESS
     )
     this.axesGroup.add(xAxis)
-    addAxisLabel('X', [axisLength + axisLabelOffset, 0, 0], SCENE_CONFIG.AXIS_COLOR_X, this.axesGroup)
+    this.axisLabels.push(
+      addAxisLabel('X', [axisLength + axisLabelOffset, 0, 0], SCENE_CONFIG.AXIS_COLOR_X, this.axesGroup)
+    )
 
     // Y axis (green)
     const yAxis = createAxisArrow(
@@ -263,7 +266,9 @@ export class SceneManager {
       SCENE_CONFIG.AXIS_THICKNESS
     )
     this.axesGroup.add(yAxis)
-    addAxisLabel('Y', [0, axisLength + axisLabelOffset, 0], SCENE_CONFIG.AXIS_COLOR_Y, this.axesGroup)
+    this.axisLabels.push(
+      addAxisLabel('Y', [0, axisLength + axisLabelOffset, 0], SCENE_CONFIG.AXIS_COLOR_Y, this.axesGroup)
+    )
 
     // Z axis (blue)
     const zAxis = createAxisArrow(
@@ -273,11 +278,40 @@ export class SceneManager {
       SCENE_CONFIG.AXIS_THICKNESS
     )
     this.axesGroup.add(zAxis)
-    addAxisLabel('Z', [0, 0, axisLength + axisLabelOffset, 0], SCENE_CONFIG.AXIS_COLOR_Z, this.axesGroup)
+    this.axisLabels.push(
+      addAxisLabel('Z', [0, 0, axisLength + axisLabelOffset], SCENE_CONFIG.AXIS_COLOR_Z, this.axesGroup)
+    )
+
+    this.axisLabels.forEach((label, i) => { label.userData.text = ['X', 'Y', 'Z'][i] })
 
     this.scene.add(this.axesGroup)
   }
 
+  /**
+   * Replace the axis label text, e.g. with the variance each PCA component explains
+   * @param {Array<string>} texts - One label per axis [x, y, z]
+   */
+  setAxisLabels(texts) {
+    const colors = [SCENE_CONFIG.AXIS_COLOR_X, SCENE_CONFIG.AXIS_COLOR_Y, SCENE_CONFIG.AXIS_COLOR_Z]
+
+    this.axisLabels = this.axisLabels.map((label, i) => {
+      if (label.userData.text === texts[i]) return label
+
+      const position = label.position.toArray()
+      this.axesGroup.remove(label)
+      label.material.map?.dispose()
+      label.material.dispose()
+
+      const replacement = addAxisLabel(texts[i], position, colors[i], this.axesGroup)
+      // Longer than a single letter, so keep the canvas aspect instead of squeezing it
+      if (texts[i].length > 1) {
+        replacement.scale.set(...SCENE_CONFIG.AXIS_LABEL_WIDE_SCALE)
+      }
+      replacement.userData.text = texts[i]
+      return replacement
+    })
+  }
+
   createRaycaster() {
     this.raycaster = new THREE.Raycaster()
     this.raycaster.params.Line.threshold = RAYCASTER_CONFIG.LINE_THRESHOLD
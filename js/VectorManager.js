@@ -4,29 +4,85 @@
  * Handles all vector management including:
  * - Adding custom vectors with embeddings
  * - Removing vectors
- * - Model switching and re-embedding
- * - PCA re-projection
+ * - Model switching and re-embedding, with the new layout aligned to the old
+ *   one and displacement trails showing how each word moved
+ * - Re-projection (PCA, t-SNE, UMAP) in the compute worker, with animated transitions in place
  * - Vector visualization creation
+ * - Clustering (vectors are colored by cluster) and color encoding
+ * - Restoring saved sessions without re-embedding
+ * - Importing vectors embedded elsewhere (tagged as external, never re-embedded)
+ * - Running all of the above as queued jobs (see job-scheduler.js), with each
+ *   vector tagged with the model that produced its embedding; a job that
+ *   changes the workspace emits 'workspaceChanged' with a label as its last
+ *   step, so the undo history records changes in queue order
  *
  * Benefits:
  * - Single responsibility for vector operations
- * - Encapsulates complex PCA logic
+ * - Encapsulates projection logic
  * - Reusable vector management
  * - Cleaner separation of concerns
  */
 
 import * as THREE from 'three'
 import { vectors, originalEmbeddings } from './vector-data.js'
-import { pcaTo3D } from './math-utils.js'
-import { initEmbeddingModel, getEmbedding, isModelReady, MODEL_CONFIGS, getCurrentModel } from './embeddings.js'
-import { createVectorArrow, createTextLabel } from './three-helpers.js'
+import {
+  projectInWorker,
+  alignProjection,
+  setProjectionMethod,
+  setBasisFrozen,
+  isBasisFrozen,
+  getProjectionMethodConfig,
+  getVectorFidelity,
+  getFidelityColor
+} from './projection.js'
+import {
+  getEmbedding,
+  isEmbeddingCached,
+  isModelReady,
+  MODEL_CONFIGS,
+  getCurrentModel,
+  setCurrentModel,
+  registerModel
+} from './embeddings.js'
+import { clusterInWorker, assignClusterColors } from './clustering.js'
+import { createVectorArrow, createTextLabel, createDisplacementTrail } from './three-helpers.js'
+import { computeNeighborhoodShift } from './model-shift.js'
 import { showStatus, clearStatus } from './ui.js'
-import { STATUS_CONFIG, LABEL_CONFIG } from './constants.js'
+import { assertModelFitsScene } from './embedding-import.js'
+import {
+  STATUS_CONFIG,
+  LABEL_CONFIG,
+  CLUSTER_CONFIG,
+  EMBEDDING_INPUT_CONFIG,
+  MODEL_SHIFT_CONFIG,
+  IMPORT_CONFIG
+} from './constants.js'
+import { scheduleJob, getJobQueue } from './job-scheduler.js'
 
 export class VectorManager {
-  constructor(scene, stateManager) {
+  constructor(scene, stateManager, animationController) {
     this.scene = scene
     this.state = stateManager
+    this.animator = animationController
+
+    // 'vector': each vector's own (cluster) color; 'fidelity': how well the layout represents it
+    this.colorMode = 'vector'
+
+    // Clustering over the high-dimensional embeddings drives vector colors
+    this.clusterSettings = { method: CLUSTER_CONFIG.DEFAULT_METHOD, k: CLUSTER_CONFIG.DEFAULT_K }
+    this.clusterResult = null
+
+    // Old -> new tip lines from the last model switch
+    this.displacementTrails = []
+  }
+
+  /**
+   * Announce a finished change (main.js commits it to the undo history).
+   * Jobs call it as their last step, before the next job can start.
+   * @param {string} label - e.g. 'Add "cat"'
+   */
+  recordChange(label) {
+    this.state.emit('workspaceChanged', label)
   }
 
   // ========================================================================
@@ -34,12 +90,14 @@ export class VectorManager {
   // ========================================================================
 
   /**
-   * Add a custom vector word with embedding
+   * Add a custom vector word with embedding. Runs as a queued job, so a word
+   * added during a model switch or batch upload waits for it to finish.
    * @param {string} word - The word to add
    * @param {string} modelKey - The embedding model to use
+   * @param {string} role - 'document' or 'query' (selects the model's input template)
    * @returns {Promise<Object>} The created vector data
    */
-  async addVector(word, modelKey = 'minilm') {
+  async addVector(word, modelKey = 'minilm', role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
     // Validation
     if (!word) {
       throw new Error('Word is required')
@@ -54,63 +112,121 @@ export class VectorManager {
       throw new Error(`Unknown model: ${modelKey}`)
     }
 
-    // Check if we need to load or switch models
-    const currentModel = getCurrentModel()
-    if (!isModelReady() || currentModel !== modelKey) {
-      showStatus(
-        `Loading ${modelConfig.institution} ${modelConfig.name}... (${modelConfig.size}, first time only)`,
-        'loading'
-      )
-      await initEmbeddingModel(modelKey)
+    const { running } = getJobQueue()
+    if (running) {
+      showStatus(`"${word}" is queued until ${running.label} finishes...`, 'loading')
+    }
 
-      // Re-embed all existing words with the new model
-      for (const w of Object.keys(vectors)) {
-        originalEmbeddings[w] = await getEmbedding(w, modelKey)
+    return scheduleJob(`Add "${word}"`, async (job) => {
+      // A job that ran first (e.g. a batch upload) may have added it
+      if (vectors[word]) {
+        throw new Error(`Word "${word}" already exists`)
       }
+      assertModelFitsScene(modelKey)
+
+      // Only cache misses need the model itself; getEmbedding() loads it on demand
+      const loadingMessage = `Loading ${modelConfig.institution} ${modelConfig.name}... (${modelConfig.size}, first time only)`
+      const currentModel = getCurrentModel()
+      let embeddings = {}
+      let embedding
+      try {
+        if (currentModel !== modelKey) {
+          showStatus(isModelReady() ? `Switching to ${modelConfig.name}...` : loadingMessage, 'loading')
+          setCurrentModel(modelKey)
+
+          // Re-embed all existing words with the new model
+          embeddings = await this.embedStaleVectors(modelKey, job)
+
+          showStatus(`${modelConfig.name} ready! Adding "${word}"...`, 'loading')
+        } else if (!isModelReady() && !(await isEmbeddingCached(word, modelKey, role))) {
+          showStatus(loadingMessage, 'loading')
+        } else {
+          showStatus(`Getting embedding for "${word}"...`, 'loading')
+        }
 
-      showStatus(`${modelConfig.name} ready! Adding "${word}"...`, 'loading')
-    } else {
-      showStatus(`Getting embedding for "${word}"...`, 'loading')
-    }
+        // Get embedding for new word
+        embedding = await getEmbedding(word, modelKey, role)
+        job.throwIfCancelled()
+      } catch (error) {
+        // Nothing was stored yet; the scene keeps its model
+        setCurrentModel(currentModel)
+        throw error
+      }
 
-    // Get embedding for new word
-    const embedding = await getEmbedding(word, modelKey)
-    originalEmbeddings[word] = embedding
+      this.commitEmbeddings(embeddings, modelKey)
+      originalEmbeddings[word] = embedding
 
-    // Run PCA to get new 3D coordinates for all vectors
-    const projected = pcaTo3D(originalEmbeddings)
-    if (!projected) {
-      throw new Error('PCA projection failed')
-    }
+      // Re-project to get new 3D coordinates for all vectors
+      const projected = await this.projectEmbeddings(modelKey)
 
-    // Update all vectors with new PCA coordinates
-    const nonNullWords = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
-    nonNullWords.forEach((w, i) => {
-      if (!vectors[w]) {
-        // New word being added
-        const randomColor = Math.floor(Math.random() * 0xffffff)
-        vectors[w] = {
-          coords: projected[i],
-          color: randomColor,
-          description: `${modelKey} embedding`,
-          isCustom: true
-        }
-      } else {
-        // Existing word, update coords
-        vectors[w].coords = projected[i]
+      // New word (colored by cluster in recreateAllVisualizations)
+      vectors[word] = {
+        coords: projected[word],
+        color: CLUSTER_CONFIG.UNASSIGNED_COLOR,
+        description: `${modelKey} embedding`,
+        isCustom: true,
+        role,
+        model: modelKey
       }
+      this.applyProjectedCoords(projected)
+
+      // Recreate all visualizations with new coordinates
+      await this.recreateAllVisualizations()
+      this.recordChange(`Add "${word}"`)
+
+      showStatus(
+        `Added "${word}" using ${modelConfig.name}! Click it to compare.`,
+        'success'
+      )
+      setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
+
+      return vectors[word]
     })
+  }
 
-    // Recreate all visualizations with new coordinates
-    await this.recreateAllVisualizations()
+  // ========================================================================
+  // EMBEDDING
+  // ========================================================================
 
-    showStatus(
-      `Added "${word}" using ${modelConfig.name}! Click it to compare.`,
-      'success'
+  /**
+   * Embed every vector whose embedding another model produced (see the
+   * vectors' model tags). Imported vectors keep their external embeddings.
+   * The results are only returned, so a job cancelled
+   * or failing half-way leaves the scene's embeddings untouched.
+   * @param {string} modelKey - Model to embed with
+   * @param {Object} job - Context from scheduleJob()
+   * @returns {Promise<Object>} name -> embedding
+   */
+  async embedStaleVectors(modelKey, job) {
+    const { name } = MODEL_CONFIGS[modelKey]
+    const stale = Object.keys(vectors).filter(word =>
+      vectors[word].model !== modelKey && vectors[word].model !== IMPORT_CONFIG.EXTERNAL_MODEL
     )
-    setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
+    const embeddings = {}
+
+    for (const [i, word] of stale.entries()) {
+      job.throwIfCancelled()
+      // Deleted while the job ran
+      if (!vectors[word]) continue
+      job.setProgress(i, stale.length, `Re-embedding "${word}" with ${name} (${i + 1}/${stale.length})`)
+      embeddings[word] = await getEmbedding(word, modelKey, vectors[word].role)
+    }
+
+    job.setProgress(stale.length, stale.length, `Running ${getProjectionMethodConfig().name} projection...`)
+    return embeddings
+  }
 
-    return vectors[word]
+  /**
+   * Store embeddings and tag each vector with the model that produced it
+   * @param {Object} embeddings - name -> embedding
+   * @param {string} modelKey
+   */
+  commitEmbeddings(embeddings, modelKey) {
+    Object.entries(embeddings).forEach(([word, embedding]) => {
+      if (!vectors[word]) return
+      originalEmbeddings[word] = embedding
+      vectors[word].model = modelKey
+    })
   }
 
   // ========================================================================
@@ -139,31 +255,64 @@ export class VectorManager {
   }
 
   /**
-   * Remove all custom vectors
-   * @returns {number} Number of vectors removed
+   * Remove vectors; the rest glide to their places without them. Queued, so a
+   * removal waits for a running job instead of deleting from under it.
+   * @param {Array<string>} names
+   * @returns {Promise<number>} Number of vectors removed
    */
-  clearCustomVectors() {
-    const customWords = Object.keys(vectors).filter((w) => vectors[w].isCustom)
+  async removeVectors(names) {
+    const label = names.length === 1 ? `Delete "${names[0]}"` : `Delete ${names.length} vectors`
+    return scheduleJob(label, async () => {
+      // A job that ran first may have removed them already
+      const removed = names.filter(name => vectors[name])
+      if (removed.length === 0) return 0
+
+      removed.forEach(name => this.removeVector(name))
+      if (Object.keys(vectors).length > 0) {
+        await this.recreateAllVisualizations()
+      } else {
+        await this.updateClusters()
+      }
+      this.recordChange(label)
+      return removed.length
+    }, { cancellable: false })
+  }
 
-    if (customWords.length === 0) {
-      return 0
-    }
+  /**
+   * Remove all custom vectors (queued like removeVectors())
+   * @returns {Promise<number>} Number of vectors removed
+   */
+  async clearCustomVectors() {
+    return scheduleJob('Clear custom vectors', async () => {
+      const customWords = Object.keys(vectors).filter((w) => vectors[w].isCustom)
 
-    customWords.forEach((word) => this.removeVector(word))
+      if (customWords.length === 0) {
+        return 0
+      }
+
+      customWords.forEach((word) => this.removeVector(word))
+      await this.updateClusters()
+      this.refreshColors()
+      this.recordChange('Clear custom vectors')
 
-    return customWords.length
+      return customWords.length
+    }, { cancellable: false })
   }
 
   /**
-   * Remove all vectors (start fresh)
-   * @returns {number} Number of vectors removed
+   * Remove all vectors (start fresh; queued like removeVectors())
+   * @returns {Promise<number>} Number of vectors removed
    */
-  clearAllVectors() {
-    const allWords = Object.keys(vectors)
+  async clearAllVectors() {
+    return scheduleJob('Clear all vectors', async () => {
+      const allWords = Object.keys(vectors)
 
-    allWords.forEach((word) => this.removeVector(word))
+      allWords.forEach((word) => this.removeVector(word))
+      await this.updateClusters()
+      this.recordChange('Clear all vectors')
 
-    return allWords.length
+      return allWords.length
+    }, { cancellable: false })
   }
 
   // ========================================================================
@@ -171,7 +320,9 @@ export class VectorManager {
   // ========================================================================
 
   /**
-   * Switch to a different embedding model and re-embed all vectors
+   * Switch to a different embedding model and re-embed all vectors.
+   * Runs as a cancellable job behind the progress overlay; cancelling keeps
+   * the previous model and embeddings.
    * @param {string} newModelKey - The model key to switch to
    */
   async switchModel(newModelKey) {
@@ -180,45 +331,312 @@ export class VectorManager {
       throw new Error(`Unknown model: ${newModelKey}`)
     }
 
-    const currentModel = getCurrentModel()
+    return scheduleJob(`Switch to ${modelConfig.name}`, async (job) => {
+      const currentModel = getCurrentModel()
 
-    // If already using this model, do nothing
-    if (currentModel === newModelKey && isModelReady()) {
-      return
-    }
+      // If already using this model, do nothing (the embeddings already belong to it)
+      if (currentModel === newModelKey) {
+        return
+      }
+      assertModelFitsScene(newModelKey)
 
-    showStatus(`Loading ${modelConfig.name}...`, 'loading')
+      // The model loads only if some word isn't in the embedding cache
+      setCurrentModel(newModelKey)
 
-    // Initialize new model
-    await initEmbeddingModel(newModelKey)
+      // Re-embed all existing words with the new model
+      let embeddings
+      try {
+        embeddings = await this.embedStaleVectors(newModelKey, job)
+        job.throwIfCancelled()
+      } catch (error) {
+        setCurrentModel(currentModel)
+        throw error
+      }
+
+      // Where every word was and what it was near, to show what the switch changes
+      const previousCoords = Object.fromEntries(
+        Object.entries(vectors).map(([word, data]) => [word, [...data.coords]])
+      )
+      const previousEmbeddings = { ...originalEmbeddings }
+      this.commitEmbeddings(embeddings, newModelKey)
+
+      // Re-project to get new 3D coordinates
+      this.applyProjectedCoords(await this.projectEmbeddings(newModelKey))
+      const aligned = MODEL_SHIFT_CONFIG.ALIGN_ON_SWITCH && this.alignToCoords(previousCoords)
+
+      // Existing arrows glide from their old positions to the new ones
+      await this.recreateAllVisualizations()
+      this.showDisplacementTrails(previousCoords)
+
+      const displacements = Object.fromEntries(
+        Object.keys(previousCoords)
+          .filter(word => vectors[word])
+          .map(word => [word, Math.hypot(...vectors[word].coords.map((v, i) => v - previousCoords[word][i]))])
+      )
+      this.state.emit('modelShifted', {
+        from: currentModel,
+        to: newModelKey,
+        aligned,
+        ...computeNeighborhoodShift(previousEmbeddings, originalEmbeddings, { displacements })
+      })
+      this.recordChange(`Switch model to ${modelConfig.name}`)
+
+      showStatus(`Switched to ${modelConfig.name}`, 'success')
+      setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+    }, { overlay: true })
+  }
 
-    // Re-embed all existing words with the new model
-    const allWords = Object.keys(vectors)
-    showStatus(`Re-embedding ${allWords.length} words with ${modelConfig.name}...`, 'loading')
+  // ========================================================================
+  // SESSION RESTORE
+  // ========================================================================
 
-    for (const word of allWords) {
-      originalEmbeddings[word] = await getEmbedding(word, newModelKey)
+  /**
+   * Replace the scene with a saved session (see session.js). Embeddings come
+   * from the session, so nothing is re-embedded; the model is only marked
+   * current and loads lazily when the next word is added.
+   * Vectors present before and after glide into place, like a re-projection.
+   * Queued like other jobs, but can't be cancelled once it starts.
+   * @param {Object} session - From parseSession()
+   * @param {Object} options
+   * @param {string} options.label - Record the load in the undo history under this label
+   */
+  async loadSession(session, { label = null } = {}) {
+    return scheduleJob('Load session', async () => {
+      await this.restoreSession(session)
+      if (label) this.recordChange(label)
+    }, { cancellable: false })
+  }
+
+  /**
+   * The body of loadSession(), for callers already running in a job (undo and
+   * redo, see HistoryManager)
+   * @param {Object} session - From parseSession() or HistoryManager
+   */
+  async restoreSession(session) {
+    // First, so a refusal (unknown model) leaves the scene untouched.
+    // Sessions saved with a runtime-added model carry its config.
+    if (!MODEL_CONFIGS[session.model]) registerModel(session.model, session.modelConfig)
+    setCurrentModel(session.model)
+
+    this.state.clearSelection()
+    Object.keys(vectors).forEach(name => { delete vectors[name] })
+    Object.keys(originalEmbeddings).forEach(name => { delete originalEmbeddings[name] })
+
+    setProjectionMethod(session.projection.method)
+    this.clusterSettings = { ...this.clusterSettings, ...session.clusterSettings }
+    this.colorMode = session.colorMode === 'fidelity' ? 'fidelity' : 'vector'
+
+    session.vectors.forEach(entry => {
+      vectors[entry.text] = {
+        coords: entry.coords ? [...entry.coords] : [0, 0, 0],
+        color: entry.color ?? CLUSTER_CONFIG.UNASSIGNED_COLOR,
+        cluster: entry.cluster ?? null,
+        isCustom: entry.isCustom,
+        // Sessions saved before model tags hold the session model's embeddings
+        model: entry.model ?? session.model
+      }
+      if (entry.fullText) vectors[entry.text].fullText = entry.fullText
+      if (entry.description) vectors[entry.text].description = entry.description
+      if (entry.role) vectors[entry.text].role = entry.role
+      if (entry.metadata) vectors[entry.text].metadata = { ...entry.metadata }
+      originalEmbeddings[entry.text] = entry.embedding
+    })
+
+    // Refit so quality scores, out-of-sample placement and frozen axes have a
+    // basis, then keep the saved coordinates so the layout matches exactly
+    setBasisFrozen(false)
+    if (Object.keys(vectors).length > 0) {
+      this.applyProjectedCoords(await this.projectEmbeddings(session.model))
     }
+    // Recover any alignment the saved layout had, so frozen axes and new words match it
+    this.alignToCoords(Object.fromEntries(
+      session.vectors.filter(entry => entry.coords).map(entry => [entry.text, entry.coords])
+    ))
+    session.vectors.forEach(entry => {
+      if (entry.coords) vectors[entry.text].coords = [...entry.coords]
+    })
+    setBasisFrozen(session.projection.frozen)
+
+    // Saved colors seed assignClusterColors(), so clusters keep their colors
+    await this.recreateAllVisualizations()
+  }
+
+  // ========================================================================
+  // EMBEDDING IMPORT
+  // ========================================================================
+
+  /**
+   * Add vectors embedded outside the app (see embedding-import.js). Their
+   * embeddings are used as they are and tagged as external, so model switches
+   * never re-embed them. Queued like other jobs, but can't be cancelled once it starts.
+   * @param {Array<Object>} entries - From readEmbeddingFiles(): {name, fullText, embedding, metadata}
+   * @param {Object} options
+   * @param {boolean} options.replace - Remove the scene's vectors first (e.g. they have another dimensionality)
+   * @param {string} options.source - Imported file names, for each vector's description
+   * @returns {Promise<number>} Vectors added (names already in the scene are skipped)
+   */
+  async importVectors(entries, { replace = false, source = '' } = {}) {
+    return scheduleJob('Import embeddings', async () => {
+      if (replace) {
+        this.state.clearSelection()
+        Object.keys(vectors).forEach(name => { delete vectors[name] })
+        Object.keys(originalEmbeddings).forEach(name => { delete originalEmbeddings[name] })
+      }
+
+      const added = entries.filter(({ name }) => !vectors[name])
+      if (added.length === 0) return 0
+      added.forEach(({ name, embedding }) => { originalEmbeddings[name] = embedding })
+
+      // A replaced scene may have had another dimensionality, so its axes can't be kept
+      const frozen = isBasisFrozen()
+      if (replace) setBasisFrozen(false)
+      let projected
+      try {
+        projected = await this.projectEmbeddings(getCurrentModel())
+      } finally {
+        setBasisFrozen(frozen)
+      }
+
+      // New vectors (colored by cluster in recreateAllVisualizations)
+      added.forEach(({ name, fullText, metadata }) => {
+        vectors[name] = {
+          coords: projected[name],
+          color: CLUSTER_CONFIG.UNASSIGNED_COLOR,
+          description: source ? `Imported from ${source}` : 'Imported embedding',
+          isCustom: true,
+          model: IMPORT_CONFIG.EXTERNAL_MODEL
+        }
+        if (fullText) vectors[name].fullText = fullText
+        if (metadata) vectors[name].metadata = metadata
+      })
+      this.applyProjectedCoords(projected)
+
+      await this.recreateAllVisualizations()
+      this.recordChange('Import embeddings')
+      return added.length
+    }, { cancellable: false })
+  }
+
+  // ========================================================================
+  // PROJECTION SWITCHING
+  // ========================================================================
+
+  /**
+   * Switch the projection method and animate vectors to their new positions.
+   * Queued, so the method doesn't change under a running job.
+   * @param {string} methodKey - 'pca' | 'tsne' | 'umap'
+   */
+  async switchProjection(methodKey) {
+    return scheduleJob('Switch projection', async () => {
+      setProjectionMethod(methodKey)
+      const { name } = getProjectionMethodConfig()
+
+      if (Object.keys(vectors).length === 0) {
+        this.recordChange(`Switch to ${name}`)
+        return
+      }
+
+      showStatus(`Computing ${name} layout...`, 'loading')
+      this.applyProjectedCoords(await this.projectEmbeddings(getCurrentModel()))
+      await this.recreateAllVisualizations()
+      this.recordChange(`Switch to ${name}`)
+
+      showStatus(`Switched to ${name} projection`, 'success')
+      setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+    }, { cancellable: false })
+  }
 
-    // Run PCA to get new 3D coordinates
-    const projected = pcaTo3D(originalEmbeddings)
+  /**
+   * Re-run the active projection on all embeddings and animate to the result
+   */
+  async reproject() {
+    return scheduleJob('Refit projection', async () => {
+      if (Object.keys(vectors).length === 0) return
+
+      this.applyProjectedCoords(await this.projectEmbeddings(getCurrentModel()))
+      await this.recreateAllVisualizations()
+    }, { cancellable: false })
+  }
+
+  /**
+   * Project all embeddings with the active method (in the compute worker)
+   * @param {string} modelKey - Model the embeddings come from
+   * @returns {Promise<Object>} name -> [x, y, z], for the vectors that existed when it started
+   */
+  async projectEmbeddings(modelKey) {
+    const words = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
+    const projected = await projectInWorker(originalEmbeddings, modelKey)
     if (!projected) {
-      throw new Error('PCA projection failed')
+      throw new Error('Projection failed')
     }
+    return Object.fromEntries(words.map((w, i) => [w, projected[i]]))
+  }
 
-    // Update coordinates
-    const nonNullWords = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
-    nonNullWords.forEach((w, i) => {
+  /**
+   * Write projected coordinates back to the vector data
+   * @param {Object} projected - name -> [x, y, z] (see projectEmbeddings())
+   */
+  applyProjectedCoords(projected) {
+    Object.entries(projected).forEach(([w, coords]) => {
       if (vectors[w]) {
-        vectors[w].coords = projected[i]
+        vectors[w].coords = coords
       }
     })
+  }
 
-    // Recreate all visualizations with new coordinates
-    await this.recreateAllVisualizations()
+  /**
+   * Rotate the freshly projected coordinates onto reference positions
+   * (Procrustes on the shared words, see alignProjection())
+   * @param {Object} reference - name -> [x, y, z]
+   * @returns {boolean} Whether a rotation was applied (needs 3+ shared words)
+   */
+  alignToCoords(reference) {
+    const words = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null && vectors[w])
+    const coords = words.map(w => vectors[w].coords)
+    const aligned = alignProjection(words, coords, reference)
+    if (aligned === coords) return false
+
+    words.forEach((w, i) => { vectors[w].coords = aligned[i] })
+    return true
+  }
+
+  // ========================================================================
+  // DISPLACEMENT TRAILS
+  // ========================================================================
 
-    showStatus(`Switched to ${modelConfig.name}`, 'success')
-    setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+  /**
+   * Draw a trail from each vector's previous tip to its current one
+   * @param {Object} previousCoords - name -> [x, y, z] before the change
+   */
+  showDisplacementTrails(previousCoords) {
+    this.clearDisplacementTrails()
+
+    Object.entries(vectors).forEach(([word, data]) => {
+      const from = previousCoords[word]
+      if (!from || Math.hypot(...data.coords.map((v, i) => v - from[i])) < MODEL_SHIFT_CONFIG.MIN_TRAIL_LENGTH) {
+        return
+      }
+      const trail = createDisplacementTrail(
+        from,
+        data.coords,
+        this.getDisplayColor(word, data),
+        MODEL_SHIFT_CONFIG.TRAIL_OPACITY,
+        MODEL_SHIFT_CONFIG.TRAIL_DOT_RADIUS
+      )
+      this.scene.add(trail)
+      this.displacementTrails.push(trail)
+    })
+  }
+
+  clearDisplacementTrails() {
+    this.displacementTrails.forEach(trail => {
+      this.scene.remove(trail)
+      trail.traverse(child => {
+        child.geometry?.dispose()
+        child.material?.dispose()
+      })
+    })
+    this.displacementTrails = []
   }
 
   // ========================================================================
@@ -252,14 +670,22 @@ export class VectorManager {
    * @param {Array} allCoords - All vector coordinates for context
    */
   createVisualization(word, data, allCoords) {
+    const color = this.getDisplayColor(word, data)
+
     // Create arrow
-    const arrow = createVectorArrow([0, 0, 0], data.coords, data.color, allCoords)
-    arrow.userData = { name: word, coords: data.coords, color: data.color }
+    const arrow = createVectorArrow([0, 0, 0], data.coords, color, allCoords)
+    // baseLength: geometry length, so later moves can stretch instead of rebuild
+    arrow.userData = {
+      name: word,
+      coords: data.coords,
+      color,
+      baseLength: Math.hypot(...data.coords)
+    }
     this.scene.add(arrow)
 
     // Create label
-    const label = createTextLabel(word, data.color)
-    label.userData = { name: word, coords: data.coords, color: data.color, isHovered: false }
+    const label = createTextLabel(word, color)
+    label.userData = { name: word, coords: data.coords, color, isHovered: false }
     this.setLabelBasePosition(label, data.coords)
     this.scene.add(label)
 
@@ -268,46 +694,217 @@ export class VectorManager {
 
     // Track meshes for raycasting
     const meshes = arrow.children.map(mesh => {
-      mesh.userData = { name: word, coords: data.coords, color: data.color }
+      mesh.userData = { name: word, coords: data.coords, color }
       return mesh
     })
     this.state.addVectorMeshes(meshes)
   }
 
+  // ========================================================================
+  // COLOR ENCODING
+  // ========================================================================
+
+  /**
+   * Color a vector is drawn with under the current color mode
+   * @param {string} word - The word
+   * @param {Object} data - Vector data {color}
+   * @returns {number} Hex color
+   */
+  getDisplayColor(word, data) {
+    if (this.colorMode === 'fidelity') {
+      const fidelity = getVectorFidelity(word)
+      if (fidelity !== null) return getFidelityColor(fidelity)
+    }
+    return data.color
+  }
+
   /**
-   * Recreate all vector visualizations (after PCA update)
+   * Switch the color encoding and redraw all vectors
+   * @param {string} mode - 'vector' | 'fidelity'
    */
-  async recreateAllVisualizations() {
-    // Remove all existing visualizations
-    this.state.getAllVectorNames().forEach(name => {
-      const arrow = this.state.getVectorObject(name)
-      const label = this.state.getLabelSprite(name)
-      if (arrow) this.scene.remove(arrow)
+  setColorMode(mode) {
+    if (mode !== 'vector' && mode !== 'fidelity') {
+      throw new Error(`Unknown color mode: ${mode}`)
+    }
+    if (mode === this.colorMode) return
+
+    this.colorMode = mode
+    this.refreshColors()
+  }
+
+  /**
+   * Rebuild arrows and labels whose display color changed
+   * (materials and label textures bake the color in, so they can't be tinted)
+   */
+  refreshColors() {
+    const allCoords = Object.values(vectors).map(v => v.coords)
+
+    Object.entries(vectors).forEach(([word, data]) => {
+      const arrow = this.state.getVectorObject(word)
+      if (!arrow || arrow.userData.color === this.getDisplayColor(word, data)) return
+      const label = this.state.getLabelSprite(word)
+
+      this.scene.remove(arrow)
       if (label) this.scene.remove(label)
-      this.state.unregisterVectorObject(name)
+      this.state.unregisterVectorObject(word)
+      this.createVisualization(word, data, allCoords)
     })
+  }
+
+  /**
+   * Move a vector's existing arrow and label to new coordinates
+   * @param {string} word - The word
+   * @param {Array<number>} coords - Target coordinates [x, y, z]
+   * @returns {Promise<void>} Resolves when the transition finishes
+   */
+  moveVisualization(word, coords) {
+    const arrow = this.state.getVectorObject(word)
+    const label = this.state.getLabelSprite(word)
+    const previous = arrow.userData.coords
 
-    // Clear mesh tracking
-    this.state.clearMeshes()
+    // Keep hover/click metadata in sync with the new position
+    arrow.userData.coords = coords
+    arrow.children.forEach(mesh => { mesh.userData.coords = coords })
+    if (label) label.userData.coords = coords
+
+    if (previous && previous.every((value, i) => value === coords[i])) {
+      return Promise.resolve()
+    }
+    return this.animator.animateVectorTransition(arrow, label, coords)
+  }
+
+  /**
+   * Bring visualizations in line with the vector data (after re-projection).
+   * Existing vectors glide to their new positions, new vectors fade in, and
+   * visuals for vectors that no longer exist are removed.
+   */
+  async recreateAllVisualizations() {
+    // Anything drawn for the old layout is stale; callers redraw via updateSelection()
+    this.state.emit('projectionChanged')
+    this.clearDisplacementTrails()
+    this.state.getConnectionLines().forEach(line => this.scene.remove(line))
+    this.state.clearConnectionLines()
+    this.state.getAnnotations().forEach(annotation => this.scene.remove(annotation))
+    this.state.clearAnnotations()
+
+    this.state.getAllVectorNames()
+      .filter(name => !vectors[name])
+      .forEach(name => {
+        const arrow = this.state.getVectorObject(name)
+        const label = this.state.getLabelSprite(name)
+        if (arrow) this.scene.remove(arrow)
+        if (label) this.scene.remove(label)
+        this.state.unregisterVectorObject(name)
+      })
+
+    // New vectors need their cluster color before they are drawn
+    await this.updateClusters()
 
-    // Recreate all vectors with new positions
     const updatedCoords = Object.values(vectors).map(v => v.coords)
+    const transitions = []
 
     Object.entries(vectors).forEach(([word, data]) => {
-      this.createVisualization(word, data, updatedCoords)
+      if (this.state.getVectorObject(word)) {
+        transitions.push(this.moveVisualization(word, data.coords))
+      } else {
+        this.createVisualization(word, data, updatedCoords)
+        this.animator.softReveal(this.state.getVectorObject(word))
+      }
     })
+
+    await Promise.all(transitions)
+
+    // Cluster colors and fidelity scores may have changed for existing vectors
+    this.refreshColors()
   }
 
   /**
-   * Initialize vectors from existing data
+   * Initialize vectors from existing data. They are drawn right away and take
+   * their cluster colors once the worker has clustered them.
    * @param {Object} vectorData - Vector data dictionary
    */
-  initializeVectors(vectorData) {
+  async initializeVectors(vectorData) {
     const allCoords = Object.values(vectorData).map(v => v.coords)
 
     Object.entries(vectorData).forEach(([name, data]) => {
       this.createVisualization(name, data, allCoords)
     })
+
+    return scheduleJob('Cluster vectors', async () => {
+      await this.updateClusters()
+      this.refreshColors()
+    }, { cancellable: false })
+  }
+
+  // ========================================================================
+  // CLUSTERING
+  // ========================================================================
+
+  /**
+   * Re-cluster all embeddings and write each vector's cluster and color.
+   * Colors follow clusters across runs, so adding a word doesn't reshuffle them.
+   * Runs in the compute worker; callers are jobs, so the scene can't change meanwhile.
+   * Emits 'clustersChanged' with the result (null when there is nothing to cluster).
+   * @returns {Promise<Object|null>}
+   */
+  async updateClusters() {
+    const embeddings = Object.fromEntries(
+      Object.keys(vectors).map(name => [name, originalEmbeddings[name] ?? null])
+    )
+
+    let result = null
+    try {
+      result = await clusterInWorker(embeddings, this.clusterSettings)
+    } catch (error) {
+      // The worker failed or crashed: keep the previous colors rather than failing the job
+      console.warn('Clustering skipped:', error.message)
+      return this.clusterResult
+    }
+
+    if (result) {
+      const previousColors = Object.fromEntries(Object.entries(vectors).map(([name, v]) => [name, v.color]))
+      const colors = assignClusterColors(result.clusters, previousColors)
+      result.clusters.forEach((cluster, i) => {
+        cluster.color = colors[i]
+        cluster.members.forEach(name => {
+          if (!vectors[name]) return
+          vectors[name].cluster = cluster.index
+          vectors[name].color = colors[i]
+        })
+      })
+    }
+
+    // Anything left out (no embedding) gets the neutral color
+    Object.keys(vectors).forEach(name => {
+      if (!result || !(name in result.assignments)) {
+        vectors[name].cluster = null
+        vectors[name].color = CLUSTER_CONFIG.UNASSIGNED_COLOR
+      }
+    })
+
+    this.clusterResult = result
+    this.state.emit('clustersChanged', result)
+    return result
+  }
+
+  /**
+   * Change the clustering method or k and recolor the scene.
+   * Queued, so the scene doesn't change while the worker clusters it.
+   * @param {Object} settings - {method?: 'kmeans' | 'agglomerative', k?: number | 'auto'}
+   * @returns {Promise<Object|null>} The new clustering result
+   */
+  async setClusterSettings(settings) {
+    return scheduleJob('Recolor clusters', async () => {
+      this.clusterSettings = { ...this.clusterSettings, ...settings }
+      const result = await this.updateClusters()
+      this.refreshColors()
+      this.recordChange('Recolor clusters')
+      return result
+    }, { cancellable: false })
+  }
+
+  getClusterResult() {
+    return this.clusterResult
   }
 
   // ========================================================================
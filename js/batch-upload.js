@@ -5,14 +5,19 @@
  * - File reading and validation
  * - Text parsing (blank line delimited entries)
  * - Deduplication
- * - Progress tracking
- * - Batch embedding and PCA re-projection
+ * - Progress tracking and cancellation (a queued job, see job-scheduler.js)
+ * - Batch embedding (every item with the same query/document role) and
+ *   re-projection (both in the compute worker), then the scene rebuild and
+ *   undo step, all inside the job
  */
 
-import { getEmbedding, initEmbeddingModel } from './embeddings.js'
+import { getEmbedding, initEmbeddingModel, getCurrentModel } from './embeddings.js'
 import { vectors, originalEmbeddings } from './vector-data.js'
-import { pcaTo3D } from './math-utils.js'
+import { projectInWorker, getProjectionMethodConfig } from './projection.js'
 import { showStatus } from './ui.js'
+import { scheduleJob, JobCancelledError } from './job-scheduler.js'
+import { assertModelFitsScene } from './embedding-import.js'
+import { CLUSTER_CONFIG, EMBEDDING_INPUT_CONFIG } from './constants.js'
 
 // Configuration
 const MAX_BATCH_SIZE = 50
@@ -78,152 +83,114 @@ function validateContent(parsed) {
 }
 
 /**
- * Create progress overlay UI
+ * Process batch upload (a cancellable job behind the progress overlay)
+ * - Generate embeddings for each item with the model current when the job starts
+ * - Add to vectors dictionary, tagged with that model
+ * - Re-project all vectors with the active method
+ * - Update visualization
+ * Nothing is added until every item is embedded, so cancelling leaves the scene as it was.
+ * @param {Array<string>} items - Texts to add
+ * @param {VectorManager} vectorManager - Rebuilds the scene and records the undo step
+ * @param {string} role - 'document' or 'query'
+ * @returns {Promise<boolean>} Whether the vectors were added
  */
-function createProgressOverlay(total) {
-  // Remove any existing progress overlays first
-  const existingOverlay = document.getElementById('batch-progress-overlay')
-  if (existingOverlay) {
-    existingOverlay.remove()
-  }
+export async function processBatchUpload(items, vectorManager, role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
+  try {
+    return await scheduleJob('Batch upload', async (job) => {
+      const currentModel = getCurrentModel()
+      assertModelFitsScene(currentModel)
 
-  const overlay = document.createElement('div')
-  overlay.id = 'batch-progress-overlay'
-  overlay.className = 'canvas-overlay'
-  overlay.innerHTML = `
-    <div class="loading-spinner"></div>
-    <div style="color: var(--text-primary); font-size: var(--text-lg); margin-top: var(--space-lg); font-weight: var(--weight-semibold);">
-      Processing Batch Upload
-    </div>
-    <div id="batch-progress-text" style="color: var(--text-tertiary); font-size: var(--text-base); margin-top: var(--space-sm);">
-      Initializing...
-    </div>
-    <div style="width: 300px; height: 4px; background: rgba(255,255,255,0.1); border-radius: 2px; margin-top: var(--space-md); overflow: hidden;">
-      <div id="batch-progress-bar" style="width: 0%; height: 100%; background: var(--accent-primary); transition: width 0.3s ease;"></div>
-    </div>
-  `
-
-  const container = document.getElementById('canvas-container')
-  if (container) {
-    container.appendChild(overlay)
-  }
+      // Ensure model is loaded
+      job.setProgress(0, items.length, 'Loading embedding model...')
+      await initEmbeddingModel(currentModel)
 
-  return {
-    updateProgress: (current, total, status) => {
-      const progressBar = document.getElementById('batch-progress-bar')
-      const progressText = document.getElementById('batch-progress-text')
-      if (progressBar && progressText) {
-        const percent = Math.round((current / total) * 100)
-        progressBar.style.width = `${percent}%`
-        progressText.textContent = status
-      }
-    },
-    remove: () => {
-      const overlayToRemove = document.getElementById('batch-progress-overlay')
-      if (overlayToRemove) {
-        overlayToRemove.classList.add('fade-out')
-        setTimeout(() => {
-          if (overlayToRemove.parentNode) {
-            overlayToRemove.remove()
-          }
-        }, 300)
-      }
-    }
-  }
-}
+      // Process each item
+      const newEmbeddings = []
 
-/**
- * Process batch upload
- * - Generate embeddings for each item
- * - Add to vectors dictionary
- * - Re-run PCA on all vectors
- * - Update visualization
- */
-export async function processBatchUpload(items, currentModel) {
-  const progress = createProgressOverlay(items.length)
-
-  try {
-    // Ensure model is loaded
-    progress.updateProgress(0, items.length, 'Loading embedding model...')
-    await initEmbeddingModel(currentModel)
+      for (let i = 0; i < items.length; i++) {
+        job.throwIfCancelled()
 
-    // Process each item
-    const newEmbeddings = []
+        const fullText = items[i]
+        const displayName = truncateForDisplay(fullText)
 
-    for (let i = 0; i < items.length; i++) {
-      const fullText = items[i]
-      const displayName = truncateForDisplay(fullText)
+        // Added by another job while this one waited in the queue
+        if (vectors[displayName]) continue
 
-      progress.updateProgress(
-        i + 1,
-        items.length,
-        `Embedding ${i + 1}/${items.length}: "${displayName}"`
-      )
+        job.setProgress(
+          i + 1,
+          items.length,
+          `Embedding ${i + 1}/${items.length}: "${displayName}"`
+        )
 
-      // Truncate text for embedding if too long
-      const embeddingText = fullText.length > MAX_TEXT_LENGTH
-        ? fullText.substring(0, MAX_TEXT_LENGTH)
-        : fullText
+        // Truncate text for embedding if too long
+        const embeddingText = fullText.length > MAX_TEXT_LENGTH
+          ? fullText.substring(0, MAX_TEXT_LENGTH)
+          : fullText
 
-      // Generate embedding
-      const embedding = await getEmbedding(embeddingText, currentModel)
+        // Generate embedding
+        const embedding = await getEmbedding(embeddingText, currentModel, role)
 
-      // Store with display name as key, but keep full text in metadata
-      originalEmbeddings[displayName] = embedding
-      newEmbeddings.push({ name: displayName, fullText, embedding })
+        // Keyed by display name; the full text is kept in metadata
+        newEmbeddings.push({ name: displayName, fullText, embedding })
+      }
 
-      // Small delay to prevent UI blocking
-      await new Promise(resolve => setTimeout(resolve, 10))
-    }
+      // Last chance to cancel: from here on the scene changes
+      job.throwIfCancelled()
+      newEmbeddings.forEach(({ name, embedding }) => { originalEmbeddings[name] = embedding })
+
+      // Re-project all embeddings
+      job.setProgress(items.length, items.length, `Running ${getProjectionMethodConfig().name} projection...`)
+      const validWords = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
+      const coords3D = await projectInWorker(originalEmbeddings, currentModel)
+
+      // Update coordinates for all vectors
+      validWords.forEach((word, i) => {
+        if (!vectors[word]) {
+          // New vector - colored by cluster when the visualizations are rebuilt
+          vectors[word] = {
+            coords: coords3D[i],
+            color: CLUSTER_CONFIG.UNASSIGNED_COLOR,
+            isCustom: true,
+            role,
+            model: currentModel
+          }
+        } else {
+          vectors[word].coords = coords3D[i]
+        }
 
-    // Re-run PCA on all embeddings
-    progress.updateProgress(items.length, items.length, 'Running PCA projection...')
-    await new Promise(resolve => setTimeout(resolve, 100)) // UI update delay
-
-    const coords3D = pcaTo3D(originalEmbeddings)
-    const validWords = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
-
-    // Update coordinates for all vectors
-    validWords.forEach((word, i) => {
-      if (!vectors[word]) {
-        // New vector - assign random color like individually added vectors
-        const randomColor = Math.floor(Math.random() * 0xffffff)
-        vectors[word] = {
-          coords: coords3D[i],
-          color: randomColor,
-          isCustom: true
+        // Store full text metadata
+        const embeddingData = newEmbeddings.find(e => e.name === word)
+        if (embeddingData) {
+          vectors[word].fullText = embeddingData.fullText
         }
-      } else {
-        vectors[word].coords = coords3D[i]
-      }
+      })
 
-      // Store full text metadata
-      const embeddingData = newEmbeddings.find(e => e.name === word)
-      if (embeddingData) {
-        vectors[word].fullText = embeddingData.fullText
-      }
-    })
+      // Before the next job starts, so it sees the new vectors drawn and recorded
+      await vectorManager.recreateAllVisualizations()
+      vectorManager.recordChange('Batch upload')
 
-    // Show success message
-    showStatus(`Successfully added ${items.length} vectors!`, 'success')
+      // Show success message
+      showStatus(`Successfully added ${newEmbeddings.length} vectors!`, 'success')
 
-    // Return true to trigger visualization refresh
-    return true
+      // Return true to trigger the selection/LOD refresh
+      return true
+    }, { overlay: true })
 
   } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showStatus(error.message, 'error')
+      return false
+    }
     showStatus(`Batch upload failed: ${error.message}`, 'error')
     console.error('Batch upload error:', error)
     return false
-  } finally {
-    // Always remove progress overlay
-    progress.remove()
   }
 }
 
 /**
  * Handle file upload event
  */
-export async function handleBatchUpload(event, currentModel) {
+export async function handleBatchUpload(event, vectorManager, role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
   const file = event.target.files[0]
 
   if (!file) {
@@ -253,7 +220,7 @@ export async function handleBatchUpload(event, currentModel) {
     }
 
     // Show preview and confirm
-    const message = `Found ${parsed.new} new items to add (${parsed.total} total, ${parsed.unique} unique). Continue?`
+    const message = `Found ${parsed.new} new items to add as ${role}s (${parsed.total} total, ${parsed.unique} unique). Continue?`
 
     if (!confirm(message)) {
       showStatus('Batch upload cancelled', 'error')
@@ -261,10 +228,10 @@ export async function handleBatchUpload(event, currentModel) {
     }
 
     // Process batch
-    const success = await processBatchUpload(parsed.lines, currentModel)
+    const success = await processBatchUpload(parsed.lines, vectorManager, role)
 
     if (success) {
-      // Trigger visualization refresh (will be handled by main.js)
+      // Refresh the selection and labels for the new scene (handled by main.js)
       window.dispatchEvent(new CustomEvent('batchUploadComplete'))
     }
   }
@@ -0,0 +1,121 @@
+/**
+ * Canvas Recorder - capture the scene canvas while the camera moves
+ *
+ * - WebM: the canvas's captureStream() fed to a MediaRecorder
+ * - GIF: frames sampled from the canvas right after a render (the WebGL
+ *   drawing buffer isn't kept between frames), scaled down and reduced to
+ *   256 colors as they are sampled, then compressed once capturing stops
+ *   (see gif-encoder.js)
+ *
+ * Both return {extension, stop(onProgress)}; stop() resolves with the file.
+ */
+
+import { quantizeFrame, encodeGif } from './gif-encoder.js'
+import { RECORDING_CONFIG } from './constants.js'
+
+/**
+ * Whether this browser can record the canvas to video
+ * @returns {boolean}
+ */
+export function canRecordVideo() {
+  return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+}
+
+/**
+ * Start recording a canvas to WebM
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} options - {fps}
+ * @returns {Object} {extension, stop: () => Promise<Blob>}
+ * @throws {Error} If the browser can't record the canvas
+ */
+export function startWebmCapture(canvas, { fps = RECORDING_CONFIG.WEBM_FPS } = {}) {
+  if (!canRecordVideo()) {
+    throw new Error('This browser cannot record the canvas to video; choose GIF instead')
+  }
+  const mimeType = RECORDING_CONFIG.WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+  if (!mimeType) {
+    throw new Error('This browser cannot encode WebM; choose GIF instead')
+  }
+
+  const stream = canvas.captureStream(fps)
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: RECORDING_CONFIG.WEBM_BITS_PER_SECOND })
+  const chunks = []
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data)
+  })
+  recorder.start()
+
+  return {
+    extension: '.webm',
+    stop: () => new Promise((resolve, reject) => {
+      recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop())
+        if (chunks.length === 0) {
+          reject(new Error('The recording is empty'))
+          return
+        }
+        resolve(new Blob(chunks, { type: 'video/webm' }))
+      }, { once: true })
+      recorder.stop()
+    })
+  }
+}
+
+/**
+ * Start sampling the scene for a GIF
+ * @param {SceneManager} sceneManager - Rendered before each sample
+ * @param {Object} options
+ * @param {number} options.fps - Samples per second
+ * @param {number} options.maxWidth - Frames wider than this are scaled down
+ * @param {number} options.maxFrames - Sampling stops at this many frames
+ * @param {Function} options.onLimit - Called once when maxFrames is reached
+ * @returns {Object} {extension, stop: (onProgress) => Promise<Blob>} - onProgress(done, total) while encoding
+ */
+export function startGifCapture(sceneManager, {
+  fps = RECORDING_CONFIG.GIF_FPS,
+  maxWidth = RECORDING_CONFIG.GIF_MAX_WIDTH,
+  maxFrames = RECORDING_CONFIG.GIF_MAX_FRAMES,
+  onLimit = null
+} = {}) {
+  const source = sceneManager.renderer.domElement
+  const scale = Math.min(1, maxWidth / source.width)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(source.width * scale))
+  canvas.height = Math.max(1, Math.round(source.height * scale))
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+
+  const interval = 1000 / fps
+  const frames = []
+  let lastSample = -Infinity
+  let frame = null
+
+  const sample = (now) => {
+    frame = requestAnimationFrame(sample)
+    if (now - lastSample < interval) return
+    if (frames.length > 0) frames[frames.length - 1].delay = now - lastSample
+    lastSample = now
+
+    // Read the drawing buffer in the same task that renders it
+    sceneManager.render()
+    context.drawImage(source, 0, 0, canvas.width, canvas.height)
+    // Keep one byte per pixel rather than the four of the RGBA frame
+    const { palette, indices } = quantizeFrame(context.getImageData(0, 0, canvas.width, canvas.height).data)
+    frames.push({ palette, indices, delay: interval })
+
+    if (frames.length >= maxFrames) {
+      cancelAnimationFrame(frame)
+      frame = null
+      onLimit?.()
+    }
+  }
+  frame = requestAnimationFrame(sample)
+
+  return {
+    extension: '.gif',
+    stop: (onProgress = null) => {
+      if (frame) cancelAnimationFrame(frame)
+      frame = null
+      return encodeGif(frames, { width: canvas.width, height: canvas.height, onProgress })
+    }
+  }
+}
@@ -0,0 +1,375 @@
+/**
+ * Clustering - Group vectors by their high-dimensional embeddings
+ *
+ * Two methods, both run on L2-normalized embeddings so Euclidean distance
+ * ranks pairs the same way cosine similarity does:
+ * - kmeans:        k-means++ seeding, best of several seeded restarts
+ * - agglomerative: average-linkage hierarchy, cut at k clusters
+ *
+ * k can be fixed or picked automatically by the best mean silhouette score.
+ * Everything is seeded, so the same embeddings always give the same clusters.
+ */
+
+import { createSeededRandom, squaredDistanceMatrix } from './math-utils.js'
+import { runInWorker } from './worker-client.js'
+import { CLUSTER_CONFIG } from './constants.js'
+
+export const CLUSTER_METHODS = {
+  kmeans: 'k-means',
+  agglomerative: 'Agglomerative'
+}
+
+/**
+ * Scale each row to unit length (zero rows are left as they are)
+ * @param {Array<Array<number>>} matrix
+ * @returns {Array<Array<number>>}
+ */
+function normalizeRows(matrix) {
+  return matrix.map(row => {
+    const norm = Math.hypot(...row)
+    return norm > 0 ? row.map(v => v / norm) : [...row]
+  })
+}
+
+function squaredDistance(a, b) {
+  let sum = 0
+  for (let j = 0; j < a.length; j++) {
+    sum += (a[j] - b[j]) ** 2
+  }
+  return sum
+}
+
+/**
+ * k-means with k-means++ initialization
+ * @param {Array<Array<number>>} matrix - One row per point
+ * @param {number} k - Number of clusters
+ * @param {Function} random - Seeded generator from createSeededRandom()
+ * @returns {{labels: Array<number>, inertia: number}}
+ */
+function kMeansOnce(matrix, k, random) {
+  const n = matrix.length
+
+  // k-means++: each new centroid is drawn in proportion to squared distance
+  const centroids = [matrix[Math.floor(random() * n)]]
+  const closest = matrix.map(row => squaredDistance(row, centroids[0]))
+  while (centroids.length < k) {
+    const total = closest.reduce((sum, d) => sum + d, 0)
+    let target = random() * total
+    let index = 0
+    while (index < n - 1 && target >= closest[index]) {
+      target -= closest[index]
+      index++
+    }
+    centroids.push(matrix[index])
+    matrix.forEach((row, i) => {
+      closest[i] = Math.min(closest[i], squaredDistance(row, matrix[index]))
+    })
+  }
+
+  let labels = new Array(n).fill(-1)
+  let means = centroids.map(c => [...c])
+
+  for (let iter = 0; iter < CLUSTER_CONFIG.KMEANS_MAX_ITERATIONS; iter++) {
+    const next = matrix.map(row => {
+      let best = 0
+      let bestDistance = Infinity
+      means.forEach((mean, c) => {
+        const d = squaredDistance(row, mean)
+        if (d < bestDistance) {
+          bestDistance = d
+          best = c
+        }
+      })
+      return best
+    })
+
+    const changed = next.some((label, i) => label !== labels[i])
+    labels = next
+    if (!changed) break
+
+    means = means.map((mean, c) => {
+      const members = matrix.filter((_, i) => labels[i] === c)
+      // An emptied cluster keeps its old centroid rather than collapsing to NaN
+      if (members.length === 0) return mean
+      return mean.map((_, j) => members.reduce((sum, row) => sum + row[j], 0) / members.length)
+    })
+  }
+
+  const inertia = matrix.reduce((sum, row, i) => sum + squaredDistance(row, means[labels[i]]), 0)
+  return { labels, inertia }
+}
+
+/**
+ * Best of CLUSTER_CONFIG.KMEANS_RESTARTS seeded k-means runs
+ * @param {Array<Array<number>>} matrix
+ * @param {number} k
+ * @returns {Array<number>} Cluster index per row
+ */
+export function kMeans(matrix, k) {
+  const random = createSeededRandom(CLUSTER_CONFIG.RANDOM_SEED + k)
+  let best = null
+  for (let restart = 0; restart < CLUSTER_CONFIG.KMEANS_RESTARTS; restart++) {
+    const run = kMeansOnce(matrix, k, random)
+    if (!best || run.inertia < best.inertia) best = run
+  }
+  return best.labels
+}
+
+/**
+ * Average-linkage agglomerative clustering
+ * @param {Array<Array<number>>} distances - Pairwise distances
+ * @returns {Array<[number, number]>} Merge order as pairs of point indices
+ *   (each pair names one representative point of each merged cluster)
+ */
+function buildHierarchy(distances) {
+  const n = distances.length
+  const D = distances.map(row => Float64Array.from(row))
+  const sizes = new Array(n).fill(1)
+  const active = new Array(n).fill(true)
+  const merges = []
+
+  for (let step = 0; step < n - 1; step++) {
+    let a = -1
+    let b = -1
+    let best = Infinity
+    for (let i = 0; i < n; i++) {
+      if (!active[i]) continue
+      for (let j = i + 1; j < n; j++) {
+        if (active[j] && D[i][j] < best) {
+          best = D[i][j]
+          a = i
+          b = j
+        }
+      }
+    }
+
+    // Lance-Williams update for average linkage; cluster b is folded into a
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === a || k === b) continue
+      const d = (sizes[a] * D[a][k] + sizes[b] * D[b][k]) / (sizes[a] + sizes[b])
+      D[a][k] = d
+      D[k][a] = d
+    }
+    sizes[a] += sizes[b]
+    active[b] = false
+    merges.push([a, b])
+  }
+
+  return merges
+}
+
+/**
+ * Cluster labels after applying the first n - k merges
+ * @param {Array<[number, number]>} merges - From buildHierarchy()
+ * @param {number} n - Number of points
+ * @param {number} k - Clusters to keep
+ * @returns {Array<number>} Cluster index per point (0..k-1)
+ */
+function cutHierarchy(merges, n, k) {
+  const parent = Array.from({ length: n }, (_, i) => i)
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+
+  merges.slice(0, n - k).forEach(([a, b]) => {
+    parent[find(b)] = find(a)
+  })
+
+  const ids = new Map()
+  return parent.map((_, i) => {
+    const root = find(i)
+    if (!ids.has(root)) ids.set(root, ids.size)
+    return ids.get(root)
+  })
+}
+
+/**
+ * Leaf order of the average-linkage dendrogram, so similar items end up adjacent
+ * (used to reorder rows and columns of the similarity matrix)
+ * @param {Array<Array<number>>} distances - Pairwise distances
+ * @returns {Array<number>} Row indices in display order
+ */
+export function hierarchicalOrder(distances) {
+  const n = distances.length
+  if (n < 3) return Array.from({ length: n }, (_, i) => i)
+
+  const leaves = Array.from({ length: n }, (_, i) => [i])
+  let root = 0
+  buildHierarchy(distances).forEach(([a, b]) => {
+    leaves[a] = leaves[a].concat(leaves[b])
+    leaves[b] = null
+    root = a
+  })
+  return leaves[root]
+}
+
+/**
+ * Mean silhouette score: how much closer points are to their own cluster
+ * than to the nearest other one (-1..1, higher is better)
+ * @param {Array<Array<number>>} distances - Pairwise distances
+ * @param {Array<number>} labels
+ * @returns {number}
+ */
+export function silhouetteScore(distances, labels) {
+  const n = labels.length
+  const k = Math.max(...labels) + 1
+  const sizes = new Array(k).fill(0)
+  labels.forEach(label => { sizes[label]++ })
+
+  let total = 0
+  for (let i = 0; i < n; i++) {
+    // Singletons score 0 by convention
+    if (sizes[labels[i]] === 1) continue
+
+    const sums = new Array(k).fill(0)
+    for (let j = 0; j < n; j++) {
+      if (j !== i) sums[labels[j]] += distances[i][j]
+    }
+
+    const a = sums[labels[i]] / (sizes[labels[i]] - 1)
+    let b = Infinity
+    for (let c = 0; c < k; c++) {
+      if (c !== labels[i] && sizes[c] > 0) b = Math.min(b, sums[c] / sizes[c])
+    }
+    const denominator = Math.max(a, b)
+    total += denominator > 0 && b !== Infinity ? (b - a) / denominator : 0
+  }
+  return total / n
+}
+
+/**
+ * Cluster named embeddings
+ * @param {Object} embeddings - name -> embedding (null entries are skipped)
+ * @param {Object} options
+ * @param {string} options.method - 'kmeans' | 'agglomerative'
+ * @param {number|string} options.k - Cluster count, or 'auto' to pick by silhouette
+ * @returns {Object|null} {
+ *   method, k, auto, silhouette,
+ *   scores: Array<{k, silhouette}> (every k tried),
+ *   assignments: name -> cluster index,
+ *   clusters: Array<{index, members}> (members sorted closest-to-center first)
+ * } or null when there is nothing to cluster
+ */
+export function clusterEmbeddings(embeddings, { method = CLUSTER_CONFIG.DEFAULT_METHOD, k = CLUSTER_CONFIG.DEFAULT_K } = {}) {
+  if (!CLUSTER_METHODS[method]) {
+    throw new Error(`Unknown clustering method: ${method}`)
+  }
+
+  const names = Object.keys(embeddings).filter(name => embeddings[name] !== null)
+  if (names.length === 0) return null
+
+  const dims = embeddings[names[0]].length
+  if (names.some(name => embeddings[name].length !== dims)) {
+    throw new Error('Cannot cluster embeddings with different dimensions')
+  }
+
+  const matrix = normalizeRows(names.map(name => embeddings[name]))
+  const n = matrix.length
+  const distances = squaredDistanceMatrix(matrix).map(row => row.map(Math.sqrt))
+  const maxK = Math.min(CLUSTER_CONFIG.MAX_K, n - 1)
+
+  const hierarchy = method === 'agglomerative' && n > 1 ? buildHierarchy(distances) : null
+  const labelsFor = (count) => {
+    if (count <= 1) return new Array(n).fill(0)
+    return hierarchy ? cutHierarchy(hierarchy, n, count) : kMeans(matrix, count)
+  }
+
+  let labels
+  let scores = []
+  const auto = k === 'auto'
+  if (auto) {
+    // Silhouette needs at least two clusters with room to spare
+    if (maxK < CLUSTER_CONFIG.MIN_K) {
+      labels = labelsFor(1)
+    } else {
+      let best = null
+      for (let count = CLUSTER_CONFIG.MIN_K; count <= maxK; count++) {
+        const candidate = labelsFor(count)
+        const silhouette = silhouetteScore(distances, candidate)
+        scores.push({ k: count, silhouette })
+        if (!best || silhouette > best.silhouette) best = { labels: candidate, silhouette }
+      }
+      labels = best.labels
+    }
+  } else {
+    const count = Math.max(1, Math.min(parseInt(k, 10) || 1, n))
+    labels = labelsFor(count)
+    if (count >= 2 && count < n) {
+      scores = [{ k: count, silhouette: silhouetteScore(distances, labels) }]
+    }
+  }
+
+  const clusterCount = Math.max(...labels) + 1
+  const clusters = Array.from({ length: clusterCount }, (_, index) => {
+    const memberIndices = labels.map((label, i) => (label === index ? i : -1)).filter(i => i >= 0)
+    const center = matrix[0].map((_, j) =>
+      memberIndices.reduce((sum, i) => sum + matrix[i][j], 0) / memberIndices.length
+    )
+    const members = memberIndices
+      .sort((a, b) => squaredDistance(matrix[a], center) - squaredDistance(matrix[b], center))
+      .map(i => names[i])
+    return { index, members }
+  }).filter(cluster => cluster.members.length > 0)
+
+  return {
+    method,
+    k: clusters.length,
+    auto,
+    silhouette: clusterCount >= 2 && clusterCount < n ? silhouetteScore(distances, labels) : null,
+    scores,
+    assignments: Object.fromEntries(names.map((name, i) => [name, labels[i]])),
+    clusters
+  }
+}
+
+/**
+ * clusterEmbeddings() in the compute worker, so auto-k's silhouette sweep
+ * (one O(n²) pass per candidate k) never blocks rendering
+ * @param {Object} embeddings - name -> embedding (null entries are skipped)
+ * @param {Object} options - {method, k}, as for clusterEmbeddings()
+ * @returns {Promise<Object|null>} The clusterEmbeddings() result
+ */
+export function clusterInWorker(embeddings, { method, k } = {}) {
+  return runInWorker('cluster', { embeddings, method, k })
+}
+
+/**
+ * Give each cluster a palette color, keeping colors stable across reclustering:
+ * clusters inherit the color most of their members had before.
+ * @param {Array<{index, members}>} clusters - From clusterEmbeddings()
+ * @param {Object} previousColors - name -> color from the last assignment
+ * @returns {Array<number>} Color per cluster (same order as clusters)
+ */
+export function assignClusterColors(clusters, previousColors = {}) {
+  const palette = CLUSTER_CONFIG.PALETTE
+  const colors = new Array(clusters.length).fill(null)
+  const used = new Set()
+
+  // Greedy: strongest (cluster, old color) overlaps claim their color first
+  const overlaps = []
+  clusters.forEach((cluster, c) => {
+    const counts = new Map()
+    cluster.members.forEach(name => {
+      const color = previousColors[name]
+      if (palette.includes(color)) counts.set(color, (counts.get(color) || 0) + 1)
+    })
+    counts.forEach((count, color) => overlaps.push({ c, color, count }))
+  })
+  overlaps
+    .sort((a, b) => b.count - a.count)
+    .forEach(({ c, color }) => {
+      if (colors[c] === null && !used.has(color)) {
+        colors[c] = color
+        used.add(color)
+      }
+    })
+
+  let next = 0
+  return colors.map(color => {
+    if (color !== null) return color
+    while (next < palette.length && used.has(palette[next])) next++
+    // More clusters than colors: cycle (MAX_K keeps this from happening in the UI)
+    const fresh = palette[next % palette.length]
+    used.add(fresh)
+    next++
+    return fresh
+  })
+}
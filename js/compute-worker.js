@@ -0,0 +1,137 @@
+/**
+ * Compute Worker - model loading, embedding, projection and clustering off the main thread
+ *
+ * Message API (requests come from worker-client.js, replies echo the id):
+ * - { id, type: 'load', modelId, source }   -> {loadMs} once the pipeline is ready
+ *                                      (loadMs null if it was already loaded)
+ * - { id, type: 'embed', modelId, texts, pooling, normalize, source }
+ *                                   -> {embeddings: Array<Float32Array>, one per text (already
+ *                                      formatted, see formatInput() in embeddings.js),
+ *                                      inferenceMs, loadMs}
+ * - { id, type: 'project', embeddings, modelKey, method, frozen, basis }
+ *                                   -> {coords, layout, quality, basis} (see projection.js)
+ * - { id, type: 'cluster', embeddings, method, k }
+ *                                   -> clusterEmbeddings() result (see clustering.js)
+ * Failures reply with { id, error: message }. While a model downloads, 'load' and
+ * 'embed' requests also send { id, progress } with transformers.js progress events
+ * ({status: 'initiate' | 'download' | 'progress' | 'done' | 'ready', file, loaded, total}).
+ *
+ * `source` comes from model-hosting.js: {local, localModelPath, libraryUrl, wasmPath}.
+ * One model is kept in memory; loading another disposes the previous pipeline,
+ * so model requests run one at a time in arrival order.
+ */
+
+import { computeProjection } from './projection.js'
+import { clusterEmbeddings } from './clustering.js'
+import { WORKER_CONFIG, DIAGNOSTICS_CONFIG } from './constants.js'
+
+let transformers = null
+let embedder = null
+let embedderModelId = null
+let loading = null
+let modelQueue = Promise.resolve()
+
+// Runs a model task after the ones before it, so a load never disposes a
+// pipeline another request is still embedding with
+function enqueue(task) {
+  const run = modelQueue.then(task)
+  modelQueue = run.catch(() => {})
+  return run
+}
+
+// Served models load from the app's own folder and never touch the network;
+// the rest come from the Hugging Face CDN
+function configureHosting({ local = false, localModelPath = null, wasmPath = null } = {}) {
+  const { env } = transformers
+  env.allowLocalModels = local
+  env.allowRemoteModels = !local
+  if (localModelPath) env.localModelPath = localModelPath
+  if (wasmPath) env.backends.onnx.wasm.wasmPaths = wasmPath
+}
+
+// Forward download progress, skipping 'progress' events that moved less than a step
+function createProgressReporter(report) {
+  const lastPercent = {}
+  return (event) => {
+    if (event.status === 'progress') {
+      const percent = Math.floor(event.progress / DIAGNOSTICS_CONFIG.PROGRESS_STEP_PERCENT)
+      if (lastPercent[event.file] === percent) return
+      lastPercent[event.file] = percent
+    }
+    report(event)
+  }
+}
+
+/**
+ * @returns {Promise<Object>} {pipe, loadMs} (loadMs null when the model was already loaded)
+ */
+async function loadModel(modelId, source, onProgress) {
+  if (embedderModelId === modelId && embedder) return { pipe: embedder, loadMs: null }
+
+  // Concurrent requests for the same model share one download
+  if (loading?.modelId === modelId) return loading.promise
+
+  const promise = (async () => {
+    if (!transformers) {
+      transformers = await import(source?.libraryUrl ?? WORKER_CONFIG.TRANSFORMERS_URL)
+    }
+    configureHosting(source)
+
+    const start = performance.now()
+    const pipe = await transformers.pipeline('feature-extraction', modelId, {
+      progress_callback: createProgressReporter(onProgress)
+    })
+    const loadMs = performance.now() - start
+    if (embedder && embedder !== pipe) {
+      await embedder.dispose?.()
+    }
+    embedder = pipe
+    embedderModelId = modelId
+    return { pipe, loadMs }
+  })()
+
+  loading = { modelId, promise }
+  try {
+    return await promise
+  } finally {
+    if (loading?.promise === promise) loading = null
+  }
+}
+
+async function embed(modelId, texts, { pooling = 'mean', normalize = true }, source, onProgress) {
+  const { pipe, loadMs } = await loadModel(modelId, source, onProgress)
+  const embeddings = []
+  const start = performance.now()
+  for (const text of texts) {
+    const output = await pipe(text, { pooling, normalize })
+    embeddings.push(Float32Array.from(output.data))
+  }
+  return { embeddings, inferenceMs: performance.now() - start, loadMs }
+}
+
+const handlers = {
+  load: ({ modelId, source }, onProgress) => enqueue(async () => {
+    const { loadMs } = await loadModel(modelId, source, onProgress)
+    return { result: { loadMs } }
+  }),
+  embed: ({ modelId, texts, pooling, normalize, source }, onProgress) => enqueue(async () => {
+    const result = await embed(modelId, texts, { pooling, normalize }, source, onProgress)
+    return { result, transfer: result.embeddings.map(e => e.buffer) }
+  }),
+  project: async (request) => ({ result: computeProjection(request) }),
+  cluster: async ({ embeddings, method, k }) => ({ result: clusterEmbeddings(embeddings, { method, k }) })
+}
+
+self.onmessage = async (event) => {
+  const { id, type, ...request } = event.data
+  try {
+    const handler = handlers[type]
+    if (!handler) throw new Error(`Unknown worker request: ${type}`)
+
+    const onProgress = (progress) => self.postMessage({ id, progress })
+    const { result, transfer = [] } = await handler(request, onProgress)
+    self.postMessage({ id, result }, transfer)
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) })
+  }
+}
@@ -83,6 +83,7 @@ export const SCENE_CONFIG = {
     AXIS_LENGTH: 6,
     AXIS_THICKNESS: 0.05,
     AXIS_LABEL_OFFSET: 0.5,
+    AXIS_LABEL_WIDE_SCALE: [1.5, 0.25, 1],  // Multi-character axis labels (e.g. "PC1 16%")
     AXIS_OPACITY: 0.3,
     AXIS_DASH_SIZE: 0.15,
     AXIS_GAP_SIZE: 0.1,
@@ -119,21 +120,6 @@ export const LIGHTING_CONFIG = {
     RIM_LIGHT_POSITION: { x: 0, y: 8, z: -8 }
 };
 
-// ============================================================================
-// MODEL-SPECIFIC SCALING
-// ============================================================================
-
-export const MODEL_SCALING = {
-  // MiniLM produces well-distributed embeddings, use default scale
-  minilm: 5,
-
-  // E5-small tends to cluster more tightly, needs more spread
-  e5small: 8,
-
-  // BGE-small also clusters tightly, needs significant spread
-  bgesmall: 9
-}
-
 // ============================================================================
 // VECTOR ARROW VISUAL CONFIGURATION
 // ============================================================================
@@ -431,6 +417,201 @@ export const COMPARISON_CONFIG = {
     TIP_BADGE_RENDER_ORDER: 999
 };
 
+// ============================================================================
+// SIMILARITY METRIC CONFIGURATION
+// ============================================================================
+
+export const SIMILARITY_CONFIG = {
+    // Cosine thresholds (same scale in both spaces)
+    COSINE_HIGH_THRESHOLD: 0.7,
+    COSINE_MEDIUM_THRESHOLD: 0.3,
+
+    // Euclidean thresholds for normalized embeddings (distance range 0-2)
+    ORIGINAL_EUCLIDEAN_CLOSE: 0.8,
+    ORIGINAL_EUCLIDEAN_MODERATE: 1.2,
+
+    // Euclidean thresholds in the scaled 3D projection (~0.5 to ~4.0)
+    PROJECTED_EUCLIDEAN_CLOSE: 1.0,
+    PROJECTED_EUCLIDEAN_MODERATE: 2.0,
+
+    // Wording of a 3D distance in the comparison summary ("close" / "moderate" / "far apart");
+    // looser than the color bands above, as it has always been
+    PROJECTED_EUCLIDEAN_CLOSE_WORDING: 2.0,
+    PROJECTED_EUCLIDEAN_MODERATE_WORDING: 4.0,
+
+    // Dot product thresholds (higher is more aligned)
+    DOT_HIGH_THRESHOLD: 0.5,
+    DOT_MEDIUM_THRESHOLD: -0.5,
+
+    // Cosine gap between spaces above which the projection is flagged as misleading
+    DISTORTION_WARNING_THRESHOLD: 0.2
+};
+
+// ============================================================================
+// CLUSTERING CONFIGURATION
+// ============================================================================
+
+export const CLUSTER_CONFIG = {
+    // 'kmeans' | 'agglomerative'
+    DEFAULT_METHOD: 'kmeans',
+
+    // Fixed cluster count, or 'auto' to pick k by silhouette score
+    DEFAULT_K: 'auto',
+
+    // Range searched when k is 'auto' (MAX_K is also capped at n - 1)
+    MIN_K: 2,
+    MAX_K: 10,
+
+    // k-means: seeded restarts (best inertia wins) and iteration cap
+    KMEANS_RESTARTS: 5,
+    KMEANS_MAX_ITERATIONS: 100,
+    RANDOM_SEED: 11,
+
+    // Categorical palette (Observable 10), one color per cluster
+    PALETTE: [
+        0x4269d0,
+        0xefb118,
+        0xff725c,
+        0x6cc5b0,
+        0x3ca951,
+        0xff8ab7,
+        0xa463f2,
+        0x97bbf5,
+        0x9c6b4e,
+        0x9498a0
+    ],
+
+    // Vectors without an embedding can't be clustered
+    UNASSIGNED_COLOR: 0x64748b,
+
+    // Member names shown per legend entry
+    LEGEND_PREVIEW_COUNT: 3
+};
+
+// ============================================================================
+// NEAREST NEIGHBORS CONFIGURATION
+// ============================================================================
+
+export const KNN_CONFIG = {
+    // Neighbors listed (and drawn) for a single selected vector
+    TOP_K: 8,
+
+    // Metric used until the user picks another ('cosine' | 'dot' | 'euclidean')
+    DEFAULT_METRIC: 'cosine',
+
+    // Button labels, in display order
+    METRIC_LABELS: {
+        cosine: 'Cosine',
+        dot: 'Dot',
+        euclidean: 'Euclidean'
+    }
+};
+
+// ============================================================================
+// SEARCH CONFIGURATION
+// ============================================================================
+
+export const SEARCH_CONFIG = {
+    // Matches listed in semantic ("by meaning") mode
+    SEMANTIC_TOP_K: 8,
+
+    // Wait for typing to pause before embedding the query
+    SEMANTIC_DEBOUNCE_MS: 400,
+
+    // Probe marker at the query's projected position
+    PROBE_COLOR: 0x60a5fa,
+    PROBE_LABEL_PREFIX: '? '
+};
+
+// ============================================================================
+// SIMILARITY MATRIX CONFIGURATION
+// ============================================================================
+
+export const MATRIX_CONFIG = {
+    // Heatmap color stops for cosine similarity, low -> high
+    COLOR_STOPS: [
+        { value: -0.2, color: 0x1e3a8a },
+        { value: 0.2, color: 0x0f172a },
+        { value: 0.6, color: 0xf59e0b },
+        { value: 1.0, color: 0xfef3c7 }
+    ],
+
+    // Largest cell edge in CSS pixels; big scenes shrink cells to fit
+    MAX_CELL_SIZE: 28,
+    MAX_GRID_SIZE: 480,
+
+    // Row/column names are drawn only while cells are at least this tall
+    MIN_LABEL_CELL_SIZE: 10,
+    LABEL_WIDTH: 96,
+    LABEL_FONT: '11px system-ui, sans-serif',
+
+    // Cluster color strip along the left and top edges
+    CLUSTER_STRIP_WIDTH: 6,
+
+    // Outline for the hovered cell and the selected pair
+    HOVER_COLOR: '#ffffff',
+    SELECTION_COLOR: '#4ade80'
+};
+
+// ============================================================================
+// MODEL COMPARISON CONFIGURATION
+// ============================================================================
+
+export const MODEL_COMPARE_CONFIG = {
+    // Side-by-side viewports, one per model
+    MIN_MODELS: 2,
+    MAX_MODELS: 3,
+
+    // Space between viewports (device-independent pixels) and its color
+    PANE_GAP: 2,
+    GAP_COLOR: 0x1e293b,
+
+    // Label sprites are GPU-heavy; bigger scenes only label the selected pair
+    MAX_LABELS: 60,
+    LABEL_SCALE: 0.6,
+
+    // A click further than this from its pointerdown was a camera drag
+    CLICK_TOLERANCE_PX: 4
+};
+
+// ============================================================================
+// MODEL SHIFT CONFIGURATION
+// ============================================================================
+
+export const MODEL_SHIFT_CONFIG = {
+    // Rotate a new model's layout onto the previous one (Procrustes) on switch
+    ALIGN_ON_SWITCH: true,
+
+    // Mirror images count as aligned: PCA / t-SNE axes have no handedness
+    ALLOW_REFLECTION: true,
+
+    // Neighborhood size compared before and after a switch
+    NEIGHBORS: 5,
+
+    // Words listed in the shift panel, most changed first
+    TOP_WORDS: 10,
+
+    // Displacement trails from old to new tips; shorter moves are not drawn
+    TRAIL_OPACITY: 0.55,
+    TRAIL_DOT_RADIUS: 0.035,
+    MIN_TRAIL_LENGTH: 0.05
+};
+
+// ============================================================================
+// VECTOR ARITHMETIC CONFIGURATION
+// ============================================================================
+
+export const ARITHMETIC_CONFIG = {
+    // Number of nearest neighbors listed for a result vector
+    TOP_K: 5,
+
+    // Result arrow color (white stands apart from the word palette)
+    RESULT_COLOR: 0xf8fafc,
+
+    // Label prefix for the result arrow
+    RESULT_LABEL_PREFIX: '= '
+};
+
 // ============================================================================
 // INTRO ANIMATION CONFIGURATION
 // ============================================================================
@@ -587,11 +768,76 @@ export const PCA_CONFIG = {
     // Convergence threshold
     CONVERGENCE_THRESHOLD: 1e-10,
 
-    // Scale factor for 3D coordinates
+    // Scale factor for 3D coordinates when the spread can't be measured (every point at the center)
     SCALE_FACTOR: 5,
 
+    // Every model's layout is scaled so the points' RMS distance from the center
+    // is this (what MiniLM got from the starter words at a fixed scale of 5)
+    TARGET_RMS_RADIUS: 2.4,
+
     // Single vector fallback position
-    SINGLE_VECTOR_POSITION: [3, 0, 0]
+    SINGLE_VECTOR_POSITION: [3, 0, 0],
+
+    // Seed for the power-iteration start vectors (same data -> same axes)
+    RANDOM_SEED: 7
+};
+
+// ============================================================================
+// PROJECTION METHOD CONFIGURATION (t-SNE / UMAP)
+// ============================================================================
+
+export const PROJECTION_CONFIG = {
+    // Method used on startup ('pca' | 'tsne' | 'umap')
+    DEFAULT_METHOD: 'pca',
+
+    // Non-linear methods need a few points to build neighborhoods; below this PCA is used
+    MIN_POINTS_NONLINEAR: 5,
+
+    // Non-linear layouts have arbitrary scale; rescale so the farthest point sits here
+    TARGET_RADIUS: 3.5,
+
+    // Seed for initial layouts and sampling so the same data gives the same picture
+    RANDOM_SEED: 42,
+
+    // Duration of the old -> new position transition when re-projecting
+    TRANSITION_DURATION_MS: 900,
+
+    // Neighbors used to place an off-scene vector in a non-linear layout
+    OUT_OF_SAMPLE_NEIGHBORS: 5,
+
+    // Neighborhood size for fidelity scores and "close in the full space"
+    FIDELITY_NEIGHBORS: 5,
+
+    // A pair counts as "close in 3D" within this many layout neighbors
+    CLOSE_IN_3D_NEIGHBORS: 3,
+
+    // Fidelity color encoding: 0 -> LOW, 0.5 -> MID, 1 -> HIGH
+    FIDELITY_COLORS: {
+        LOW: 0xef4444,
+        MID: 0xfacc15,
+        HIGH: 0x22c55e
+    },
+
+    TSNE: {
+        PERPLEXITY: 10,              // Capped at (n - 1) / 3 for small scenes
+        ITERATIONS: 500,
+        LEARNING_RATE: 10,           // Small scenes need a gentler step than the usual 200
+        EARLY_EXAGGERATION: 4,
+        EXAGGERATION_ITERATIONS: 100,
+        INITIAL_MOMENTUM: 0.5,
+        FINAL_MOMENTUM: 0.8,
+        MOMENTUM_SWITCH_ITERATION: 250
+    },
+
+    UMAP: {
+        N_NEIGHBORS: 10,             // Capped at n - 1
+        MIN_DIST: 0.1,
+        SPREAD: 1.0,
+        EPOCHS: 400,
+        LEARNING_RATE: 1.0,
+        NEGATIVE_SAMPLE_RATE: 5,
+        REPULSION_STRENGTH: 1.0
+    }
 };
 
 // ============================================================================
@@ -615,7 +861,233 @@ export const EXPORT_CONFIG = {
 
     // Filename pattern (uses timestamp)
     FILENAME_PREFIX: 'vector-viz',
-    FILENAME_SUFFIX: '.png'
+    FILENAME_SUFFIX: '.png',
+
+    // Data exports (see data-export.js) are named <prefix>-<timestamp>-<file>
+    DATA_FILENAME_PREFIX: 'vector-workspace',
+
+    // Decimal places for coordinates and metrics in the CSV exports
+    CSV_DECIMALS: 6,
+
+    // Resolution multipliers offered for PNG exports (rendered offscreen)
+    SCALES: [1, 2, 4],
+    DEFAULT_SCALE: 2,
+
+    // Overlay baked into exports (sizes in CSS pixels, multiplied by the scale)
+    OVERLAY_FONT: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    OVERLAY_TITLE_SIZE: 16,
+    OVERLAY_TEXT_SIZE: 12,
+    OVERLAY_PADDING: 12,
+    OVERLAY_MARGIN: 16,
+    OVERLAY_PANEL_COLOR: 'rgba(10, 14, 39, 0.85)',
+    OVERLAY_TEXT_COLOR: '#e5e7eb',
+    OVERLAY_MUTED_COLOR: '#9ca3af',
+    OVERLAY_MAX_CLUSTERS: 8,
+
+    // SVG export: the current view flattened to 2D
+    SVG_FILENAME_SUFFIX: '.svg',
+    SVG_TIP_RADIUS: 4,
+    SVG_STROKE_WIDTH: 2,
+    SVG_LABEL_SIZE: 12,
+
+    // glTF export: label textures are scaled down to at most this many pixels wide
+    GLTF_MAX_TEXTURE_SIZE: 1024
+};
+
+// ============================================================================
+// RECORDING CONFIGURATION
+// ============================================================================
+
+export const RECORDING_CONFIG = {
+    // Recordings are named <prefix>-<timestamp>.webm / .gif
+    FILENAME_PREFIX: 'vector-viz-recording',
+
+    // WebM: frames per second captured from the canvas, and the encoder's bitrate
+    WEBM_FPS: 30,
+    WEBM_BITS_PER_SECOND: 8000000,
+
+    // First container/codec the browser's MediaRecorder supports wins
+    WEBM_MIME_TYPES: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+
+    // GIF: frames are sampled at this rate and scaled down to this width
+    GIF_FPS: 15,
+    GIF_MAX_WIDTH: 480,
+
+    // Capturing stops after this many GIF frames (they are held in memory until encoded)
+    GIF_MAX_FRAMES: 450,
+
+    // Still frames before the camera starts moving, so the clip doesn't open mid-motion
+    LEAD_IN_MS: 300,
+
+    // Turntable defaults: seconds per recording and full revolutions
+    TURNTABLE_DURATION_S: 12,
+    TURNTABLE_TURNS: 1,
+
+    // Seconds to reach a newly added keyframe, and the allowed range
+    KEYFRAME_DURATION_S: 3,
+    MIN_DURATION_S: 0.5,
+    MAX_DURATION_S: 120,
+
+    // localStorage key for the keyframe path, so a recording can be repeated after a reload
+    STORAGE_KEY: 'vector-viz-camera-path'
+};
+
+// ============================================================================
+// COMPUTE WORKER CONFIGURATION
+// ============================================================================
+
+export const WORKER_CONFIG = {
+    // Workers can't use the page's import map, so the library is loaded by URL
+    TRANSFORMERS_URL: 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2'
+};
+
+// ============================================================================
+// JOB QUEUE CONFIGURATION
+// ============================================================================
+
+export const JOB_QUEUE_CONFIG = {
+    // Waiting jobs listed under the running one in the progress overlay
+    MAX_LISTED: 4,
+
+    // Overlay fade-out once the last overlay job finishes (matches .fade-out)
+    FADE_OUT_MS: 300
+};
+
+// ============================================================================
+// MODEL DIAGNOSTICS CONFIGURATION
+// ============================================================================
+
+export const DIAGNOSTICS_CONFIG = {
+    // The worker forwards a file's download progress each time it moves this far
+    PROGRESS_STEP_PERCENT: 1,
+
+    // Load progress stays up this long after the model is ready
+    READY_HIDE_MS: 1500,
+
+    // Longest file name shown next to a progress bar (path prefix is dropped first)
+    MAX_FILE_NAME_LENGTH: 28
+};
+
+// ============================================================================
+// EMBEDDING IMPORT CONFIGURATION
+// ============================================================================
+
+export const IMPORT_CONFIG = {
+    // Model tag of imported vectors; they are never re-embedded
+    EXTERNAL_MODEL: 'external',
+
+    // Most vectors one import may add (each one gets an arrow and a label)
+    MAX_VECTORS: 1000,
+
+    // Column names tried in order (case-insensitive) for CSV / JSONL / JSON
+    // records and multi-column metadata TSVs
+    VECTOR_COLUMNS: ['vector', 'embedding', 'embeddings', 'values'],
+    LABEL_COLUMNS: ['label', 'text', 'name', 'word', 'title', 'id'],
+
+    // Longer labels are shortened in the scene; the whole label is kept as full text
+    MAX_LABEL_LENGTH: 40
+};
+
+// ============================================================================
+// MODEL HOSTING CONFIGURATION
+// ============================================================================
+
+export const MODEL_HOSTING_CONFIG = {
+    // 'auto'   - use models found under LOCAL_MODEL_PATH, fetch the rest from Hugging Face
+    // 'local'  - never leave the server (air-gapped); models not found locally are disabled
+    // 'remote' - always fetch from Hugging Face
+    MODE: 'auto',
+
+    // Served next to the app; one folder per model id, e.g. models/Xenova/all-MiniLM-L6-v2/
+    // (relative to index.html, populate with `node download-models.js`)
+    LOCAL_MODEL_PATH: 'models/',
+
+    // A model counts as available offline when this file is served
+    PROBE_FILE: 'config.json',
+
+    // Self-hosted transformers.js build and ONNX Runtime .wasm files, used instead of
+    // the CDN when present (`node download-models.js --runtime`)
+    LOCAL_RUNTIME_PATH: 'models/runtime/',
+    LOCAL_RUNTIME_LIBRARY: 'transformers.min.js',
+
+    // Cache the app shell and model files in a service worker (sw.js) for offline use
+    SERVICE_WORKER: true,
+    SERVICE_WORKER_URL: 'sw.js'
+};
+
+// ============================================================================
+// CUSTOM MODELS CONFIGURATION
+// ============================================================================
+
+export const CUSTOM_MODEL_CONFIG = {
+    // localStorage key for models added with the "add model" dialog
+    STORAGE_KEY: 'vector-explorer-custom-models',
+
+    // Embedded once to find a new model's output dimension
+    PROBE_TEXT: 'dimension probe',
+
+    // Hugging Face ids ('org/name') or folders under MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH
+    ID_PATTERN: /^[\w.-]+(\/[\w.-]+)*$/
+};
+
+// ============================================================================
+// EMBEDDING INPUT CONFIGURATION
+// ============================================================================
+
+export const EMBEDDING_INPUT_CONFIG = {
+    // Every vector is embedded as a query or a document; models like E5 and BGE
+    // format the two differently (see `templates` in MODEL_CONFIGS)
+    ROLES: ['document', 'query'],
+    DEFAULT_ROLE: 'document',
+
+    // Replaced by the input text in a template, e.g. 'query: {text}'
+    TEMPLATE_PLACEHOLDER: '{text}',
+
+    // Pooling of token embeddings into one vector (transformers.js feature-extraction)
+    POOLING_METHODS: ['mean', 'cls'],
+    DEFAULT_POOLING: 'mean',
+    DEFAULT_NORMALIZE: true
+};
+
+// ============================================================================
+// EMBEDDING CACHE CONFIGURATION
+// ============================================================================
+
+export const EMBEDDING_CACHE_CONFIG = {
+    // IndexedDB location; entries are keyed by model id + formatted input text
+    // (+ pooling / normalization when they differ from mean / normalized)
+    DB_NAME: 'vector-explorer-embeddings',
+    STORE_NAME: 'embeddings'
+};
+
+// ============================================================================
+// SESSION FILE CONFIGURATION
+// ============================================================================
+
+export const SESSION_CONFIG = {
+    // Marker and schema version written into every session file
+    FORMAT: 'vector-similarity-session',
+    VERSION: 1,
+
+    // Filename pattern (uses timestamp)
+    FILENAME_PREFIX: 'vector-session',
+    FILENAME_SUFFIX: '.json',
+    MIME_TYPE: 'application/json',
+
+    // Continuous autosave to IndexedDB, restored on the next page load
+    AUTOSAVE_DB: 'vector-explorer-workspace',
+    AUTOSAVE_STORE: 'sessions',
+    AUTOSAVE_KEY: 'autosave',
+    AUTOSAVE_DEBOUNCE_MS: 1000
+};
+
+// ============================================================================
+// UNDO / REDO CONFIGURATION
+// ============================================================================
+
+export const HISTORY_CONFIG = {
+    // Oldest steps are dropped beyond this many
+    MAX_ENTRIES: 50
 };
 
 // ============================================================================
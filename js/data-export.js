@@ -0,0 +1,184 @@
+/**
+ * Data Export - the workspace in formats other tools read
+ *
+ * - Embedding Projector: a vectors TSV and a metadata TSV (load both at
+ *   projector.tensorflow.org, or read them back with the importer)
+ * - JSONL: one record per vector with its full embedding, 3D coords and metadata
+ * - CSV of the projected 3D coordinates
+ * - CSV of every pair's similarity, in the original space and in 3D
+ *
+ * The builders return file contents; exportWorkspace() downloads them.
+ */
+
+import { vectors, originalEmbeddings } from './vector-data.js'
+import { compareVectors } from './similarity.js'
+import { getVectorFidelity } from './projection.js'
+import { getCurrentModel } from './embeddings.js'
+import { fileTimestamp, downloadBlob } from './ui.js'
+import { EXPORT_CONFIG, EMBEDDING_INPUT_CONFIG } from './constants.js'
+
+const formatNumber = (value) =>
+  value === null || value === undefined ? '' : String(Number(value.toFixed(EXPORT_CONFIG.CSV_DECIMALS)))
+
+// Quote a CSV field when it holds a comma, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvRow = (fields) => fields.map(csvField).join(',')
+
+// The projector splits on tabs and lines, so those become spaces
+const tsvField = (value) => (value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' '))
+
+// Names of vectors that have an embedding, in scene order
+function embeddedNames() {
+  return Object.keys(vectors).filter(name => Array.isArray(originalEmbeddings[name]))
+}
+
+// Union of the per-vector metadata keys (imported columns), in first-seen order
+function metadataKeys(names) {
+  const keys = new Set()
+  names.forEach(name => Object.keys(vectors[name].metadata ?? {}).forEach(key => keys.add(key)))
+  return [...keys]
+}
+
+/**
+ * What every export says about a vector besides its numbers
+ * @param {string} name
+ * @returns {Object} {label, fullText, model, role, cluster}
+ */
+export function describeVector(name) {
+  const data = vectors[name]
+  return {
+    label: name,
+    fullText: data.fullText ?? null,
+    model: data.model ?? getCurrentModel(),
+    role: data.role ?? EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE,
+    cluster: data.cluster ?? null
+  }
+}
+
+/**
+ * Embedding Projector files: one tab-separated vector per line, and metadata
+ * with a header row (the projector's format when there are several columns)
+ * @returns {Object} {vectors, metadata, count} - TSV texts, vectors with an embedding
+ */
+export function createProjectorTsv() {
+  const names = embeddedNames()
+  const extraKeys = metadataKeys(names)
+
+  const header = ['label', 'full_text', 'model', 'role', 'cluster', ...extraKeys]
+  const rows = names.map(name => {
+    const { label, fullText, model, role, cluster } = describeVector(name)
+    const extra = extraKeys.map(key => vectors[name].metadata?.[key])
+    return [label, fullText, model, role, cluster, ...extra].map(tsvField).join('\t')
+  })
+
+  return {
+    vectors: names.map(name => originalEmbeddings[name].join('\t')).join('\n') + '\n',
+    metadata: [header.join('\t'), ...rows].join('\n') + '\n',
+    count: names.length
+  }
+}
+
+/**
+ * One JSON record per vector: label, full text, model, role, cluster, 3D coords,
+ * metadata and the full embedding (null if it has none)
+ * @returns {Object} {text, count}
+ */
+export function createJsonl() {
+  const names = Object.keys(vectors)
+  const lines = names.map(name => JSON.stringify({
+    ...describeVector(name),
+    coords: vectors[name].coords,
+    metadata: vectors[name].metadata ?? null,
+    vector: originalEmbeddings[name] ?? null
+  }))
+  return { text: lines.join('\n') + '\n', count: names.length }
+}
+
+/**
+ * Projected 3D coordinates with each vector's model, cluster and projection fidelity
+ * @returns {Object} {text, count}
+ */
+export function createCoordsCsv() {
+  const names = Object.keys(vectors)
+  const rows = names.map(name => {
+    const { label, model, cluster } = describeVector(name)
+    const [x, y, z] = vectors[name].coords
+    return csvRow([label, formatNumber(x), formatNumber(y), formatNumber(z), model, cluster, formatNumber(getVectorFidelity(name))])
+  })
+  return {
+    text: [csvRow(['label', 'x', 'y', 'z', 'model', 'cluster', 'fidelity']), ...rows].join('\n') + '\n',
+    count: names.length
+  }
+}
+
+/**
+ * Every unordered pair's cosine, euclidean distance and dot product in the
+ * original space, plus the 3D cosine and how far it is off (see compareVectors())
+ * @returns {Object} {text, count} - count is the number of pairs
+ */
+export function createSimilarityCsv() {
+  const names = Object.keys(vectors)
+  const rows = []
+  names.forEach((a, i) => {
+    names.slice(i + 1).forEach(b => {
+      const { original, projected, distortion } = compareVectors(a, b)
+      rows.push(csvRow([
+        a,
+        b,
+        formatNumber(original?.cosine),
+        formatNumber(original?.euclidean),
+        formatNumber(original?.dot),
+        formatNumber(projected?.cosine),
+        formatNumber(distortion)
+      ]))
+    })
+  })
+  const header = csvRow(['a', 'b', 'cosine', 'euclidean', 'dot', 'cosine_3d', 'distortion'])
+  return { text: [header, ...rows].join('\n') + '\n', count: rows.length }
+}
+
+const download = (text, suffix, type) =>
+  downloadBlob(new Blob([text], { type }), `${EXPORT_CONFIG.DATA_FILENAME_PREFIX}-${fileTimestamp()}-${suffix}`)
+
+/**
+ * Build and download one export of the current workspace
+ * @param {string} format - 'projector' | 'jsonl' | 'coords' | 'similarities'
+ * @returns {string} What was exported, for the status bar
+ * @throws {Error} For an empty workspace or an unknown format
+ */
+export function exportWorkspace(format) {
+  if (Object.keys(vectors).length === 0) {
+    throw new Error('There are no vectors to export')
+  }
+
+  switch (format) {
+    case 'projector': {
+      const { vectors: vectorsTsv, metadata, count } = createProjectorTsv()
+      if (count === 0) throw new Error('No vector has an embedding to export')
+      download(vectorsTsv, 'vectors.tsv', 'text/tab-separated-values')
+      download(metadata, 'metadata.tsv', 'text/tab-separated-values')
+      return `${count} vectors as Embedding Projector TSVs`
+    }
+    case 'jsonl': {
+      const { text, count } = createJsonl()
+      download(text, 'vectors.jsonl', 'application/x-ndjson')
+      return `${count} vectors as JSONL`
+    }
+    case 'coords': {
+      const { text, count } = createCoordsCsv()
+      download(text, 'coords.csv', 'text/csv')
+      return `3D coordinates of ${count} vectors`
+    }
+    case 'similarities': {
+      const { text, count } = createSimilarityCsv()
+      download(text, 'similarities.csv', 'text/csv')
+      return `${count} pairwise similarities`
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`)
+  }
+}
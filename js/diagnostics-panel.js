@@ -0,0 +1,240 @@
+/**
+ * Diagnostics views over model-diagnostics.js
+ *
+ * - ModelLoadProgress: under the model selector while a model loads, one
+ *   progress bar per downloaded file, then "Initializing"; if the load fails,
+ *   the error and what to do about it
+ * - DiagnosticsPanel: per model load time, memory (size of the weights and
+ *   tokenizer it loaded), embedding latency per item and how many items it embedded
+ */
+
+import { MODEL_CONFIGS, getCurrentModel } from './embeddings.js'
+import { onModelDiagnosticsChange, getModelDiagnostics } from './model-diagnostics.js'
+import { formatBytes } from './ui.js'
+import { DIAGNOSTICS_CONFIG } from './constants.js'
+
+const modelName = (key) => MODEL_CONFIGS[key]?.name ?? key
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`
+
+const STATUS_TEXT = {
+  idle: 'Not loaded',
+  loading: 'Loading...',
+  ready: 'In memory',
+  unloaded: 'Unloaded',
+  error: 'Failed'
+}
+
+// 'onnx/model_quantized.onnx' -> 'model_quantized.onnx', shortened to fit
+function shortFileName(file) {
+  const name = file.split('/').pop()
+  const max = DIAGNOSTICS_CONFIG.MAX_FILE_NAME_LENGTH
+  return name.length > max ? `${name.slice(0, max - 1)}…` : name
+}
+
+export class ModelLoadProgress {
+  constructor() {
+    this.element = document.getElementById('model-load-progress')
+    this.title = document.getElementById('model-load-title')
+    this.files = document.getElementById('model-load-files')
+    this.error = document.getElementById('model-load-error')
+
+    this.frame = null
+    this.hideTimer = null
+    this.dismissed = false
+    this.lastStatus = null
+
+    this.element?.querySelector('.model-load-dismiss')?.addEventListener('click', (e) => {
+      e.stopPropagation()
+      this.dismissed = true
+      this.hide()
+    })
+
+    // Downloads report many times a second; draw at most once per frame
+    onModelDiagnosticsChange((models, activeModel) => {
+      if (this.frame) return
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null
+        this.render(models[activeModel], activeModel)
+      })
+    })
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer)
+    this.hideTimer = null
+    if (this.element) this.element.style.display = 'none'
+  }
+
+  show() {
+    clearTimeout(this.hideTimer)
+    this.hideTimer = null
+    this.element.style.display = 'flex'
+  }
+
+  render(record, modelKey) {
+    if (!this.element || !record) return
+
+    // A new load brings back a dismissed card
+    if (record.status === 'loading' && this.lastStatus !== 'loading') this.dismissed = false
+    this.lastStatus = record.status
+    if (this.dismissed) return
+
+    const files = Object.entries(record.files)
+    this.element.classList.toggle('failed', record.status === 'error')
+
+    if (record.status === 'error') {
+      this.title.textContent = `Could not load ${modelName(modelKey)}`
+      this.error.textContent = `${record.error.hint} (${record.error.message})`
+      this.renderFiles(files)
+      this.show()
+      return
+    }
+    this.error.textContent = ''
+
+    if (record.status === 'loading') {
+      // Nothing to show until the worker actually downloads (an already loaded model answers at once)
+      if (files.length === 0) return
+      const loaded = files.reduce((sum, [, file]) => sum + file.loaded, 0)
+      const total = files.reduce((sum, [, file]) => sum + file.total, 0)
+      this.title.textContent = files.every(([, file]) => file.done)
+        ? `Initializing ${modelName(modelKey)}...`
+        : `Downloading ${modelName(modelKey)} (${formatBytes(loaded)} of ${formatBytes(total)})`
+      this.renderFiles(files)
+      this.show()
+      return
+    }
+
+    // Ready: leave the finished bars up for a moment if they were showing
+    if (record.status === 'ready' && this.element.style.display !== 'none' && !this.hideTimer) {
+      this.title.textContent = record.loadMs !== null
+        ? `${modelName(modelKey)} ready in ${formatSeconds(record.loadMs)}`
+        : `${modelName(modelKey)} ready`
+      this.renderFiles(files)
+      this.hideTimer = setTimeout(() => this.hide(), DIAGNOSTICS_CONFIG.READY_HIDE_MS)
+    }
+  }
+
+  renderFiles(files) {
+    this.files.innerHTML = ''
+    files.forEach(([file, { loaded, total, done }]) => {
+      const percent = done ? 100 : total > 0 ? Math.round((loaded / total) * 100) : 0
+
+      const item = document.createElement('li')
+      item.className = 'model-load-file'
+      item.title = file
+
+      const name = document.createElement('span')
+      name.className = 'model-load-file-name'
+      name.textContent = shortFileName(file)
+
+      const track = document.createElement('div')
+      track.className = 'model-load-track'
+      const bar = document.createElement('div')
+      bar.className = 'model-load-bar'
+      bar.style.width = `${percent}%`
+      track.appendChild(bar)
+
+      const value = document.createElement('span')
+      value.className = 'model-load-percent'
+      value.textContent = done ? '✓' : `${percent}%`
+
+      item.append(name, track, value)
+      this.files.appendChild(item)
+    })
+  }
+}
+
+export class DiagnosticsPanel {
+  constructor() {
+    this.panel = document.getElementById('diagnostics-panel')
+    this.table = document.getElementById('diagnostics-table')
+
+    this.setupEventListeners()
+
+    onModelDiagnosticsChange(() => {
+      if (this.isOpen()) this.render()
+    })
+  }
+
+  isOpen() {
+    return this.panel && this.panel.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.panel) return
+    this.render()
+    this.panel.style.display = 'flex'
+  }
+
+  close() {
+    if (this.panel) this.panel.style.display = 'none'
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  render() {
+    if (!this.table) return
+    const models = getModelDiagnostics()
+    const current = getCurrentModel()
+
+    const headings = ['Model', 'Status', 'Load', 'Memory', 'Latency / item', 'Embedded']
+    const header = document.createElement('tr')
+    headings.forEach(text => {
+      const cell = document.createElement('th')
+      cell.textContent = text
+      header.appendChild(cell)
+    })
+
+    const body = document.createDocumentFragment()
+    Object.keys(MODEL_CONFIGS).forEach(key => {
+      const record = models[key]
+      const row = document.createElement('tr')
+      row.classList.toggle('current', key === current)
+
+      const cells = [
+        modelName(key),
+        STATUS_TEXT[record?.status ?? 'idle'],
+        record?.loadMs != null ? formatSeconds(record.loadMs) : '—',
+        record?.bytes ? formatBytes(record.bytes) : '—',
+        record?.embedded > 0 ? `${(record.embedMs / record.embedded).toFixed(1)} ms` : '—',
+        String(record?.embedded ?? 0)
+      ]
+      cells.forEach(text => {
+        const cell = document.createElement('td')
+        cell.textContent = text
+        row.appendChild(cell)
+      })
+      body.appendChild(row)
+
+      if (record?.status === 'error') {
+        const errorRow = document.createElement('tr')
+        errorRow.className = 'diagnostics-error'
+        const cell = document.createElement('td')
+        cell.colSpan = headings.length
+        cell.textContent = `${record.error.hint} (${record.error.message})`
+        errorRow.appendChild(cell)
+        body.appendChild(errorRow)
+      }
+    })
+
+    this.table.innerHTML = ''
+    this.table.append(header, body)
+  }
+
+  setupEventListeners() {
+    if (!this.panel) return
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.diagnostics-close-btn')) this.close()
+    })
+  }
+}
@@ -0,0 +1,379 @@
+/**
+ * Embedding Import - vectors embedded outside the app (e.g. by a production model)
+ *
+ * Reads precomputed embeddings and their labels:
+ * - Embedding Projector TSVs: vectors (one tab-separated vector per line) plus
+ *   metadata (one label per line, or a header row and several columns)
+ * - CSV, JSONL or JSON (an array of records) with a vector column
+ *   ("[0.1, 0.2, ...]" or space-separated numbers in CSV) and a label column
+ * - .npy (float32 / float64, shape [n, d]) plus a labels file (.txt or metadata .tsv)
+ * Columns besides the label and vector are kept as per-vector metadata.
+ *
+ * Imported vectors are tagged IMPORT_CONFIG.EXTERNAL_MODEL instead of a model key:
+ * their embeddings go into originalEmbeddings as they are and model switches
+ * never re-embed them (see VectorManager.importVectors()). They come from
+ * another embedding space, so they never share a scene with words embedded by
+ * the app's models, whatever the dimensions (assertModelFitsScene(),
+ * hasModelVectors()).
+ */
+
+import { vectors, originalEmbeddings } from './vector-data.js'
+import { MODEL_CONFIGS } from './embeddings.js'
+import { IMPORT_CONFIG } from './constants.js'
+
+const USAGE = 'Choose a vectors .tsv or .npy file with its labels file, or a single .csv, .jsonl or .json file'
+
+const TABLE_EXTENSIONS = ['csv', 'jsonl', 'ndjson', 'json']
+const TEXT_EXTENSIONS = ['tsv', 'txt']
+
+const extensionOf = (file) => file.name.split('.').pop().toLowerCase()
+
+// Lines of a text file, without the trailing blank ones
+function splitLines(text) {
+  const lines = text.split(/\r?\n/)
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop()
+  return lines
+}
+
+/**
+ * Index of the first candidate column present (case-insensitive)
+ * @param {Array<string>} columns
+ * @param {Array<string>} candidates - e.g. IMPORT_CONFIG.LABEL_COLUMNS
+ * @returns {number} -1 if none is
+ */
+function findColumn(columns, candidates) {
+  const lower = columns.map(column => column.trim().toLowerCase())
+  for (const candidate of candidates) {
+    const index = lower.indexOf(candidate)
+    if (index !== -1) return index
+  }
+  return -1
+}
+
+/**
+ * A vector from a JSON array, "[0.1, 0.2]" or numbers separated by spaces, tabs, commas or semicolons
+ * @param {Array<number>|string} value
+ * @param {string} where - For the error, e.g. 'Line 3'
+ * @returns {Array<number>}
+ */
+function parseVector(value, where) {
+  let values = value
+  if (typeof value === 'string') {
+    const text = value.trim()
+    try {
+      values = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split(/[\s,;]+/).filter(Boolean).map(Number)
+    } catch {
+      values = null
+    }
+  }
+  if (!Array.isArray(values) || values.length === 0 || !values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+    throw new Error(`${where} is not a list of numbers`)
+  }
+  return values
+}
+
+// [key, value] pairs with scalar values as an object, or null if there are none
+function pickMetadata(entries) {
+  const kept = entries.filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+  return kept.length > 0 ? Object.fromEntries(kept) : null
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may hold commas, newlines and "" quotes.
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows that aren't blank
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Vectors, labels and metadata from records (CSV rows, JSONL lines, JSON array items)
+ * @param {Array<Object>} records
+ * @returns {Object} {embeddings, labels, metadata}
+ */
+function fromRecords(records) {
+  if (records.length === 0) throw new Error('No records found')
+  if (!records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+    throw new Error('Every record must be an object with a vector and a label')
+  }
+
+  const columns = Object.keys(records[0])
+  const vectorColumn = columns[findColumn(columns, IMPORT_CONFIG.VECTOR_COLUMNS)]
+  if (!vectorColumn) {
+    throw new Error(`No vector column (expected one of: ${IMPORT_CONFIG.VECTOR_COLUMNS.join(', ')})`)
+  }
+  const labelColumn = columns[findColumn(columns, IMPORT_CONFIG.LABEL_COLUMNS)]
+
+  return {
+    embeddings: records.map((record, i) => parseVector(record[vectorColumn], `Record ${i + 1}'s ${vectorColumn}`)),
+    labels: records.map(record => (labelColumn ? String(record[labelColumn] ?? '') : '')),
+    metadata: records.map(record => pickMetadata(
+      Object.entries(record).filter(([key]) => key !== vectorColumn && key !== labelColumn)
+    ))
+  }
+}
+
+async function readTableFile(file) {
+  const text = await file.text()
+  const extension = extensionOf(file)
+
+  if (extension === 'csv') {
+    const [header, ...rows] = parseCsv(text)
+    if (!header) throw new Error(`${file.name} is empty`)
+    return fromRecords(rows.map(fields => Object.fromEntries(header.map((column, i) => [column.trim(), fields[i] ?? '']))))
+  }
+
+  if (extension === 'json') {
+    let records
+    try {
+      records = JSON.parse(text)
+    } catch {
+      throw new Error(`${file.name} is not valid JSON`)
+    }
+    if (!Array.isArray(records)) throw new Error(`${file.name} must hold an array of records`)
+    return fromRecords(records)
+  }
+
+  // JSONL: one record per line
+  return fromRecords(splitLines(text).filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line)
+    } catch {
+      throw new Error(`Line ${i + 1} of ${file.name} is not valid JSON`)
+    }
+  }))
+}
+
+/**
+ * Embedding Projector metadata: one label per line, or (with several columns)
+ * a header row, the label column and the rest as metadata
+ * @param {string} text
+ * @returns {Object} {labels, metadata}
+ */
+function parseMetadata(text) {
+  const lines = splitLines(text)
+  if (!lines.some(line => line.includes('\t'))) {
+    return { labels: lines.map(line => line.trim()), metadata: null }
+  }
+
+  const [header, ...rows] = lines.map(line => line.split('\t'))
+  const labelIndex = Math.max(findColumn(header, IMPORT_CONFIG.LABEL_COLUMNS), 0)
+  return {
+    labels: rows.map(fields => (fields[labelIndex] ?? '').trim()),
+    metadata: rows.map(fields => pickMetadata(
+      header.map((column, i) => [column.trim(), fields[i] ?? '']).filter((_, i) => i !== labelIndex)
+    ))
+  }
+}
+
+// Whether a TSV holds vectors (numbers only) rather than metadata
+function isVectorsTsv(text) {
+  const first = text.split(/\r?\n/).find(line => line.trim())
+  const fields = first?.trim().split('\t') ?? []
+  return fields.length > 1 && fields.every(field => field.trim() !== '' && Number.isFinite(Number(field)))
+}
+
+function parseVectorsTsv(text) {
+  return splitLines(text)
+    .filter(line => line.trim())
+    .map((line, i) => parseVector(line, `Line ${i + 1}`))
+}
+
+/**
+ * Rows of a 2D .npy array (float32 or float64, either byte order, C or Fortran order)
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<Array<number>>}
+ */
+function parseNpy(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const magic = String.fromCharCode(...bytes.subarray(1, 6))
+  if (bytes[0] !== 0x93 || magic !== 'NUMPY') throw new Error('Not a .npy file')
+
+  // Version 1 has a 2-byte header length, later versions 4 bytes
+  const view = new DataView(buffer)
+  const major = bytes[6]
+  const headerStart = major === 1 ? 10 : 12
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true)
+  const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength))
+
+  const descr = header.match(/'descr':\s*'([<>|=])([a-z])(\d+)'/)
+  if (!descr || descr[2] !== 'f' || !['4', '8'].includes(descr[3])) {
+    throw new Error(`.npy must hold float32 or float64 values (found ${header.match(/'descr':\s*'([^']*)'/)?.[1] ?? 'unknown'})`)
+  }
+  const shape = (header.match(/'shape':\s*\(([^)]*)\)/)?.[1] ?? '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(Number)
+  if (shape.length !== 2) {
+    throw new Error(`.npy must be a 2D array [vectors, dimensions] (found shape [${shape.join(', ')}])`)
+  }
+
+  const [rows, dims] = shape
+  const size = Number(descr[3])
+  const littleEndian = descr[1] !== '>'
+  const fortranOrder = /'fortran_order':\s*True/.test(header)
+  const offset = headerStart + headerLength
+  if (buffer.byteLength < offset + rows * dims * size) throw new Error('.npy file is truncated')
+
+  const read = size === 4
+    ? (index) => view.getFloat32(offset + index * 4, littleEndian)
+    : (index) => view.getFloat64(offset + index * 8, littleEndian)
+
+  return Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: dims }, (_, col) => read(fortranOrder ? col * rows + row : row * dims + col))
+  )
+}
+
+/**
+ * Scene names for the imported vectors: labels shortened for display and made unique
+ * @param {Object} parsed - {embeddings, labels, metadata}
+ * @returns {Array<Object>} {name, fullText (null unless shortened), embedding, metadata}
+ */
+function toEntries({ embeddings, labels, metadata }) {
+  if (embeddings.length === 0) throw new Error('No vectors found')
+  if (embeddings.length > IMPORT_CONFIG.MAX_VECTORS) {
+    throw new Error(`Too many vectors (${embeddings.length}). Maximum is ${IMPORT_CONFIG.MAX_VECTORS}`)
+  }
+  if (labels && labels.length !== embeddings.length) {
+    throw new Error(`Found ${labels.length} labels for ${embeddings.length} vectors`)
+  }
+
+  const dims = embeddings[0].length
+  const names = new Set()
+  return embeddings.map((embedding, i) => {
+    if (embedding.length !== dims) {
+      throw new Error(`Vector ${i + 1} has ${embedding.length} dimensions, expected ${dims}`)
+    }
+
+    const label = labels?.[i] || `#${i + 1}`
+    const base = label.length > IMPORT_CONFIG.MAX_LABEL_LENGTH
+      ? label.substring(0, IMPORT_CONFIG.MAX_LABEL_LENGTH) + '...'
+      : label
+    let name = base
+    for (let n = 2; names.has(name); n++) name = `${base} (${n})`
+    names.add(name)
+
+    return {
+      name,
+      fullText: label !== base ? label : null,
+      embedding,
+      metadata: metadata?.[i] ?? null
+    }
+  })
+}
+
+/**
+ * Read precomputed embeddings from the files picked for import
+ * @param {Array<File>} files - One table file, or a vectors file plus an optional labels file
+ * @returns {Promise<Object>} {entries: [{name, fullText, embedding, metadata}], dims, source}
+ * @throws {Error} With a message suitable for the status bar
+ */
+export async function readEmbeddingFiles(files) {
+  const npy = files.filter(file => extensionOf(file) === 'npy')
+  const tables = files.filter(file => TABLE_EXTENSIONS.includes(extensionOf(file)))
+  const texts = files.filter(file => TEXT_EXTENSIONS.includes(extensionOf(file)))
+  if (npy.length + tables.length + texts.length !== files.length) throw new Error(USAGE)
+
+  let parsed
+  if (tables.length === 1 && files.length === 1) {
+    parsed = await readTableFile(tables[0])
+  } else if (npy.length === 1 && tables.length === 0 && texts.length <= 1) {
+    parsed = {
+      embeddings: parseNpy(await npy[0].arrayBuffer()),
+      ...(texts[0] ? parseMetadata(await texts[0].text()) : { labels: null, metadata: null })
+    }
+  } else if (npy.length === 0 && tables.length === 0 && texts.length >= 1 && texts.length <= 2) {
+    const contents = await Promise.all(texts.map(file => file.text()))
+    const vectorsIndex = contents.findIndex(isVectorsTsv)
+    if (vectorsIndex === -1) throw new Error('No vectors file found (tab-separated numbers, one vector per line)')
+    const labelsText = contents.find((_, i) => i !== vectorsIndex)
+    parsed = {
+      embeddings: parseVectorsTsv(contents[vectorsIndex]),
+      ...(labelsText !== undefined ? parseMetadata(labelsText) : { labels: null, metadata: null })
+    }
+  } else {
+    throw new Error(USAGE)
+  }
+
+  const entries = toEntries(parsed)
+  return {
+    entries,
+    dims: entries[0].embedding.length,
+    source: files.map(file => file.name).join(' + ')
+  }
+}
+
+/**
+ * Dimensionality of the scene's embeddings
+ * @returns {number|null} null for an empty scene
+ */
+export function getSceneDimensions() {
+  const embedding = Object.values(originalEmbeddings).find(Boolean)
+  return embedding ? embedding.length : null
+}
+
+/**
+ * Whether the scene holds words embedded by one of the app's models
+ * @returns {boolean}
+ */
+export function hasModelVectors() {
+  return Object.values(vectors).some(data => data.model !== IMPORT_CONFIG.EXTERNAL_MODEL)
+}
+
+/**
+ * Refuse to embed scene words (or a search query) with a model while the scene
+ * holds imported vectors. Cosine, neighbors and clusters across two embedding
+ * spaces mean nothing, even when both have the same number of dimensions.
+ * @param {string} modelKey
+ * @throws {Error} If the scene holds imported vectors
+ */
+export function assertModelFitsScene(modelKey) {
+  const imported = Object.keys(vectors).filter(name =>
+    vectors[name].model === IMPORT_CONFIG.EXTERNAL_MODEL && originalEmbeddings[name]
+  ).length
+  if (imported === 0) return
+
+  const { name } = MODEL_CONFIGS[modelKey]
+  throw new Error(
+    `The scene holds ${imported} imported vectors from another embedding model, so ${name} ` +
+    'embeddings can\'t be compared with them. Start fresh (or undo the import) to use the app\'s models.'
+  )
+}
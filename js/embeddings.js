@@ -1,84 +1,390 @@
-import { pipeline, env } from '@xenova/transformers';
+// Model state and caching live here; the transformers.js pipeline itself runs
+// in the compute worker (see compute-worker.js) so inference never blocks rendering
+import { runInWorker } from './worker-client.js';
+import { createKeyValueStore } from './idb.js';
+import { resolveModelSource, normalizeModelId } from './model-hosting.js';
+import {
+    beginModelLoad,
+    recordLoadProgress,
+    recordModelLoaded,
+    recordModelLoadError,
+    recordEmbedding,
+    isLoadInProgress
+} from './model-diagnostics.js';
+import { EMBEDDING_CACHE_CONFIG, CUSTOM_MODEL_CONFIG, EMBEDDING_INPUT_CONFIG } from './constants.js';
 
-// Configure transformers.js
-env.allowLocalModels = false;
-
-// Model configurations
+// Model configurations (built-ins; models added at runtime are merged in below)
+// - templates: how each role's text is formatted before embedding ('{text}' = input)
+// - pooling: 'mean' or 'cls' token pooling; normalize: L2-normalize the output
 export const MODEL_CONFIGS = {
     'minilm': {
         id: 'Xenova/all-MiniLM-L6-v2',
         name: 'MiniLM-L6-v2',
+        label: 'MiniLM',
         institution: 'Sentence-Transformers',
         dims: 384,
         size: '~50MB',
         paradigm: 'Paraphrase Detection',
-        description: 'Specialized for semantic similarity and paraphrase detection'
+        description: 'Specialized for semantic similarity and paraphrase detection',
+        templates: { query: '{text}', document: '{text}' },
+        pooling: 'mean',
+        normalize: true
     },
     'e5-small': {
         id: 'Xenova/e5-small-v2',
         name: 'E5-small-v2',
+        label: 'E5-small',
         institution: 'Microsoft Research',
         dims: 384,
         size: '~133MB',
         paradigm: 'Weakly-Supervised Contrastive',
-        description: 'Trained on billions of web text pairs with diverse relationships'
+        description: 'Trained on billions of web text pairs with diverse relationships',
+        // E5 was trained with these prefixes and degrades without them
+        templates: { query: 'query: {text}', document: 'passage: {text}' },
+        pooling: 'mean',
+        normalize: true
     },
     'bge-small': {
         id: 'Xenova/bge-small-en-v1.5',
         name: 'BGE-small-en-v1.5',
+        label: 'BGE-small',
         institution: 'BAAI (Beijing Academy of AI)',
         dims: 384,
         size: '~150MB',
         paradigm: 'RetroMAE + Distillation',
-        description: 'Optimized for retrieval with knowledge distilled from expert models'
+        description: 'Optimized for retrieval with knowledge distilled from expert models',
+        // BGE uses the [CLS] token and an instruction on short retrieval queries only
+        templates: { query: 'Represent this sentence for searching relevant passages: {text}', document: '{text}' },
+        pooling: 'cls',
+        normalize: true
     }
 };
 
-// Embedding model state
-let embedder = null;
+// Models added with the "add model" dialog persist in localStorage. Each config
+// is built by createCustomConfig() and marked `custom: true`.
+function loadCustomModels() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_MODEL_CONFIG.STORAGE_KEY) || '{}');
+        Object.entries(stored).forEach(([key, config]) => {
+            if (!MODEL_CONFIGS[key] && isValidModelConfig(config)) MODEL_CONFIGS[key] = config;
+        });
+    } catch (error) {
+        console.warn('Ignoring stored custom models:', error);
+    }
+}
+
+function saveCustomModels() {
+    const custom = Object.fromEntries(
+        Object.entries(MODEL_CONFIGS).filter(([, config]) => config.custom)
+    );
+    try {
+        localStorage.setItem(CUSTOM_MODEL_CONFIG.STORAGE_KEY, JSON.stringify(custom));
+    } catch (error) {
+        console.warn('Could not save custom models:', error);
+    }
+}
+
+// A stored or session-provided config is usable if it names a model and its
+// dimension; input options are optional and default in getModelInputOptions()
+export function isValidModelConfig(config) {
+    const templates = config?.templates ?? {};
+    return typeof config?.id === 'string' && CUSTOM_MODEL_CONFIG.ID_PATTERN.test(config.id) &&
+        typeof config.name === 'string' && config.name.length > 0 &&
+        Number.isInteger(config.dims) && config.dims > 0 &&
+        (config.pooling === undefined || EMBEDDING_INPUT_CONFIG.POOLING_METHODS.includes(config.pooling)) &&
+        (config.normalize === undefined || typeof config.normalize === 'boolean') &&
+        Object.values(templates).every(template => typeof template === 'string');
+}
+
+function createCustomConfig(modelId, dims, { name = '', templates = {}, pooling, normalize } = {}) {
+    const segments = modelId.split('/');
+    return {
+        id: modelId,
+        name: name || segments[segments.length - 1],
+        label: name || segments[segments.length - 1],
+        institution: segments.length > 1 ? segments[0] : 'Local',
+        dims,
+        size: 'size unknown',
+        paradigm: 'Custom',
+        description: `Added at runtime (${modelId})`,
+        templates,
+        pooling: pooling ?? EMBEDDING_INPUT_CONFIG.DEFAULT_POOLING,
+        normalize: normalize ?? EMBEDDING_INPUT_CONFIG.DEFAULT_NORMALIZE,
+        custom: true
+    };
+}
+
+// Selector key from the model id, e.g. 'Xenova/bge-base-en-v1.5' -> 'bge-base-en-v1-5'
+function createModelKey(modelId) {
+    const base = modelId.split('/').pop().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'model';
+    let key = base;
+    for (let n = 2; MODEL_CONFIGS[key]; n++) key = `${base}-${n}`;
+    return key;
+}
+
+export function isCustomModel(modelKey) {
+    return !!MODEL_CONFIGS[modelKey]?.custom;
+}
+
+// Add a model config under a known key, e.g. from a session saved with it
+export function registerModel(modelKey, config) {
+    if (MODEL_CONFIGS[modelKey]) return;
+    if (!isValidModelConfig(config)) {
+        throw new Error(`Invalid model config for ${modelKey}`);
+    }
+    MODEL_CONFIGS[modelKey] = { ...config, custom: true };
+    saveCustomModels();
+}
+
+// Load a transformers.js feature-extraction model once to learn its output
+// dimension, then register it. `input` is a model id or a path into the local
+// models folder; options are {name, templates, pooling, normalize}.
+// Returns the new model key.
+export async function addModel(input, options = {}) {
+    const modelId = normalizeModelId(input);
+    if (!CUSTOM_MODEL_CONFIG.ID_PATTERN.test(modelId)) {
+        throw new Error('Enter a model id like Xenova/bge-base-en-v1.5');
+    }
+    const existing = Object.values(MODEL_CONFIGS).find(config => config.id === modelId);
+    if (existing) {
+        throw new Error(`${modelId} is already available as ${existing.name}`);
+    }
+    if (modelLoading) {
+        throw new Error('A model is still loading; try again when it is ready');
+    }
+
+    // The probe is a full model load, so its download shows in the diagnostics
+    // like any other (under the key the model is about to get)
+    const modelKey = createModelKey(modelId);
+    beginModelLoad(modelKey);
+    let probe;
+    try {
+        const source = await resolveModelSource(modelId);
+        const result = await runInWorker('embed', {
+            modelId,
+            texts: [CUSTOM_MODEL_CONFIG.PROBE_TEXT],
+            pooling: options.pooling ?? EMBEDDING_INPUT_CONFIG.DEFAULT_POOLING,
+            normalize: options.normalize ?? EMBEDDING_INPUT_CONFIG.DEFAULT_NORMALIZE,
+            source
+        }, [], progress => recordLoadProgress(modelKey, progress));
+        recordModelLoaded(modelKey, result.loadMs);
+        [probe] = result.embeddings;
+    } catch (error) {
+        console.error('Error loading model:', error);
+        const hint = recordModelLoadError(modelKey, error, modelId);
+        throw new Error(`Could not load ${modelId}: ${error.message.replace(/\.$/, '')}. ${hint}`);
+    }
+    // The worker keeps one pipeline, so the current model reloads on next use
+    modelReady = false;
+
+    MODEL_CONFIGS[modelKey] = createCustomConfig(modelId, probe.length, { ...options, name: options.name?.trim() });
+    saveCustomModels();
+    return modelKey;
+}
+
+// Forget a model added at runtime (its cached embeddings stay until the cache is cleared)
+export function removeModel(modelKey) {
+    if (!isCustomModel(modelKey)) {
+        throw new Error('Only models added at runtime can be removed');
+    }
+    if (modelKey === currentModelKey) {
+        throw new Error('Switch to another model before removing this one');
+    }
+    delete MODEL_CONFIGS[modelKey];
+    saveCustomModels();
+}
+
+loadCustomModels();
+
+// Embedding model state (mirrors what the worker has loaded)
 let modelLoading = false;
 let modelReady = false;
 let currentModelKey = 'minilm';
+let loadPromise = null;
+
+// A failed load is recorded for the diagnostics and rethrown with what to do about it
+function loadFailure(modelKey, error) {
+    const { id, name } = MODEL_CONFIGS[modelKey];
+    const hint = recordModelLoadError(modelKey, error, id);
+    return new Error(`Could not load ${name}: ${error.message.replace(/\.$/, '')}. ${hint}`);
+}
 
 export async function initEmbeddingModel(modelKey = 'minilm') {
     // If requesting the same model that's already loaded, skip
-    if (modelLoading && currentModelKey === modelKey) return;
-    if (modelReady && currentModelKey === modelKey) return;
+    if (modelReady && currentModelKey === modelKey) return MODEL_CONFIGS[modelKey];
+    // Callers asking for a model that's mid-load wait for the same load
+    if (modelLoading && currentModelKey === modelKey) return loadPromise;
+
+    const config = MODEL_CONFIGS[modelKey];
+    if (!config) {
+        throw new Error(`Unknown model key: ${modelKey}`);
+    }
 
     // Reset state for new model
     currentModelKey = modelKey;
     modelReady = false;
     modelLoading = true;
 
+    console.log(`Loading ${config.institution} ${config.name}...`);
+    beginModelLoad(modelKey);
+    // Local files (see model-hosting.js) or the Hugging Face CDN; per-file
+    // download progress goes to the diagnostics
+    loadPromise = resolveModelSource(config.id)
+        .then(source => runInWorker('load', { modelId: config.id, source }, [],
+            progress => recordLoadProgress(modelKey, progress)))
+        .then(({ loadMs }) => {
+            recordModelLoaded(modelKey, loadMs);
+            // A switch to another model while this one loaded wins
+            if (currentModelKey === modelKey) {
+                modelReady = true;
+                modelLoading = false;
+            }
+            console.log(`${config.name} loaded successfully`);
+            return config;
+        }, (error) => {
+            console.error('Error loading model:', error);
+            if (currentModelKey === modelKey) modelLoading = false;
+            throw loadFailure(modelKey, error);
+        });
+    return loadPromise;
+}
+
+// Input options with defaults filled in (stored custom models may predate them)
+export function getModelInputOptions(modelKey) {
+    const config = MODEL_CONFIGS[modelKey];
+    return {
+        templates: config.templates ?? {},
+        pooling: config.pooling ?? EMBEDDING_INPUT_CONFIG.DEFAULT_POOLING,
+        normalize: config.normalize ?? EMBEDDING_INPUT_CONFIG.DEFAULT_NORMALIZE
+    };
+}
+
+// The text a model actually embeds for a role, e.g. 'query: cat' for E5.
+// A template without the placeholder is treated as a prefix.
+export function formatInput(text, modelKey, role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
+    const placeholder = EMBEDDING_INPUT_CONFIG.TEMPLATE_PLACEHOLDER;
+    const template = getModelInputOptions(modelKey).templates[role] || placeholder;
+    return template.includes(placeholder)
+        ? template.replace(placeholder, () => text)
+        : template + text;
+}
+
+// Persistent embedding cache. Keys use the model id (not the UI key) so a
+// repointed model never serves stale vectors. Best-effort: without IndexedDB
+// every lookup misses and embeddings are computed as before.
+const embeddingCache = createKeyValueStore(EMBEDDING_CACHE_CONFIG.DB_NAME, EMBEDDING_CACHE_CONFIG.STORE_NAME);
+
+// Approximate size of the cache in bytes: measured by one full walk the first
+// time it is asked for, then kept up to date by writes and clears (null = not measured yet)
+let cacheBytes = null;
+
+const entrySize = (key, value) => key.length * 2 + (value?.byteLength ?? 0);
+
+function cacheKey(modelKey, text, role) {
+    const { pooling, normalize } = getModelInputOptions(modelKey);
+    // Mean-pooled, normalized entries keep the original key format
+    const variant = (pooling === 'mean' ? '' : `\u0000${pooling}`) + (normalize ? '' : '\u0000raw');
+    return `${MODEL_CONFIGS[modelKey].id}\u0000${formatInput(text, modelKey, role)}${variant}`;
+}
+
+async function readCachedEmbedding(modelKey, text, role) {
+    try {
+        const cached = await embeddingCache.get(cacheKey(modelKey, text, role));
+        return cached ? Array.from(cached) : null;
+    } catch {
+        return null;
+    }
+}
+
+async function writeCachedEmbedding(modelKey, text, role, embedding) {
     try {
-        const config = MODEL_CONFIGS[modelKey];
-        if (!config) {
-            throw new Error(`Unknown model key: ${modelKey}`);
-        }
-
-        console.log(`Loading ${config.institution} ${config.name}...`);
-        embedder = await pipeline('feature-extraction', config.id);
-        modelReady = true;
-        modelLoading = false;
-        console.log(`${config.name} loaded successfully`);
-        return config;
+        // Float32Array: the model's own precision, compact in IndexedDB
+        const key = cacheKey(modelKey, text, role);
+        const value = Float32Array.from(embedding);
+        await embeddingCache.set(key, value);
+        if (cacheBytes !== null) cacheBytes += entrySize(key, value);
     } catch (error) {
-        console.error('Error loading model:', error);
-        modelLoading = false;
-        throw error;
+        console.warn('Embedding cache write failed:', error);
     }
 }
 
-export async function getEmbedding(word, modelKey = null) {
-    // If modelKey is specified and different from current, reload
-    if (modelKey && modelKey !== currentModelKey) {
-        await initEmbeddingModel(modelKey);
+// role: 'document' (default) or 'query'; picks the model's template for the text
+export async function getEmbedding(word, modelKey = null, role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
+    const key = modelKey || currentModelKey;
+
+    // Cache hits don't need the model at all
+    const cached = await readCachedEmbedding(key, word, role);
+    if (cached) return cached;
+
+    if (key !== currentModelKey) {
+        // Another model than the app's (e.g. for side-by-side comparison): the worker
+        // loads it for this request, so the current model has to load again after
+        modelReady = false;
     } else if (!modelReady) {
         await initEmbeddingModel(currentModelKey);
     }
 
-    const output = await embedder(word, { pooling: 'mean', normalize: true });
-    return Array.from(output.data);
+    // The worker may have restarted since the load, so it gets the source again.
+    // It (re)loads the model if needed; progress shows like any other load.
+    const modelId = MODEL_CONFIGS[key].id;
+    const { pooling, normalize } = getModelInputOptions(key);
+    let result;
+    try {
+        const source = await resolveModelSource(modelId);
+        result = await runInWorker('embed', {
+            modelId,
+            texts: [formatInput(word, key, role)],
+            pooling,
+            normalize,
+            source
+        }, [], progress => recordLoadProgress(key, progress));
+    } catch (error) {
+        if (isLoadInProgress(key)) throw loadFailure(key, error);
+        throw error;
+    }
+    if (result.loadMs !== null) recordModelLoaded(key, result.loadMs);
+    recordEmbedding(key, 1, result.inferenceMs);
+    const embedding = Array.from(result.embeddings[0]);
+    await writeCachedEmbedding(key, word, role, embedding);
+    return embedding;
+}
+
+// Whether getEmbedding() can answer from the cache (no model load needed)
+export async function isEmbeddingCached(word, modelKey = null, role = EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE) {
+    return (await readCachedEmbedding(modelKey || currentModelKey, word, role)) !== null;
+}
+
+// Number of cached embeddings and their approximate size in bytes. Only the
+// first call reads every entry; later ones count keys and use the running size.
+export async function getEmbeddingCacheStats() {
+    if (cacheBytes === null) {
+        let bytes = 0;
+        await embeddingCache.entries((key, value) => {
+            bytes += entrySize(key, value);
+        });
+        cacheBytes = bytes;
+    }
+    return { entries: await embeddingCache.count(), bytes: cacheBytes };
+}
+
+export async function clearEmbeddingCache() {
+    await embeddingCache.clear();
+    cacheBytes = 0;
+}
+
+// Point at a model without loading it, e.g. when restoring embeddings that were
+// saved with it. The pipeline loads on the next getEmbedding() call.
+export function setCurrentModel(modelKey) {
+    if (!MODEL_CONFIGS[modelKey]) {
+        throw new Error(`Unknown model key: ${modelKey}`);
+    }
+    if (modelKey === currentModelKey) return;
+    if (modelLoading) {
+        throw new Error('A model is still loading; try again when it is ready');
+    }
+
+    currentModelKey = modelKey;
+    modelReady = false;
 }
 
 export function isModelReady() {
@@ -0,0 +1,113 @@
+/**
+ * ImageExportDialog - options for exporting the scene as a picture
+ *
+ * PNG at a multiple of the canvas size (rendered offscreen), or SVG of the
+ * view flattened to 2D; either with a transparent background and with the
+ * overlay (model, legend, selected pair metrics) baked in. The export itself
+ * is the callback's job (see image-export.js).
+ */
+
+import { EXPORT_CONFIG } from './constants.js'
+
+export class ImageExportDialog {
+  /**
+   * @param {Function} onExport - async ({format, scale, transparent, overlay}) => void
+   * @param {Function} getCanvasSize - () => {width, height} in CSS pixels, for the resolution labels
+   */
+  constructor(onExport, getCanvasSize) {
+    this.onExport = onExport
+    this.getCanvasSize = getCanvasSize
+
+    this.backdrop = document.getElementById('image-export-dialog')
+    this.form = document.getElementById('image-export-form')
+    this.formatInput = document.getElementById('image-export-format')
+    this.scaleInput = document.getElementById('image-export-scale')
+    this.transparentInput = document.getElementById('image-export-transparent')
+    this.overlayInput = document.getElementById('image-export-overlay')
+    this.status = document.getElementById('image-export-status')
+
+    this.busy = false
+
+    this.setupEventListeners()
+  }
+
+  isOpen() {
+    return this.backdrop && this.backdrop.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.backdrop) return
+    this.renderScales()
+    this.updateFormat()
+    this.setStatus('')
+    this.backdrop.style.display = 'flex'
+  }
+
+  close() {
+    if (!this.backdrop || this.busy) return
+    this.backdrop.style.display = 'none'
+  }
+
+  setStatus(message, type = '') {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.className = `model-dialog-status ${type}`
+  }
+
+  // Multipliers with the pixel size they give at the current canvas size
+  renderScales() {
+    if (!this.scaleInput) return
+    const selected = Number(this.scaleInput.value) || EXPORT_CONFIG.DEFAULT_SCALE
+    const { width, height } = this.getCanvasSize()
+
+    this.scaleInput.innerHTML = ''
+    EXPORT_CONFIG.SCALES.forEach(scale => {
+      const option = document.createElement('option')
+      option.value = scale
+      option.textContent = `${scale}x (${Math.round(width * scale)} × ${Math.round(height * scale)})`
+      this.scaleInput.appendChild(option)
+    })
+    this.scaleInput.value = selected
+  }
+
+  // SVG is resolution independent
+  updateFormat() {
+    if (this.scaleInput) this.scaleInput.disabled = this.formatInput?.value === 'svg'
+  }
+
+  async submit() {
+    this.busy = true
+    this.setStatus('Rendering...', 'loading')
+    try {
+      await this.onExport({
+        format: this.formatInput?.value ?? 'png',
+        scale: Number(this.scaleInput?.value) || EXPORT_CONFIG.DEFAULT_SCALE,
+        transparent: !!this.transparentInput?.checked,
+        overlay: !!this.overlayInput?.checked
+      })
+      this.busy = false
+      this.close()
+    } catch (error) {
+      console.error('Image export failed:', error)
+      this.setStatus(`Export failed: ${error.message}`, 'error')
+    } finally {
+      this.busy = false
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.backdrop) return
+
+    this.form?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.submit()
+    })
+    this.formatInput?.addEventListener('change', () => this.updateFormat())
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.backdrop.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target === this.backdrop || e.target.closest('.image-export-cancel')) this.close()
+    })
+  }
+}
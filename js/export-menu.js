@@ -0,0 +1,60 @@
+/**
+ * ExportMenu - dropdown under the navbar's Export button
+ *
+ * Lists the image export and the data exports (see data-export.js); picking
+ * one closes the menu and hands its key to the callback.
+ */
+
+export class ExportMenu {
+  /**
+   * @param {Function} onSelect - Called with the picked item's data-export key
+   */
+  constructor(onSelect) {
+    this.onSelect = onSelect
+    this.root = document.getElementById('export-menu')
+    this.list = this.root?.querySelector('.export-menu-list')
+
+    this.setupEventListeners()
+  }
+
+  isOpen() {
+    return !!this.list && this.list.style.display !== 'none'
+  }
+
+  open() {
+    if (this.list) this.list.style.display = 'flex'
+  }
+
+  close() {
+    if (this.list) this.list.style.display = 'none'
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.root) return
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.root.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.export-menu-toggle')) {
+        this.toggle()
+        return
+      }
+      const item = e.target.closest('[data-export]')
+      if (item) {
+        this.close()
+        this.onSelect(item.dataset.export)
+      }
+    })
+
+    // Any click elsewhere closes it
+    window.addEventListener('click', () => this.close())
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * GIF Encoder - animated GIF89a from captured RGBA frames
+ *
+ * Each frame gets its own 256 color table, picked by median cut over a
+ * 15-bit (5 bits per channel) histogram of its pixels (quantizeFrame(), run
+ * as frames are captured so only one RGBA frame is held at a time), and is
+ * LZW compressed as the format requires. The animation loops forever.
+ */
+
+const HISTOGRAM_BITS = 5
+const HISTOGRAM_SHIFT = 8 - HISTOGRAM_BITS
+const PALETTE_SIZE = 256
+const MAX_CODE = 4096
+
+// Little-endian bytes for the GIF's 16-bit fields
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff]
+
+const histogramKey = (r, g, b) =>
+  ((r >> HISTOGRAM_SHIFT) << (2 * HISTOGRAM_BITS)) | ((g >> HISTOGRAM_SHIFT) << HISTOGRAM_BITS) | (b >> HISTOGRAM_SHIFT)
+
+/**
+ * Reduce a frame to at most 256 colors
+ * @param {Uint8ClampedArray} rgba - Pixels, 4 bytes each (alpha is ignored)
+ * @returns {Object} {palette: Uint8Array of 256 RGB triples, indices: Uint8Array, one per pixel}
+ */
+export function quantizeFrame(rgba) {
+  const pixelCount = rgba.length / 4
+  const counts = new Uint32Array(1 << (3 * HISTOGRAM_BITS))
+  const sums = new Float64Array(counts.length * 3)
+  const keys = new Uint16Array(pixelCount)
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgba[i * 4]
+    const g = rgba[i * 4 + 1]
+    const b = rgba[i * 4 + 2]
+    const key = histogramKey(r, g, b)
+    keys[i] = key
+    counts[key]++
+    sums[key * 3] += r
+    sums[key * 3 + 1] += g
+    sums[key * 3 + 2] += b
+  }
+
+  // Every color present, at its mean value
+  const bins = []
+  counts.forEach((count, key) => {
+    if (count === 0) return
+    bins.push({ key, count, rgb: [sums[key * 3] / count, sums[key * 3 + 1] / count, sums[key * 3 + 2] / count] })
+  })
+
+  // Median cut: split the box with the widest channel range at its pixel-weighted median
+  const makeBox = (boxBins) => {
+    let channel = 0
+    let range = 0
+    for (let c = 0; c < 3; c++) {
+      let min = 255
+      let max = 0
+      boxBins.forEach(bin => {
+        min = Math.min(min, bin.rgb[c])
+        max = Math.max(max, bin.rgb[c])
+      })
+      if (max - min > range) {
+        channel = c
+        range = max - min
+      }
+    }
+    return { bins: boxBins, channel, range }
+  }
+
+  const boxes = [makeBox(bins)]
+  while (boxes.length < PALETTE_SIZE) {
+    let target = -1
+    boxes.forEach((box, i) => {
+      if (box.bins.length > 1 && box.range > 0 && (target === -1 || box.range > boxes[target].range)) target = i
+    })
+    if (target === -1) break
+
+    const { bins: boxBins, channel } = boxes[target]
+    boxBins.sort((a, b) => a.rgb[channel] - b.rgb[channel])
+    const half = boxBins.reduce((sum, bin) => sum + bin.count, 0) / 2
+    let seen = 0
+    let cut = 1
+    for (; cut < boxBins.length - 1; cut++) {
+      seen += boxBins[cut - 1].count
+      if (seen >= half) break
+    }
+    boxes.splice(target, 1, makeBox(boxBins.slice(0, cut)), makeBox(boxBins.slice(cut)))
+  }
+
+  // Each box becomes one palette entry; each histogram bin maps to its box
+  const palette = new Uint8Array(PALETTE_SIZE * 3)
+  const binIndex = new Uint8Array(counts.length)
+  boxes.forEach(({ bins: boxBins }, index) => {
+    const total = boxBins.reduce((sum, bin) => sum + bin.count, 0)
+    for (let channel = 0; channel < 3; channel++) {
+      palette[index * 3 + channel] = Math.round(boxBins.reduce((sum, bin) => sum + bin.rgb[channel] * bin.count, 0) / total)
+    }
+    boxBins.forEach(bin => { binIndex[bin.key] = index })
+  })
+
+  const indices = new Uint8Array(pixelCount)
+  for (let i = 0; i < pixelCount; i++) indices[i] = binIndex[keys[i]]
+  return { palette, indices }
+}
+
+/**
+ * GIF's variable-length LZW: codes are written least significant bit first
+ * and grow from minCodeSize + 1 bits up to 12, with a clear code when the
+ * table fills
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - Bits per index (8 for a 256 color table)
+ * @returns {Array<number>} Compressed bytes, before splitting into sub-blocks
+ */
+export function lzwEncode(indices, minCodeSize = 8) {
+  const clearCode = 1 << minCodeSize
+  const endCode = clearCode + 1
+  const bytes = []
+
+  let codeSize = minCodeSize + 1
+  let nextCode = endCode + 1
+  let table = new Map()
+  let buffer = 0
+  let bufferBits = 0
+
+  const emit = (code) => {
+    buffer |= code << bufferBits
+    bufferBits += codeSize
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff)
+      buffer >>>= 8
+      bufferBits -= 8
+    }
+  }
+
+  emit(clearCode)
+  let prefix = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i]
+    const key = (prefix << 8) | index
+    const code = table.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+
+    emit(prefix)
+    if (nextCode === MAX_CODE) {
+      emit(clearCode)
+      table = new Map()
+      codeSize = minCodeSize + 1
+      nextCode = endCode + 1
+    } else {
+      // The decoder widens its codes one entry later than the encoder adds it
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+    prefix = index
+  }
+  emit(prefix)
+  emit(endCode)
+  if (bufferBits > 0) bytes.push(buffer & 0xff)
+
+  return bytes
+}
+
+// Data sub-blocks: a length byte (at most 255) before each chunk, then a zero
+function subBlocks(bytes) {
+  const blocks = []
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255)
+    blocks.push(Uint8Array.of(chunk.length, ...chunk))
+  }
+  blocks.push(Uint8Array.of(0))
+  return blocks
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<Object>} frames - [{palette, indices, delay: milliseconds shown}], palette and indices from quantizeFrame()
+ * @param {Object} options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {Function} options.onProgress - (done, total) after each frame
+ * @returns {Promise<Blob>} image/gif
+ */
+export async function encodeGif(frames, { width, height, onProgress = null }) {
+  if (frames.length === 0) throw new Error('No frames to encode')
+
+  const parts = [
+    new TextEncoder().encode('GIF89a'),
+    // Logical screen: no global color table, 8 bits per primary
+    Uint8Array.of(...uint16(width), ...uint16(height), 0x70, 0, 0),
+    // NETSCAPE2.0 application extension: loop forever
+    Uint8Array.of(0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0)
+  ]
+
+  for (let i = 0; i < frames.length; i++) {
+    const { palette, indices, delay } = frames[i]
+    const centiseconds = Math.max(2, Math.round(delay / 10))
+
+    parts.push(
+      // Graphic control extension: keep the frame in place, its delay, no transparency
+      Uint8Array.of(0x21, 0xf9, 0x04, 0x04, ...uint16(centiseconds), 0, 0),
+      // Image descriptor with a 256 entry local color table
+      Uint8Array.of(0x2c, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0x87),
+      palette,
+      Uint8Array.of(8),
+      ...subBlocks(lzwEncode(indices, 8))
+    )
+
+    onProgress?.(i + 1, frames.length)
+    // Let the page repaint between frames
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  parts.push(Uint8Array.of(0x3b))
+  return new Blob(parts, { type: 'image/gif' })
+}
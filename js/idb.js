@@ -0,0 +1,82 @@
+/**
+ * IndexedDB helpers - promise-based key-value stores
+ *
+ * Each store lives in its own database, so features can add storage
+ * without coordinating schema versions. Every call rejects when IndexedDB
+ * is unavailable (e.g. some private browsing modes); callers treat
+ * persistence as best-effort.
+ */
+
+const databases = new Map()
+
+/**
+ * Resolve an IDBRequest as a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openDatabase(dbName, storeName) {
+  if (!databases.has(dbName)) {
+    const opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(dbName, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // A failed open can be retried on the next call
+    opening.catch(() => databases.delete(dbName))
+    databases.set(dbName, opening)
+  }
+  return databases.get(dbName)
+}
+
+/**
+ * Create a key-value store backed by IndexedDB
+ * @param {string} dbName - Database name (one store per database)
+ * @param {string} storeName - Object store name
+ * @returns {{get, set, delete, clear, count, entries}} Promise-returning methods
+ */
+export function createKeyValueStore(dbName, storeName) {
+  const run = async (mode, operation) => {
+    const db = await openDatabase(dbName, storeName)
+    const store = db.transaction(storeName, mode).objectStore(storeName)
+    return promisify(operation(store))
+  }
+
+  return {
+    get: (key) => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)),
+    delete: (key) => run('readwrite', store => store.delete(key)),
+    clear: () => run('readwrite', store => store.clear()),
+    count: () => run('readonly', store => store.count()),
+
+    /**
+     * Visit every [key, value] pair
+     * @param {Function} callback - (key, value) => void
+     */
+    entries: async (callback) => {
+      const db = await openDatabase(dbName, storeName)
+      const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor()
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) {
+            resolve()
+            return
+          }
+          callback(cursor.key, cursor.value)
+          cursor.continue()
+        }
+        request.onerror = () => reject(request.error)
+      })
+    }
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * Image Export - PNG and SVG pictures of the scene for slides and papers
+ *
+ * - renderSceneImage(): the current view rendered offscreen by a second
+ *   renderer at a multiple of the canvas size, optionally on a transparent
+ *   background, so the visible canvas never flickers or resizes
+ * - drawOverlay(): bakes in the model, projection, cluster legend and the
+ *   selected pair's metrics
+ * - createSvg(): the current view flattened to 2D (arrows, tips and labels as
+ *   vector shapes), with the same overlay
+ */
+
+import * as THREE from 'three'
+import { vectors } from './vector-data.js'
+import { compareVectors } from './similarity.js'
+import { getProjectionMethodConfig } from './projection.js'
+import { getCurrentModelConfig } from './embeddings.js'
+import { getSceneDimensions } from './embedding-import.js'
+import {
+  EXPORT_CONFIG,
+  RENDERER_CONFIG,
+  SCENE_CONFIG,
+  CLUSTER_CONFIG,
+  COMPARISON_CONFIG,
+  IMPORT_CONFIG
+} from './constants.js'
+
+const toHex = (color) => `#${color.toString(16).padStart(6, '0')}`
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// ========================================================================
+// OVERLAY CONTENT
+// ========================================================================
+
+/**
+ * What the overlay shows for the current workspace
+ * @param {Object} options
+ * @param {Array<string>} options.selected - Selected vector names (a pair gets its metrics)
+ * @param {Object|null} options.clusterResult - VectorManager.clusterResult
+ * @returns {Object} {title, subtitle, legend: [{color, text}], pair: {title, rows} or null}
+ */
+export function describeOverlay({ selected = [], clusterResult = null }) {
+  const names = Object.keys(vectors)
+  const imported = names.filter(name => vectors[name].model === IMPORT_CONFIG.EXTERNAL_MODEL).length
+  const model = getCurrentModelConfig()
+  const dims = getSceneDimensions() ?? model.dims
+
+  let title = `${model.label ?? model.name} · ${dims}D`
+  if (imported > 0 && imported === names.length) {
+    title = `Imported embeddings · ${dims}D`
+  } else if (imported > 0) {
+    title = `${model.label ?? model.name} + imported · ${dims}D`
+  }
+
+  const preview = CLUSTER_CONFIG.LEGEND_PREVIEW_COUNT
+  const clusters = clusterResult?.clusters ?? []
+  const legend = clusters.slice(0, EXPORT_CONFIG.OVERLAY_MAX_CLUSTERS).map(({ members, color }) => ({
+    color: toHex(color),
+    text: members.slice(0, preview).join(', ') + (members.length > preview ? ` +${members.length - preview}` : '')
+  }))
+  if (clusters.length > EXPORT_CONFIG.OVERLAY_MAX_CLUSTERS) {
+    legend.push({ color: null, text: `+${clusters.length - EXPORT_CONFIG.OVERLAY_MAX_CLUSTERS} more clusters` })
+  }
+
+  let pair = null
+  if (selected.length === 2) {
+    const { original, projected, dims: pairDims, distortion } = compareVectors(selected[0], selected[1])
+    const rows = []
+    if (original) {
+      rows.push(
+        [`Cosine (${pairDims}D)`, original.cosine.toFixed(3)],
+        [`Euclidean (${pairDims}D)`, original.euclidean.toFixed(3)],
+        [`Dot (${pairDims}D)`, original.dot.toFixed(3)]
+      )
+    }
+    if (projected) rows.push(['Cosine (3D)', projected.cosine.toFixed(3)])
+    if (distortion !== null) rows.push(['Projection error', `${distortion >= 0 ? '+' : ''}${distortion.toFixed(3)}`])
+    pair = { title: `${selected[0]} ↔ ${selected[1]}`, rows }
+  }
+
+  return {
+    title,
+    subtitle: `${getProjectionMethodConfig().name} projection · ${names.length} vectors`,
+    legend,
+    pair
+  }
+}
+
+// ========================================================================
+// OVERLAY LAYOUT
+// ========================================================================
+
+/**
+ * The overlay's panels: title top left, pair metrics top right, legend bottom left
+ * @param {Object} overlay - From describeOverlay()
+ * @returns {Array<Object>} {anchor, rows: [{text, size, bold, muted, swatch}]}
+ */
+function overlayPanels(overlay) {
+  const { OVERLAY_TITLE_SIZE: titleSize, OVERLAY_TEXT_SIZE: textSize } = EXPORT_CONFIG
+  const panels = [{
+    anchor: 'top-left',
+    rows: [
+      { text: overlay.title, size: titleSize, bold: true },
+      { text: overlay.subtitle, size: textSize, muted: true }
+    ]
+  }]
+
+  if (overlay.pair) {
+    panels.push({
+      anchor: 'top-right',
+      rows: [
+        { text: overlay.pair.title, size: textSize, bold: true },
+        ...overlay.pair.rows.map(([label, value]) => ({ text: `${label}: ${value}`, size: textSize }))
+      ]
+    })
+  }
+
+  if (overlay.legend.length > 0) {
+    const lineColors = overlay.pair
+      ? [
+          [COMPARISON_CONFIG.COLOR_HIGH_SIMILARITY, `Line: high (>${COMPARISON_CONFIG.SIMILARITY_HIGH_THRESHOLD})`],
+          [COMPARISON_CONFIG.COLOR_MEDIUM_SIMILARITY, `Line: medium (${COMPARISON_CONFIG.SIMILARITY_MEDIUM_THRESHOLD}-${COMPARISON_CONFIG.SIMILARITY_HIGH_THRESHOLD})`],
+          [COMPARISON_CONFIG.COLOR_LOW_SIMILARITY, `Line: low (<${COMPARISON_CONFIG.SIMILARITY_MEDIUM_THRESHOLD})`]
+        ]
+      : []
+    panels.push({
+      anchor: 'bottom-left',
+      rows: [
+        { text: 'Clusters', size: textSize, bold: true },
+        ...overlay.legend.map(({ color, text }) => ({ text, size: textSize, swatch: color, muted: !color })),
+        ...lineColors.map(([color, text]) => ({ text, size: textSize, swatch: toHex(color) }))
+      ]
+    })
+  }
+  return panels
+}
+
+/**
+ * Place a panel's rows inside the image
+ * @param {Object} panel - From overlayPanels()
+ * @param {number} width - Image size in pixels
+ * @param {number} height
+ * @param {number} scale - Export scale (sizes in EXPORT_CONFIG are CSS pixels)
+ * @param {Function} measure - (text, font, size) -> width in pixels
+ * @returns {Object} {left, top, width, height, swatch, rows: [{...row, font, x, y}]}
+ */
+function layoutPanel(panel, width, height, scale, measure) {
+  const padding = EXPORT_CONFIG.OVERLAY_PADDING * scale
+  const margin = EXPORT_CONFIG.OVERLAY_MARGIN * scale
+  const swatch = EXPORT_CONFIG.OVERLAY_TEXT_SIZE * scale
+
+  const rows = panel.rows.map(row => {
+    const size = row.size * scale
+    const font = `${row.bold ? 600 : 400} ${size}px ${EXPORT_CONFIG.OVERLAY_FONT}`
+    return {
+      ...row,
+      size,
+      font,
+      width: measure(row.text, font, size) + (row.swatch ? swatch * 1.5 : 0),
+      height: size * 1.5
+    }
+  })
+  const panelWidth = Math.max(...rows.map(row => row.width)) + padding * 2
+  const panelHeight = rows.reduce((sum, row) => sum + row.height, 0) + padding * 2
+  const left = panel.anchor.endsWith('right') ? width - margin - panelWidth : margin
+  const top = panel.anchor.startsWith('bottom') ? height - margin - panelHeight : margin
+
+  let cursor = top + padding
+  rows.forEach(row => {
+    row.x = left + padding + (row.swatch ? swatch * 1.5 : 0)
+    row.y = cursor + row.height / 2
+    cursor += row.height
+  })
+  return { left, top, width: panelWidth, height: panelHeight, swatch, padding, rows }
+}
+
+// ========================================================================
+// PNG
+// ========================================================================
+
+/**
+ * Render the current view offscreen at a multiple of the canvas size
+ * @param {SceneManager} sceneManager
+ * @param {Object} options
+ * @param {number} options.scale - Multiplier of the canvas' CSS size (e.g. 2 or 4)
+ * @param {boolean} options.transparent - Leave the background out
+ * @returns {Object} {canvas (2D, ready for drawOverlay()), scale (lower than asked if the GPU can't go that big)}
+ */
+export function renderSceneImage(sceneManager, { scale = 1, transparent = false } = {}) {
+  const { renderer, scene, camera } = sceneManager
+  const size = renderer.getSize(new THREE.Vector2())
+
+  const offscreen = new THREE.WebGLRenderer({
+    antialias: RENDERER_CONFIG.ANTIALIAS,
+    alpha: true,
+    preserveDrawingBuffer: true
+  })
+  // Largest drawing buffer this GPU allows
+  const gl = offscreen.getContext()
+  const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS))
+  const fitted = Math.min(scale, maxSize / Math.max(size.x, size.y))
+  const width = Math.floor(size.x * fitted)
+  const height = Math.floor(size.y * fitted)
+
+  offscreen.setPixelRatio(1)
+  offscreen.setSize(width, height, false)
+  offscreen.outputColorSpace = renderer.outputColorSpace
+  offscreen.toneMapping = renderer.toneMapping
+
+  const background = scene.background
+  if (transparent) {
+    scene.background = null
+    offscreen.setClearColor(0x000000, 0)
+  }
+  try {
+    offscreen.render(scene, camera)
+  } finally {
+    scene.background = background
+  }
+
+  // Copy out, so the overlay can be drawn and the extra GL context released
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(offscreen.domElement, 0, 0)
+  offscreen.dispose()
+  offscreen.forceContextLoss()
+
+  return { canvas, scale: fitted }
+}
+
+/**
+ * Draw the overlay onto an exported image
+ * @param {HTMLCanvasElement} canvas - From renderSceneImage()
+ * @param {Object} overlay - From describeOverlay()
+ * @param {number} scale - The image's scale, so text keeps its size relative to the scene
+ */
+export function drawOverlay(canvas, overlay, scale) {
+  const ctx = canvas.getContext('2d')
+  const measure = (text, font) => {
+    ctx.font = font
+    return ctx.measureText(text).width
+  }
+
+  overlayPanels(overlay).forEach(panel => {
+    const layout = layoutPanel(panel, canvas.width, canvas.height, scale, measure)
+
+    ctx.fillStyle = EXPORT_CONFIG.OVERLAY_PANEL_COLOR
+    ctx.beginPath()
+    ctx.roundRect(layout.left, layout.top, layout.width, layout.height, layout.padding / 2)
+    ctx.fill()
+
+    ctx.textBaseline = 'middle'
+    layout.rows.forEach(row => {
+      if (row.swatch) {
+        ctx.fillStyle = row.swatch
+        ctx.fillRect(row.x - layout.swatch * 1.5, row.y - layout.swatch / 2, layout.swatch, layout.swatch)
+      }
+      ctx.font = row.font
+      ctx.fillStyle = row.muted ? EXPORT_CONFIG.OVERLAY_MUTED_COLOR : EXPORT_CONFIG.OVERLAY_TEXT_COLOR
+      ctx.fillText(row.text, row.x, row.y)
+    })
+  })
+}
+
+// ========================================================================
+// SVG
+// ========================================================================
+
+/**
+ * The current view flattened to 2D: each vector's arrow from the origin, its
+ * tip and label, drawn far to near, plus the selected pair's connection
+ * @param {THREE.Camera} camera - Viewpoint (the image has its aspect ratio)
+ * @param {Object} options
+ * @param {number} options.width - Image size in CSS pixels
+ * @param {number} options.height
+ * @param {Function} options.colorOf - (name, data) -> hex color, as drawn in the scene
+ * @param {Array<string>} options.selected - A pair gets its connection line
+ * @param {number|null} options.pairColor - Hex color of that line
+ * @param {boolean} options.transparent - Leave the background out
+ * @param {Object|null} options.overlay - From describeOverlay(), or null for none
+ * @returns {string} SVG document
+ */
+export function createSvg(camera, { width, height, colorOf, selected = [], pairColor = null, transparent = false, overlay = null }) {
+  const toScreen = (coords) => {
+    const point = new THREE.Vector3(...coords).project(camera)
+    return { x: (point.x + 1) / 2 * width, y: (1 - point.y) / 2 * height, depth: point.z }
+  }
+  const round = (value) => Math.round(value * 10) / 10
+  const origin = toScreen([0, 0, 0])
+
+  // Behind the camera projects outside [-1, 1] depth
+  const items = Object.entries(vectors)
+    .map(([name, data]) => ({ name, tip: toScreen(data.coords), color: toHex(colorOf(name, data)) }))
+    .filter(({ tip }) => tip.depth > -1 && tip.depth < 1)
+    .sort((a, b) => b.tip.depth - a.tip.depth)
+
+  const parts = []
+  if (!transparent) {
+    parts.push(`<rect width="${width}" height="${height}" fill="${toHex(SCENE_CONFIG.BACKGROUND_COLOR)}"/>`)
+  }
+
+  if (selected.length === 2 && pairColor !== null && vectors[selected[0]] && vectors[selected[1]]) {
+    const [a, b] = selected.map(name => toScreen(vectors[name].coords))
+    parts.push(
+      `<line x1="${round(a.x)}" y1="${round(a.y)}" x2="${round(b.x)}" y2="${round(b.y)}" ` +
+      `stroke="${toHex(pairColor)}" stroke-width="${EXPORT_CONFIG.SVG_STROKE_WIDTH}" stroke-dasharray="6 4"/>`
+    )
+  }
+
+  const labelSize = EXPORT_CONFIG.SVG_LABEL_SIZE
+  items.forEach(({ name, tip, color }) => {
+    parts.push(
+      `<g><line x1="${round(origin.x)}" y1="${round(origin.y)}" x2="${round(tip.x)}" y2="${round(tip.y)}" ` +
+      `stroke="${color}" stroke-width="${EXPORT_CONFIG.SVG_STROKE_WIDTH}" stroke-linecap="round"/>` +
+      `<circle cx="${round(tip.x)}" cy="${round(tip.y)}" r="${EXPORT_CONFIG.SVG_TIP_RADIUS}" fill="${color}"/>` +
+      `<text x="${round(tip.x + labelSize / 2)}" y="${round(tip.y - labelSize / 2)}" fill="${color}" ` +
+      `font-size="${labelSize}" font-family="${escapeXml(EXPORT_CONFIG.OVERLAY_FONT)}">${escapeXml(name)}</text></g>`
+    )
+  })
+
+  if (overlay) {
+    // No text metrics without a canvas; average glyph width is close enough for panel sizes
+    const measure = (text, font, size) => text.length * size * 0.58
+    overlayPanels(overlay).forEach(panel => {
+      const layout = layoutPanel(panel, width, height, 1, measure)
+      parts.push(
+        `<rect x="${round(layout.left)}" y="${round(layout.top)}" width="${round(layout.width)}" ` +
+        `height="${round(layout.height)}" rx="${layout.padding / 2}" fill="${EXPORT_CONFIG.OVERLAY_PANEL_COLOR}"/>`
+      )
+      layout.rows.forEach(row => {
+        if (row.swatch) {
+          parts.push(
+            `<rect x="${round(row.x - layout.swatch * 1.5)}" y="${round(row.y - layout.swatch / 2)}" ` +
+            `width="${layout.swatch}" height="${layout.swatch}" fill="${row.swatch}"/>`
+          )
+        }
+        const fill = row.muted ? EXPORT_CONFIG.OVERLAY_MUTED_COLOR : EXPORT_CONFIG.OVERLAY_TEXT_COLOR
+        parts.push(
+          `<text x="${round(row.x)}" y="${round(row.y)}" dominant-baseline="middle" fill="${fill}" ` +
+          `font-size="${row.size}" font-weight="${row.bold ? 600 : 400}" ` +
+          `font-family="${escapeXml(EXPORT_CONFIG.OVERLAY_FONT)}">${escapeXml(row.text)}</text>`
+        )
+      })
+    })
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...parts,
+    '</svg>'
+  ].join('\n')
+}
@@ -0,0 +1,128 @@
+/**
+ * JobOverlay - progress overlay for the job queue (see job-scheduler.js)
+ *
+ * Covers the canvas while a job that asked for it runs (model switch, batch
+ * upload): its label, progress bar and status, a Cancel button, and the jobs
+ * waiting behind it, each of which can be dropped from the queue.
+ */
+
+import { onJobQueueChange, cancelJob } from './job-scheduler.js'
+import { JOB_QUEUE_CONFIG } from './constants.js'
+
+export class JobOverlay {
+  /**
+   * @param {string} containerId - Element the overlay covers
+   */
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    this.overlay = null
+    this.removeTimer = null
+
+    onJobQueueChange((queue) => this.render(queue))
+  }
+
+  create() {
+    const overlay = document.createElement('div')
+    overlay.id = 'job-progress-overlay'
+    overlay.className = 'canvas-overlay job-overlay'
+    overlay.innerHTML = `
+      <div class="loading-spinner"></div>
+      <div class="job-overlay-title"></div>
+      <div class="job-overlay-status"></div>
+      <div class="job-overlay-track"><div class="job-overlay-bar"></div></div>
+      <button type="button" class="job-overlay-cancel">Cancel</button>
+      <div class="job-overlay-queue">
+        <div class="job-overlay-queue-title"></div>
+        <ol class="job-overlay-queue-list"></ol>
+      </div>
+    `
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    overlay.addEventListener('click', (e) => {
+      e.stopPropagation()
+      const button = e.target.closest('[data-job-id]')
+      if (button) cancelJob(Number(button.dataset.jobId))
+    })
+
+    this.container.appendChild(overlay)
+    return overlay
+  }
+
+  /**
+   * @param {Object} queue - getJobQueue() result
+   */
+  render({ running, queued }) {
+    if (!this.container) return
+    if (!running?.overlay) {
+      this.hide()
+      return
+    }
+
+    // A job that starts while the overlay fades out takes it over
+    clearTimeout(this.removeTimer)
+    this.removeTimer = null
+    if (!this.overlay) this.overlay = this.create()
+    this.overlay.classList.remove('fade-out')
+
+    const { done = 0, total = 0, status = '' } = running.progress ?? {}
+    this.overlay.querySelector('.job-overlay-title').textContent = running.label
+    this.overlay.querySelector('.job-overlay-status').textContent = running.cancelled
+      ? 'Cancelling...'
+      : status || 'Starting...'
+
+    const track = this.overlay.querySelector('.job-overlay-track')
+    track.style.visibility = total > 0 ? 'visible' : 'hidden'
+    this.overlay.querySelector('.job-overlay-bar').style.width = `${total > 0 ? Math.round((done / total) * 100) : 0}%`
+
+    const cancel = this.overlay.querySelector('.job-overlay-cancel')
+    cancel.style.display = running.cancellable ? '' : 'none'
+    cancel.disabled = running.cancelled
+    cancel.dataset.jobId = running.id
+
+    this.renderQueue(queued)
+  }
+
+  renderQueue(queued) {
+    const section = this.overlay.querySelector('.job-overlay-queue')
+    const list = this.overlay.querySelector('.job-overlay-queue-list')
+    section.style.display = queued.length > 0 ? '' : 'none'
+    this.overlay.querySelector('.job-overlay-queue-title').textContent = `Up next (${queued.length})`
+
+    list.innerHTML = ''
+    queued.slice(0, JOB_QUEUE_CONFIG.MAX_LISTED).forEach(job => {
+      const item = document.createElement('li')
+      const label = document.createElement('span')
+      label.textContent = job.label
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'job-overlay-remove'
+      remove.dataset.jobId = job.id
+      remove.title = `Cancel ${job.label}`
+      remove.textContent = '×'
+
+      item.append(label, remove)
+      list.appendChild(item)
+    })
+
+    const hidden = queued.length - JOB_QUEUE_CONFIG.MAX_LISTED
+    if (hidden > 0) {
+      const more = document.createElement('li')
+      more.className = 'job-overlay-more'
+      more.textContent = `+${hidden} more`
+      list.appendChild(more)
+    }
+  }
+
+  hide() {
+    if (!this.overlay || this.removeTimer) return
+
+    const overlay = this.overlay
+    overlay.classList.add('fade-out')
+    this.removeTimer = setTimeout(() => {
+      overlay.remove()
+      if (this.overlay === overlay) this.overlay = null
+      this.removeTimer = null
+    }, JOB_QUEUE_CONFIG.FADE_OUT_MS)
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Job Scheduler - one queue for everything that loads a model or embeds text
+ *
+ * Model switches, added words, batch uploads, session restores and
+ * re-projections all read and write the scene's embeddings, so they run one
+ * at a time in submission order. A word added while a model switch is under
+ * way waits for the switch and is then embedded with the model the scene has.
+ *
+ * Jobs can be cancelled: a queued job is dropped before it starts, the running
+ * one (if it is cancellable) stops at its next checkpoint
+ * (job.throwIfCancelled()). Either way its promise rejects with
+ * JobCancelledError. Listeners see the queue on every change (see job-overlay.js).
+ */
+
+export class JobCancelledError extends Error {
+  constructor(label) {
+    super(`${label} cancelled`)
+    this.name = 'JobCancelledError'
+  }
+}
+
+let nextJobId = 1
+let running = null
+const queued = []
+const listeners = new Set()
+
+// What listeners get: no task, no promise callbacks
+function describe(job) {
+  const { id, label, cancellable, overlay, cancelled, progress } = job
+  return { id, label, cancellable, overlay, cancelled, progress: progress && { ...progress } }
+}
+
+function notify() {
+  const queue = getJobQueue()
+  listeners.forEach(listener => listener(queue))
+}
+
+// Handed to each task: cancellation checkpoints and progress reporting
+function createContext(job) {
+  return {
+    id: job.id,
+    label: job.label,
+    get cancelled() {
+      return job.cancelled
+    },
+    throwIfCancelled() {
+      if (job.cancelled) throw new JobCancelledError(job.label)
+    },
+    setProgress(done, total, status = '') {
+      job.progress = { done, total, status }
+      notify()
+    }
+  }
+}
+
+// Start the next job; a single notification covers the handover, so overlays don't flicker between jobs
+function runNext() {
+  running = queued.shift() ?? null
+  notify()
+  if (running) execute(running)
+}
+
+async function execute(job) {
+  try {
+    job.resolve(await job.task(createContext(job)))
+  } catch (error) {
+    job.reject(error)
+  }
+  runNext()
+}
+
+/**
+ * Queue a job behind every job submitted before it
+ * @param {string} label - Shown in the progress overlay, e.g. 'Batch upload'
+ * @param {Function} task - async (job) => result; job has throwIfCancelled(),
+ *   setProgress(done, total, status) and cancelled
+ * @param {Object} options
+ * @param {boolean} options.cancellable - Whether it can be cancelled once it runs
+ *   (queued jobs always can)
+ * @param {boolean} options.overlay - Cover the canvas with progress while it runs
+ * @returns {Promise<*>} The task's result; rejects with JobCancelledError if cancelled.
+ *   Its `jobId` is the job's id, for cancelJob()
+ */
+export function scheduleJob(label, task, { cancellable = true, overlay = false } = {}) {
+  const id = nextJobId++
+  const promise = new Promise((resolve, reject) => {
+    queued.push({
+      id,
+      label,
+      task,
+      cancellable,
+      overlay,
+      cancelled: false,
+      progress: null,
+      resolve,
+      reject
+    })
+    if (running) {
+      notify()
+    } else {
+      runNext()
+    }
+  })
+  promise.jobId = id
+  return promise
+}
+
+/**
+ * Cancel a job: drop it from the queue, or ask the running one to stop
+ * @param {number} id
+ * @returns {boolean} Whether it was cancelled (false for a running job that can't stop)
+ */
+export function cancelJob(id) {
+  const index = queued.findIndex(job => job.id === id)
+  if (index !== -1) {
+    const [job] = queued.splice(index, 1)
+    job.reject(new JobCancelledError(job.label))
+    notify()
+    return true
+  }
+
+  if (running?.id !== id || !running.cancellable || running.cancelled) return false
+  running.cancelled = true
+  notify()
+  return true
+}
+
+/**
+ * @returns {Object} {running: job or null, queued: [job]}, each
+ *   {id, label, cancellable, overlay, cancelled, progress: {done, total, status} or null}
+ */
+export function getJobQueue() {
+  return {
+    running: running && describe(running),
+    queued: queued.map(describe)
+  }
+}
+
+/**
+ * Call a listener with getJobQueue() whenever a job is queued, starts, reports
+ * progress, is cancelled or finishes
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onJobQueueChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -15,16 +15,54 @@
  * - CameraController: Camera movements and positioning
  * - VectorManager: Vector CRUD operations
  * - InteractionHandler: Mouse/keyboard interactions
+ * - HistoryManager: Undo/redo snapshots (autosaved to IndexedDB)
+ * - SimilarityMatrix: Pairwise cosine heatmap panel
+ * - ModelComparison: Side-by-side viewports for two or three models
+ * - ModelShiftPanel: Words whose neighborhoods changed most in a model switch
+ * - JobOverlay: Progress, queue and Cancel for model switches and batch uploads
+ *   (every embedding job runs through job-scheduler.js, one at a time)
+ * - ModelLoadProgress / DiagnosticsPanel: Model download progress, load errors,
+ *   and per-model load time, memory and latency
+ * - RecordingPanel: Turntable and keyframe camera moves recorded to WebM or GIF
  */
 
 import * as THREE from 'three'
 import { vectors, originalEmbeddings } from './vector-data.js'
-import { pcaTo3D } from './math-utils.js'
+import {
+  projectTo3D,
+  getProjectionMethod,
+  getProjectionMethodConfig,
+  getProjectionQuality,
+  isProjectionAligned,
+  setBasisFrozen
+} from './projection.js'
 import { mapRange, clamp } from './math-utils.js'
-import { showStatus, clearStatus, updateInfoPanel, updateSearchContainerForComparison } from './ui.js'
+import {
+  showStatus,
+  clearStatus,
+  updateInfoPanel,
+  updateSearchContainerForComparison,
+  formatPercent,
+  formatBytes,
+  renderLegend,
+  fileTimestamp,
+  downloadBlob
+} from './ui.js'
+import { CLUSTER_METHODS } from './clustering.js'
 import { OnboardingTour, injectOnboardingStyles } from './onboarding.js'
 import { initMobileTooltips, pulseHelpIcons, injectMobileTooltipStyles } from './tooltip-mobile.js'
 import { handleBatchUpload as batchUploadHandler } from './batch-upload.js'
+import { readEmbeddingFiles, getSceneDimensions, hasModelVectors } from './embedding-import.js'
+import { exportWorkspace } from './data-export.js'
+import { ExportMenu } from './export-menu.js'
+import { ImageExportDialog } from './export-dialog.js'
+import { RecordingPanel } from './recording-panel.js'
+import { exportSceneGltf } from './scene-export.js'
+import { renderSceneImage, drawOverlay, describeOverlay, createSvg } from './image-export.js'
+import { similarity } from './similarity.js'
+import { MODEL_CONFIGS, getCurrentModel, getEmbeddingCacheStats, clearEmbeddingCache } from './embeddings.js'
+import { createSession, readSessionFile, downloadSession, saveAutosave, loadAutosave } from './session.js'
+import { getHostingMode, getLocalModelFolder, checkOfflineModels, registerServiceWorker } from './model-hosting.js'
 
 // Import managers and controllers
 import { StateManager } from './StateManager.js'
@@ -34,13 +72,25 @@ import { CameraController } from './CameraController.js'
 import { VectorManager } from './VectorManager.js'
 import { InteractionHandler } from './InteractionHandler.js'
 import { LODController } from './LODController.js'
+import { HistoryManager } from './HistoryManager.js'
 import { VectorSearch } from './vector-search.js'
+import { VectorArithmetic } from './vector-arithmetic.js'
+import { SimilarityMatrix } from './similarity-matrix.js'
+import { ModelDialog } from './model-dialog.js'
+import { ModelComparison } from './model-comparison.js'
+import { ModelShiftPanel } from './model-shift.js'
+import { JobOverlay } from './job-overlay.js'
+import { JobCancelledError } from './job-scheduler.js'
+import { ModelLoadProgress, DiagnosticsPanel } from './diagnostics-panel.js'
 
 import {
   STATUS_CONFIG,
   INTRO_CONFIG,
   EXPORT_CONFIG,
-  PROMINENCE_CONFIG
+  PROMINENCE_CONFIG,
+  CLUSTER_CONFIG,
+  SESSION_CONFIG,
+  EMBEDDING_INPUT_CONFIG
 } from './constants.js'
 
 // ========================================================================
@@ -59,7 +109,7 @@ const cameraController = new CameraController(
   state,
   animator
 )
-const vectorManager = new VectorManager(sceneManager.scene, state)
+const vectorManager = new VectorManager(sceneManager.scene, state, animator)
 const interactionHandler = new InteractionHandler(
   sceneManager,
   state,
@@ -74,14 +124,40 @@ const lodController = new LODController(
 )
 
 // Initialize search functionality
-const vectorSearch = new VectorSearch(state, cameraController, interactionHandler)
+const vectorSearch = new VectorSearch(state, cameraController, interactionHandler, sceneManager)
+
+// Initialize vector arithmetic ("king - man + woman")
+const vectorArithmetic = new VectorArithmetic(sceneManager, state, cameraController, interactionHandler)
+
+// Pairwise similarity heatmap (hidden until opened)
+const similarityMatrix = new SimilarityMatrix(state, cameraController, interactionHandler)
+
+// Same words in several models side by side (hidden until opened)
+const modelComparison = new ModelComparison(state, interactionHandler, sceneManager.camera, sceneManager.controls)
+
+// Opens after each model switch; closing it removes the displacement trails
+const modelShiftPanel = new ModelShiftPanel(state, cameraController, interactionHandler, () => {
+  vectorManager.clearDisplacementTrails()
+})
+
+// Covers the canvas while a model switch or batch upload runs
+const jobOverlay = new JobOverlay('canvas-container')
+
+// Per-file download bars under the model selector, and the actionable error if a load fails
+const modelLoadProgress = new ModelLoadProgress()
+
+// Load time, memory and latency per model (hidden until opened)
+const diagnosticsPanel = new DiagnosticsPanel()
+
+// Undo/redo; reset once the starting workspace is known (see START APPLICATION)
+const historyManager = new HistoryManager(state, vectorManager)
 
 // ========================================================================
 // INITIAL VECTOR SETUP
 // ========================================================================
 
 console.log('Computing 3D coordinates from embeddings...')
-const projected3D = pcaTo3D(originalEmbeddings)
+const projected3D = projectTo3D(originalEmbeddings, getCurrentModel())
 if (projected3D && projected3D.length > 0) {
   const nonNullWords = Object.keys(originalEmbeddings).filter(w => originalEmbeddings[w] !== null)
   nonNullWords.forEach((w, i) => {
@@ -91,8 +167,12 @@ if (projected3D && projected3D.length > 0) {
   })
 }
 
+// Legend follows every re-clustering (initializeVectors queues the first one)
+state.on('clustersChanged', (result) => renderLegend(result))
+
 // Create initial vector visualizations
 vectorManager.initializeVectors(vectors)
+updateAxisLabels()
 
 // ========================================================================
 // LOD SYSTEM EVENT LISTENERS
@@ -205,7 +285,10 @@ function animate() {
     }
   })
 
-  sceneManager.render()
+  // The comparison view covers the scene and renders its own viewports
+  if (!modelComparison.isOpen()) {
+    sceneManager.render()
+  }
 }
 
 // ========================================================================
@@ -339,11 +422,24 @@ window.clearSelection = function () {
   interactionHandler.clearSelection()
 }
 
+// A job cancelled from the progress overlay is not an error
+function showCancelled(error) {
+  showStatus(error.message, 'error')
+  setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+}
+
+// Query / document role for new vectors (see EMBEDDING_INPUT_CONFIG)
+function getSelectedRole() {
+  const roleSelect = document.getElementById('role-select')
+  return roleSelect ? roleSelect.value : EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE
+}
+
 window.addCustomVector = async function () {
   const input = document.getElementById('word-input')
   const modelSelect = document.getElementById('model-select')
   const word = input ? input.value.trim().toLowerCase() : ''
   const selectedModel = modelSelect ? modelSelect.value : 'minilm'
+  const role = getSelectedRole()
 
   if (!word || !input) {
     showStatus('Please enter a word', 'error')
@@ -355,11 +451,15 @@ window.addCustomVector = async function () {
   if (addBtn) addBtn.disabled = true
 
   try {
-    await vectorManager.addVector(word, selectedModel)
+    await vectorManager.addVector(word, selectedModel, role)
     interactionHandler.updateSelection()
     lodController.forceUpdate()
     if (input) input.value = ''
   } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
     console.error('Error adding vector:', error)
     showStatus(`Error: ${error.message}`, 'error')
     setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
@@ -368,8 +468,15 @@ window.addCustomVector = async function () {
   }
 }
 
-window.clearCustomVectors = function () {
-  const count = vectorManager.clearCustomVectors()
+window.clearCustomVectors = async function () {
+  let count
+  try {
+    count = await vectorManager.clearCustomVectors()
+  } catch (error) {
+    if (!(error instanceof JobCancelledError)) throw error
+    showCancelled(error)
+    return
+  }
 
   if (count === 0) {
     showStatus('No custom vectors to clear', 'error')
@@ -385,14 +492,20 @@ window.clearCustomVectors = function () {
   setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
 }
 
-window.startFresh = function () {
+window.startFresh = async function () {
   const count = vectorManager.getVectorCount()
   if (count > 0) {
     const confirmed = confirm(`Clear all ${count} vectors and start fresh?`)
     if (!confirmed) return
   }
 
-  vectorManager.clearAllVectors()
+  try {
+    await vectorManager.clearAllVectors()
+  } catch (error) {
+    if (!(error instanceof JobCancelledError)) throw error
+    showCancelled(error)
+    return
+  }
   state.clearSelection()
   updateInfoPanel([])
   lodController.forceUpdate()
@@ -401,34 +514,135 @@ window.startFresh = function () {
   setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
 }
 
+// Items are embedded with the model current when the upload's turn in the job queue comes
 window.handleBatchUpload = async function (event) {
-  const modelSelect = document.getElementById('model-select')
-  const selectedModel = modelSelect ? modelSelect.value : 'minilm'
-
-  await batchUploadHandler(event, selectedModel)
+  await batchUploadHandler(event, vectorManager, getSelectedRole())
 }
 
-window.exportVisual = function () {
-  const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-')
-  const filename = `vector-viz-${timestamp}.png`
+// Precomputed embeddings (projector TSVs, CSV / JSONL / JSON, .npy) go into the scene as they are
+window.handleEmbeddingImport = async function (event) {
+  const files = [...event.target.files]
+  // Clear input so the same files can be imported again
+  event.target.value = ''
+  if (files.length === 0) return
 
-  sceneManager.renderer.render(sceneManager.scene, sceneManager.camera)
+  try {
+    const imported = await readEmbeddingFiles(files)
+
+    // Words embedded by the app's models live in another embedding space, and
+    // vectors of another dimensionality can't share a projection with the scene's
+    const count = vectorManager.getVectorCount()
+    const sceneDims = getSceneDimensions()
+    const otherSpace = count > 0 && hasModelVectors()
+    const replace = otherSpace || (count > 0 && sceneDims !== null && sceneDims !== imported.dims)
+    if (replace) {
+      const reason = otherSpace
+        ? 'Imported embeddings come from another model, so they can\'t be compared with the scene\'s words.'
+        : `These embeddings have ${imported.dims} dimensions and the scene's have ${sceneDims}.`
+      const confirmed = confirm(
+        `${reason} Replace the current ${count} vectors with the ${imported.entries.length} imported?`
+      )
+      if (!confirmed) return
+      interactionHandler.clearSelection()
+    }
 
-  sceneManager.renderer.domElement.toBlob((blob) => {
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = filename
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    URL.revokeObjectURL(url)
+    const added = await vectorManager.importVectors(imported.entries, { replace, source: imported.source })
+    const skipped = imported.entries.length - added
+    interactionHandler.updateSelection()
+    if (replace) updateInfoPanel([])
+    lodController.forceUpdate()
 
-    showStatus('Image exported successfully!', 'success')
+    showStatus(
+      `Imported ${added} vectors (${imported.dims}D) from ${imported.source}` +
+      (skipped > 0 ? `; ${skipped} already in the scene` : ''),
+      added > 0 ? 'success' : 'error'
+    )
+    setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
+    console.error('Error importing embeddings:', error)
+    showStatus(`Could not import embeddings: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+}
+
+/**
+ * Export the current view as a PNG (rendered offscreen at a multiple of the
+ * canvas size) or an SVG of the view flattened to 2D
+ * @param {Object} options - {format: 'png' | 'svg', scale, transparent, overlay}
+ */
+window.exportVisual = async function ({ format = 'png', scale = 1, transparent = false, overlay = false } = {}) {
+  const selected = state.getSelectedVectors()
+  const overlayData = overlay ? describeOverlay({ selected, clusterResult: vectorManager.clusterResult }) : null
+  const baseName = `${EXPORT_CONFIG.FILENAME_PREFIX}-${fileTimestamp()}`
+
+  if (format === 'svg') {
+    const { x: width, y: height } = sceneManager.renderer.getSize(new THREE.Vector2())
+    const svg = createSvg(sceneManager.camera, {
+      width,
+      height,
+      colorOf: (name, data) => vectorManager.getDisplayColor(name, data),
+      selected,
+      pairColor: selected.length === 2
+        ? interactionHandler.getSimilarityColor(Math.abs(similarity(selected[0], selected[1], 'cosine')))
+        : null,
+      transparent,
+      overlay: overlayData
+    })
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}${EXPORT_CONFIG.SVG_FILENAME_SUFFIX}`)
+    showStatus('SVG exported successfully!', 'success')
     setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
-  }, EXPORT_CONFIG.FORMAT)
+    return
+  }
+
+  const image = renderSceneImage(sceneManager, { scale, transparent })
+  if (overlayData) drawOverlay(image.canvas, overlayData, image.scale)
+  const blob = await new Promise(resolve => image.canvas.toBlob(resolve, EXPORT_CONFIG.FORMAT))
+  if (!blob) throw new Error('The browser could not encode the image')
+  downloadBlob(blob, `${baseName}${EXPORT_CONFIG.FILENAME_SUFFIX}`)
+
+  const reduced = image.scale < scale ? `, reduced to ${image.scale.toFixed(1)}x by the GPU's size limit` : ''
+  showStatus(`Image exported (${image.canvas.width} × ${image.canvas.height}${reduced})`, 'success')
+  setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
 }
 
+// Resolution, background and overlay options for image exports
+const imageExportDialog = new ImageExportDialog(
+  (options) => window.exportVisual(options),
+  () => {
+    const { x: width, y: height } = sceneManager.renderer.getSize(new THREE.Vector2())
+    return { width, height }
+  }
+)
+
+// Turntable and keyframe path recordings (hidden until opened from the Export menu)
+const recordingPanel = new RecordingPanel(sceneManager, animator)
+
+// Image, recording, 3D scene or data export picked from the Export menu
+const exportMenu = new ExportMenu(async (format) => {
+  if (format === 'image') {
+    imageExportDialog.open()
+    return
+  }
+  if (format === 'recording') {
+    recordingPanel.open()
+    return
+  }
+  try {
+    const exported = format === 'glb' || format === 'gltf'
+      ? await exportSceneGltf(sceneManager, state, { binary: format === 'glb' })
+      : exportWorkspace(format)
+    showStatus(`Exported ${exported}`, 'success')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+  } catch (error) {
+    showStatus(`Could not export: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+})
+
 window.toggleIdeasPanel = function () {
   const panel = document.getElementById('ideas-panel')
   if (panel) {
@@ -444,52 +658,477 @@ window.toggleIdeasPanel = function () {
   }
 }
 
-// Close ideas panel with Escape key
+window.saveSession = function () {
+  const session = createSession({
+    camera: cameraController.getCurrentState(),
+    clusterSettings: vectorManager.clusterSettings,
+    colorMode: vectorManager.colorMode
+  })
+  downloadSession(session)
+
+  showStatus(`Session saved (${session.vectors.length} vectors)`, 'success')
+  setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+}
+
+window.handleSessionFile = async function (event) {
+  const file = event.target.files[0]
+  // Clear input so the same file can be loaded again
+  event.target.value = ''
+  if (!file) return
+
+  try {
+    const session = await readSessionFile(file)
+
+    const count = vectorManager.getVectorCount()
+    if (count > 0) {
+      const confirmed = confirm(`Replace the current ${count} vectors with the ${session.vectors.length} in this session?`)
+      if (!confirmed) return
+    }
+
+    interactionHandler.clearSelection()
+    await vectorManager.loadSession(session, { label: 'Load session' })
+    syncSessionControls(session)
+    applySessionCamera(session)
+
+    updateInfoPanel([])
+    lodController.forceUpdate()
+    showStatus(`Session loaded (${session.vectors.length} vectors)`, 'success')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
+    console.error('Error loading session:', error)
+    showStatus(`Could not load session: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+}
+
+function applySessionCamera(session) {
+  if (!session.camera) return
+  cameraController.setPositionImmediate(
+    new THREE.Vector3(...session.camera.position),
+    new THREE.Vector3(...session.camera.target)
+  )
+}
+
+// Navbar controls mirror the restored model, projection, clustering and color mode
+function syncSessionControls(session) {
+  // The session may have registered the model it was saved with
+  renderModelOptions()
+
+  const values = {
+    'model-select': session.model,
+    'projection-select': session.projection.method,
+    'cluster-method': vectorManager.clusterSettings.method,
+    'cluster-k': String(vectorManager.clusterSettings.k)
+  }
+  Object.entries(values).forEach(([id, value]) => {
+    const select = document.getElementById(id)
+    if (select) select.value = value
+  })
+
+  const freezeToggle = document.getElementById('freeze-basis-toggle')
+  if (freezeToggle) freezeToggle.checked = !!session.projection.frozen
+  const fidelityToggle = document.getElementById('fidelity-color-toggle')
+  if (fidelityToggle) fidelityToggle.checked = vectorManager.colorMode === 'fidelity'
+  updateFreezeToggle()
+}
+
+window.toggleSimilarityMatrix = function () {
+  similarityMatrix.toggle()
+}
+
+window.toggleModelComparison = function () {
+  modelComparison.toggle()
+}
+
+window.toggleDiagnostics = function () {
+  diagnosticsPanel.toggle()
+}
+
+// Close the export menu, image export dialog, model dialog, comparison view, ideas
+// panel, similarity matrix, model shift panel, diagnostics panel or recording panel
+// (ending a running recording) with Escape key
 window.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     const panel = document.getElementById('ideas-panel')
-    if (panel && panel.style.display !== 'none') {
+    if (exportMenu.isOpen()) {
+      exportMenu.close()
+    } else if (imageExportDialog.isOpen()) {
+      imageExportDialog.close()
+    } else if (modelDialog.isOpen()) {
+      modelDialog.close()
+    } else if (modelComparison.isOpen()) {
+      modelComparison.close()
+    } else if (panel && panel.style.display !== 'none') {
       toggleIdeasPanel()
+    } else if (similarityMatrix.isOpen()) {
+      similarityMatrix.close()
+    } else if (modelShiftPanel.isOpen()) {
+      modelShiftPanel.close()
+    } else if (diagnosticsPanel.isOpen()) {
+      diagnosticsPanel.close()
+    } else if (recordingPanel.isOpen()) {
+      recordingPanel.close()
     }
   }
 })
 
+// ========================================================================
+// UNDO / REDO AND AUTOSAVE
+// ========================================================================
+
+async function stepHistory(direction) {
+  try {
+    const step = direction === 'undo' ? await historyManager.undo() : await historyManager.redo()
+    if (!step) return
+
+    syncSessionControls(step.snapshot)
+    interactionHandler.updateSelection()
+    updateInfoPanel([])
+    lodController.forceUpdate()
+    showStatus(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${step.label}`, 'success')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
+    console.error(`Error during ${direction}:`, error)
+    showStatus(`Could not ${direction}: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+}
+
+window.undoChange = () => stepHistory('undo')
+window.redoChange = () => stepHistory('redo')
+
+state.on('historyChanged', ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+  const undoBtn = document.getElementById('undo-btn')
+  const redoBtn = document.getElementById('redo-btn')
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo
+    undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)'
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo
+    redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'
+  }
+})
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+window.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return
+  if (e.target.matches('input, textarea')) return
+  e.preventDefault()
+  stepHistory(e.shiftKey ? 'redo' : 'undo')
+})
+
+let autosaveTimer = null
+
+// Debounced: camera drags and quick edits collapse into one write
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer)
+  autosaveTimer = setTimeout(() => {
+    const session = createSession({
+      camera: cameraController.getCurrentState(),
+      clusterSettings: vectorManager.clusterSettings,
+      colorMode: vectorManager.colorMode
+    })
+    saveAutosave(session).catch(error => console.warn('Autosave failed:', error))
+  }, SESSION_CONFIG.AUTOSAVE_DEBOUNCE_MS)
+}
+
+/**
+ * Restore the last autosaved workspace, if any
+ * @returns {Promise<boolean>} Whether a session was restored
+ */
+async function restoreAutosave() {
+  try {
+    const session = await loadAutosave()
+    if (!session) return false
+
+    await vectorManager.loadSession(session)
+    syncSessionControls(session)
+    applySessionCamera(session)
+    return true
+  } catch (error) {
+    console.warn('Could not restore the autosaved workspace:', error)
+    return false
+  }
+}
+
+// ========================================================================
+// EMBEDDING CACHE
+// ========================================================================
+
+async function updateEmbeddingCacheInfo() {
+  const button = document.getElementById('embedding-cache-btn')
+  if (!button) return
+
+  try {
+    const { entries, bytes } = await getEmbeddingCacheStats()
+    button.textContent = `Cache: ${entries} · ${formatBytes(bytes)}`
+    button.disabled = entries === 0
+  } catch {
+    button.textContent = 'Cache unavailable'
+    button.disabled = true
+  }
+}
+
+window.resetEmbeddingCache = async function () {
+  const { entries } = await getEmbeddingCacheStats()
+  if (entries === 0 || !confirm(`Clear ${entries} cached embeddings? Words will be re-embedded when needed.`)) return
+
+  try {
+    await clearEmbeddingCache()
+    showStatus('Embedding cache cleared', 'success')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.ERROR_TIMEOUT_MS)
+  } catch (error) {
+    showStatus(`Could not clear the cache: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+  updateEmbeddingCacheInfo()
+}
+
+// Every add, batch upload and model switch re-clusters once its embeddings are in
+state.on('clustersChanged', () => updateEmbeddingCacheInfo())
+
+// ========================================================================
+// MODEL REGISTRY
+// ========================================================================
+
+// Selector options mirror MODEL_CONFIGS, which grows when models are added at runtime
+function renderModelOptions() {
+  const modelSelect = document.getElementById('model-select')
+  if (!modelSelect) return
+
+  modelSelect.innerHTML = ''
+  Object.entries(MODEL_CONFIGS).forEach(([key, config]) => {
+    const option = document.createElement('option')
+    option.value = key
+    option.textContent = `${config.label ?? config.name} - ${config.dims}D`
+    option.title = config.id
+    modelSelect.appendChild(option)
+  })
+  modelSelect.value = getCurrentModel()
+  updateModelHostingInfo()
+}
+
+const modelDialog = new ModelDialog(() => renderModelOptions())
+
+window.openModelDialog = function () {
+  modelDialog.open()
+}
+
+renderModelOptions()
+
+// ========================================================================
+// MODEL HOSTING
+// ========================================================================
+
+// Mark which models load from the app's own models/ folder. In 'local'
+// (air-gapped) mode the others can't load at all, so they are disabled.
+async function updateModelHostingInfo() {
+  const modelSelect = document.getElementById('model-select')
+  const badge = document.getElementById('model-hosting-status')
+  const mode = getHostingMode()
+  const offline = await checkOfflineModels(MODEL_CONFIGS)
+
+  if (modelSelect) {
+    Array.from(modelSelect.options).forEach((option) => {
+      option.dataset.label ??= option.textContent
+      const available = offline[option.value]
+      if (available) {
+        option.textContent = `${option.dataset.label} · offline`
+      } else if (mode === 'local') {
+        option.textContent = `${option.dataset.label} · not downloaded`
+      } else {
+        option.textContent = option.dataset.label
+      }
+      option.disabled = mode === 'local' && !available
+    })
+  }
+
+  if (!badge) return
+
+  const keys = Object.keys(MODEL_CONFIGS)
+  const count = keys.filter(key => offline[key]).length
+  badge.classList.toggle('all-offline', mode !== 'remote' && count === keys.length)
+  badge.classList.toggle('missing', mode === 'local' && count < keys.length)
+
+  if (mode === 'remote') {
+    badge.textContent = 'Models: Hugging Face'
+    badge.title = 'Models are downloaded from the Hugging Face CDN (MODEL_HOSTING_CONFIG.MODE is remote)'
+    return
+  }
+
+  badge.textContent = `${mode === 'local' ? 'Air-gapped' : 'Offline'}: ${count}/${keys.length} models`
+  const fallback = mode === 'local' ? 'not available' : 'downloads from Hugging Face'
+  badge.title = keys.map((key) => {
+    const { name, id } = MODEL_CONFIGS[key]
+    return offline[key]
+      ? `✓ ${name} - served from ${getLocalModelFolder(id)}`
+      : `✗ ${name} - ${fallback}`
+  }).join('\n')
+}
+
 // ========================================================================
 // MODEL SWITCHING
 // ========================================================================
 
+// Progress and Cancel are shown by the job overlay (see VectorManager.switchModel)
 async function switchModel(newModelKey) {
   const modelSelect = document.getElementById('model-select')
-
-  // Show loading overlay
-  const canvasContainer = document.getElementById('canvas-container')
-  const overlay = document.createElement('div')
-  overlay.className = 'canvas-overlay'
-  overlay.innerHTML = `
-    <div class="loading-spinner"></div>
-    <p style="color: var(--text-primary); font-size: var(--text-lg); margin-top: var(--space-lg);">
-      Switching model...
-    </p>
-  `
-  if (canvasContainer) canvasContainer.appendChild(overlay)
   if (modelSelect) modelSelect.disabled = true
 
   try {
     await vectorManager.switchModel(newModelKey)
     interactionHandler.clearSelection()
     updateInfoPanel([])
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+    } else {
+      console.error('Error switching model:', error)
+      showStatus(`Error switching model: ${error.message}`, 'error')
+      setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+    }
+  } finally {
+    // A cancelled or failed switch keeps the previous model
+    if (modelSelect) {
+      modelSelect.value = getCurrentModel()
+      modelSelect.disabled = false
+    }
+  }
+}
+
+// ========================================================================
+// PROJECTION SWITCHING
+// ========================================================================
+
+async function switchProjection(methodKey) {
+  const projectionSelect = document.getElementById('projection-select')
+  if (projectionSelect) projectionSelect.disabled = true
 
-    // Remove overlay
-    overlay.classList.add('fade-out')
-    setTimeout(() => overlay.remove(), 300)
+  try {
+    await vectorManager.switchProjection(methodKey)
+    interactionHandler.updateSelection()
+    lodController.forceUpdate()
   } catch (error) {
-    console.error('Error switching model:', error)
-    showStatus(`Error switching model: ${error.message}`, 'error')
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
+    console.error('Error switching projection:', error)
+    showStatus(`Error switching projection: ${error.message}`, 'error')
     setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
-    const existingOverlay = document.querySelector('.canvas-overlay')
-    if (existingOverlay) existingOverlay.remove()
   } finally {
-    if (modelSelect) modelSelect.disabled = false
+    // A cancelled or failed switch keeps the previous method
+    if (projectionSelect) {
+      projectionSelect.value = getProjectionMethod()
+      projectionSelect.disabled = false
+    }
+    updateFreezeToggle()
+  }
+}
+
+async function toggleFrozenBasis(frozen) {
+  setBasisFrozen(frozen)
+  if (frozen) {
+    showStatus('Axes frozen: new words are placed without moving the rest', 'success')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.SUCCESS_TIMEOUT_MS)
+    return
+  }
+
+  // Released: refit so the axes reflect every word currently in the scene
+  try {
+    await vectorManager.reproject()
+    interactionHandler.updateSelection()
+    lodController.forceUpdate()
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      showCancelled(error)
+      return
+    }
+    console.error('Error refitting projection:', error)
+    showStatus(`Error refitting projection: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+  }
+}
+
+// Freezing only applies to PCA's linear axes
+function updateFreezeToggle() {
+  const freezeToggle = document.getElementById('freeze-basis-toggle')
+  if (!freezeToggle) return
+  const isPCA = getProjectionMethod() === 'pca'
+  freezeToggle.disabled = !isPCA
+  freezeToggle.closest('.projection-freeze')?.classList.toggle('disabled', !isPCA)
+}
+
+// PCA axes show the variance they explain; non-linear axes have no meaning of their own
+function updateAxisLabels() {
+  const quality = getProjectionQuality()
+  const { name } = getProjectionMethodConfig()
+
+  // An aligned layout is rotated away from the principal components
+  if (quality?.explainedVariance && !isProjectionAligned()) {
+    sceneManager.setAxisLabels(quality.explainedVariance.map((share, i) => `PC${i + 1} ${formatPercent(share)}`))
+  } else if (quality) {
+    sceneManager.setAxisLabels([1, 2, 3].map(i => `${name} ${i}`))
+  } else {
+    sceneManager.setAxisLabels(['X', 'Y', 'Z'])
+  }
+}
+
+function toggleFidelityColors(enabled) {
+  vectorManager.setColorMode(enabled ? 'fidelity' : 'vector')
+  historyManager.commit(enabled ? 'Color by fidelity' : 'Color by cluster')
+  interactionHandler.updateSelection()
+  lodController.forceUpdate()
+}
+
+state.on('projectionChanged', () => updateAxisLabels())
+
+// ========================================================================
+// CLUSTERING
+// ========================================================================
+
+function initClusterControls() {
+  const methodSelect = document.getElementById('cluster-method')
+  const kSelect = document.getElementById('cluster-k')
+  if (!methodSelect || !kSelect) return
+
+  const { method, k } = vectorManager.clusterSettings
+  methodSelect.innerHTML = Object.entries(CLUSTER_METHODS)
+    .map(([key, name]) => `<option value="${key}">${name}</option>`)
+    .join('')
+  methodSelect.value = method
+
+  const counts = []
+  for (let count = CLUSTER_CONFIG.MIN_K; count <= CLUSTER_CONFIG.MAX_K; count++) counts.push(count)
+  kSelect.innerHTML = '<option value="auto">Auto k</option>' +
+    counts.map(count => `<option value="${count}">k = ${count}</option>`).join('')
+  kSelect.value = String(k)
+
+  methodSelect.addEventListener('change', (e) => updateClusterSettings({ method: e.target.value }))
+  kSelect.addEventListener('change', (e) => {
+    const value = e.target.value
+    updateClusterSettings({ k: value === 'auto' ? 'auto' : parseInt(value, 10) })
+  })
+}
+
+async function updateClusterSettings(settings) {
+  try {
+    await vectorManager.setClusterSettings(settings)
+    interactionHandler.updateSelection()
+    lodController.forceUpdate()
+  } catch (error) {
+    console.error('Error recoloring clusters:', error)
+    showStatus(`Error recoloring clusters: ${error.message}`, 'error')
+    setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
   }
 }
 
@@ -520,14 +1159,42 @@ if (modelSelect) {
   })
 }
 
-// Batch upload completion handler
-window.addEventListener('batchUploadComplete', async () => {
-  // Recreate all visualizations after batch upload
-  await vectorManager.recreateAllVisualizations()
+const projectionSelect = document.getElementById('projection-select')
+if (projectionSelect) {
+  projectionSelect.addEventListener('change', (e) => {
+    switchProjection(e.target.value)
+  })
+}
+
+const freezeToggle = document.getElementById('freeze-basis-toggle')
+if (freezeToggle) {
+  freezeToggle.addEventListener('change', (e) => {
+    toggleFrozenBasis(e.target.checked)
+  })
+}
+updateFreezeToggle()
+
+initClusterControls()
+
+const fidelityToggle = document.getElementById('fidelity-color-toggle')
+if (fidelityToggle) {
+  fidelityToggle.addEventListener('change', (e) => {
+    toggleFidelityColors(e.target.checked)
+  })
+}
+
+// Batch upload completion handler (the job already rebuilt the scene)
+window.addEventListener('batchUploadComplete', () => {
   interactionHandler.updateSelection()
   lodController.forceUpdate()
 })
 
+// Queued changes (adds, deletes, switches, imports, uploads) are recorded from
+// inside their job, so a step is never captured after the next job has started
+state.on('workspaceChanged', (label) => {
+  historyManager.commit(label)
+})
+
 // ========================================================================
 // LOD CONTROL FUNCTIONS
 // ========================================================================
@@ -552,7 +1219,15 @@ window.startTour = () => tour.restart()
 // START APPLICATION
 // ========================================================================
 
-runIntroSequence()
+// The last autosaved workspace replaces the starter set (and its intro)
+const restored = await restoreAutosave()
+if (!restored) runIntroSequence()
+historyManager.reset()
+updateEmbeddingCacheInfo()
+registerServiceWorker()
 animate()
 
+state.on('historyChanged', () => scheduleAutosave())
+sceneManager.controls.addEventListener('change', () => scheduleAutosave())
+
 console.log('Vector Similarity Explorer initialized successfully!')
@@ -1,28 +1,33 @@
 // Mathematical utility functions
-import { MODEL_SCALING } from './constants.js'
-import { getCurrentModel } from './embeddings.js'
+// No app-state imports: this module also runs inside the compute worker
+import { PCA_CONFIG } from './constants.js'
 
+// Similarity metrics work on vectors of any dimension (3D coords or full embeddings)
 export function cosineSimilarity(v1, v2) {
-    const dot = v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
-    const mag1 = Math.sqrt(v1[0] ** 2 + v1[1] ** 2 + v1[2] ** 2);
-    const mag2 = Math.sqrt(v2[0] ** 2 + v2[1] ** 2 + v2[2] ** 2);
-    return dot / (mag1 * mag2);
+    const mag1 = magnitude(v1);
+    const mag2 = magnitude(v2);
+    if (mag1 === 0 || mag2 === 0) return 0;
+    return dotProduct(v1, v2) / (mag1 * mag2);
 }
 
 export function euclideanDistance(v1, v2) {
-    return Math.sqrt(
-        (v1[0] - v2[0]) ** 2 + 
-        (v1[1] - v2[1]) ** 2 + 
-        (v1[2] - v2[2]) ** 2
-    );
+    let sum = 0;
+    for (let i = 0; i < v1.length; i++) {
+        sum += (v1[i] - v2[i]) ** 2;
+    }
+    return Math.sqrt(sum);
 }
 
 export function dotProduct(v1, v2) {
-    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+    let sum = 0;
+    for (let i = 0; i < v1.length; i++) {
+        sum += v1[i] * v2[i];
+    }
+    return sum;
 }
 
 export function magnitude(v) {
-    return Math.sqrt(v[0] ** 2 + v[1] ** 2 + v[2] ** 2);
+    return Math.sqrt(dotProduct(v, v));
 }
 
 // Map a value from one range to another
@@ -35,15 +40,72 @@ export function clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
 }
 
+// Seeded PRNG (mulberry32) returning floats in [0, 1), for reproducible layouts
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal sample (Box-Muller) from a uniform generator
+export function gaussianRandom(random = Math.random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Pairwise squared Euclidean distances between the rows of a matrix
+export function squaredDistanceMatrix(matrix) {
+    const n = matrix.length;
+    const distances = Array.from({ length: n }, () => new Float64Array(n));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let sum = 0;
+            for (let k = 0; k < matrix[i].length; k++) {
+                sum += (matrix[i][k] - matrix[j][k]) ** 2;
+            }
+            distances[i][j] = sum;
+            distances[j][i] = sum;
+        }
+    }
+    return distances;
+}
+
+// Basis (mean, components, scale, model, rotation) from the most recent pcaTo3D fit, so
+// vectors that are not part of the scene can be placed in the same 3D space
+// and the next fit can keep its axes pointing the same way
+let lastPCABasis = null;
+
+// The compute worker fits on its own copy of this module; these carry the
+// basis across so both threads place vectors on the same axes
+export function getLastPCABasis() {
+    return lastPCABasis;
+}
+
+export function setLastPCABasis(basis) {
+    lastPCABasis = basis;
+}
+
 // Proper PCA for dimensionality reduction (384D -> 3D)
+// Deterministic: power iteration starts from a seeded vector, and each component's
+// sign is aligned with the previous fit so adding a word doesn't mirror the scene
 export function pcaTo3D(embeddings, modelKey = null) {
     const words = Object.keys(embeddings).filter(w => embeddings[w] !== null);
     const matrix = words.map(w => embeddings[w]);
 
-    if (matrix.length === 0) return null;
+    if (matrix.length === 0) {
+        lastPCABasis = null;
+        return null;
+    }
 
     if (matrix.length === 1) {
-        return [[3, 0, 0]];
+        lastPCABasis = null;
+        return [[...PCA_CONFIG.SINGLE_VECTOR_POSITION]];
     }
     
     const n = matrix.length;
@@ -64,14 +126,22 @@ export function pcaTo3D(embeddings, modelKey = null) {
         row.map((val, j) => val - means[j])
     );
     
+    // Previous axes are only comparable for the same model and dimension
+    const previousBasis = lastPCABasis &&
+        lastPCABasis.modelKey === modelKey &&
+        lastPCABasis.means.length === d
+        ? lastPCABasis
+        : null;
+
     // Use power iteration to find top 3 eigenvectors
     const components = [];
     let residual = centered.map(row => [...row]);
+    const random = createSeededRandom(PCA_CONFIG.RANDOM_SEED);
     
-    for (let comp = 0; comp < 3; comp++) {
-        let vector = new Array(d).fill(0).map(() => Math.random() - 0.5);
+    for (let comp = 0; comp < PCA_CONFIG.NUM_COMPONENTS; comp++) {
+        let vector = new Array(d).fill(0).map(() => random() - 0.5);
         
-        for (let iter = 0; iter < 50; iter++) {
+        for (let iter = 0; iter < PCA_CONFIG.MAX_ITERATIONS; iter++) {
             let newVector = new Array(d).fill(0);
             for (let i = 0; i < n; i++) {
                 const projection = residual[i].reduce((sum, val, j) => sum + val * vector[j], 0);
@@ -81,10 +151,15 @@ export function pcaTo3D(embeddings, modelKey = null) {
             }
             
             const norm = Math.sqrt(newVector.reduce((sum, val) => sum + val * val, 0));
-            if (norm < 1e-10) break;
+            if (norm < PCA_CONFIG.CONVERGENCE_THRESHOLD) break;
             
             vector = newVector.map(val => val / norm);
         }
+
+        // Eigenvectors are only defined up to sign; keep the previous orientation
+        if (previousBasis && dotProduct(vector, previousBasis.components[comp]) < 0) {
+            vector = vector.map(val => -val);
+        }
         
         components.push(vector);
         
@@ -103,9 +178,183 @@ export function pcaTo3D(embeddings, modelKey = null) {
         )
     );
 
-    // Use model-specific scaling for better visual distribution
-    const currentModelKey = modelKey || getCurrentModel();
-    const scale = MODEL_SCALING[currentModelKey] || 5;  // Default to 5 if model not found
+    // Spread computed from the data, so every model (of any dimension) fills the same space
+    const scale = computeScale(projected);
+
+    // A layout aligned to another one (see alignProjection() in projection.js)
+    // stays in that frame when the same model is refit
+    const rotation = previousBasis?.rotation ?? null;
+    lastPCABasis = { means, components, scale, modelKey, rotation };
+
+    const scaled = projected.map(p => p.map(val => val * scale));
+    return rotation ? applyRotation(scaled, rotation) : scaled;
+}
+
+// Scale that puts the projected points at PCA_CONFIG.TARGET_RMS_RADIUS from the center
+function computeScale(projected) {
+    const meanSquare = projected.reduce((sum, p) => sum + dotProduct(p, p), 0) / projected.length;
+    return meanSquare > 0
+        ? PCA_CONFIG.TARGET_RMS_RADIUS / Math.sqrt(meanSquare)
+        : PCA_CONFIG.SCALE_FACTOR;
+}
+
+// Project an arbitrary high-dimensional vector with the last PCA fit (no refit)
+export function projectWithLastBasis(vector) {
+    if (!lastPCABasis || vector.length !== lastPCABasis.means.length) return null;
+
+    const { means, components, scale, rotation } = lastPCABasis;
+    const point = components.map(comp =>
+        vector.reduce((sum, val, j) => sum + (val - means[j]) * comp[j], 0) * scale
+    );
+    return rotation ? applyRotation([point], rotation)[0] : point;
+}
+
+// Frozen-basis projection: place every embedding on the last fitted axes without
+// refitting. Returns null when no basis exists for this model yet (caller refits).
+export function projectOntoLastBasis(embeddings, modelKey = null) {
+    if (!lastPCABasis || lastPCABasis.modelKey !== modelKey) return null;
+
+    const words = Object.keys(embeddings).filter(w => embeddings[w] !== null);
+    const projected = words.map(w => projectWithLastBasis(embeddings[w]));
+    return projected.length > 0 && projected.every(p => p !== null) ? projected : null;
+}
+
+// How much of the original structure the PCA axes keep:
+// - explainedVariance: share of total variance captured by each component
+// - fidelity: per row, share of its centered squared norm the 3 components reconstruct
+// Uses the last fitted basis, so a frozen basis reports how well it fits the current data
+export function pcaQuality(matrix) {
+    if (!lastPCABasis || matrix.length === 0 || matrix[0].length !== lastPCABasis.means.length) {
+        return null;
+    }
+
+    const { means, components } = lastPCABasis;
+    const componentEnergy = new Array(components.length).fill(0);
+    let totalEnergy = 0;
+
+    const fidelity = matrix.map(row => {
+        const centered = row.map((val, j) => val - means[j]);
+        const rowEnergy = dotProduct(centered, centered);
+        let keptEnergy = 0;
+        components.forEach((comp, k) => {
+            const projection = dotProduct(centered, comp);
+            componentEnergy[k] += projection * projection;
+            keptEnergy += projection * projection;
+        });
+        totalEnergy += rowEnergy;
+        // A row sitting on the mean is reconstructed exactly
+        return rowEnergy > 0 ? clamp(keptEnergy / rowEnergy, 0, 1) : 1;
+    });
+
+    return {
+        explainedVariance: componentEnergy.map(energy => totalEnergy > 0 ? energy / totalEnergy : 0),
+        fidelity
+    };
+}
+
+// Eigen-decomposition of a symmetric 3x3 matrix (cyclic Jacobi rotations).
+// Returns eigenvalues in descending order, eigenvectors as matching columns.
+function symmetricEigen3(matrix) {
+    const a = matrix.map(row => [...row]);
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        if (a[0][1] ** 2 + a[0][2] ** 2 + a[1][2] ** 2 < 1e-24) break;
+
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (Math.abs(a[p][q]) < 1e-30) continue;
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            // a = J^T a J, v = v J
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p];
+                const akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k];
+                const aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k][p];
+                const vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    const order = [0, 1, 2].sort((i, j) => a[j][j] - a[i][i]);
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: [0, 1, 2].map(row => order.map(i => v[row][i]))
+    };
+}
+
+const cross3 = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+// Orthogonal Procrustes for two 3D point sets in the same order: the rotation R
+// minimizing sum |source_i R - target_i|^2 (points as row vectors, no translation,
+// since every layout is centered on the origin the arrows start from).
+// Reflections are allowed unless allowReflection is false: PCA and t-SNE axes have
+// no inherent handedness. Returns null when the points don't span a plane.
+export function procrustesRotation(source, target, allowReflection = true) {
+    if (source.length < 3 || source.length !== target.length) return null;
+
+    // M = source^T target; R = U V^T from its SVD
+    const m = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+        source.reduce((sum, p, n) => sum + p[i] * target[n][j], 0)
+    ));
+    const mtm = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+        m[0][i] * m[0][j] + m[1][i] * m[1][j] + m[2][i] * m[2][j]
+    ));
+    const { values, vectors } = symmetricEigen3(mtm);
+    const singular = values.map(value => Math.sqrt(Math.max(value, 0)));
+    if (singular[1] <= singular[0] * 1e-9) return null;
+
+    const vColumns = [0, 1, 2].map(k => vectors.map(row => row[k]));
+    const uColumns = vColumns.slice(0, 2).map((vk, k) =>
+        m.map(row => dotProduct(row, vk) / singular[k])
+    );
+    // Flat point sets (or a near-zero third singular value): complete the frame
+    const third = singular[2] > singular[0] * 1e-9
+        ? m.map(row => dotProduct(row, vColumns[2]) / singular[2])
+        : cross3(uColumns[0], uColumns[1]);
+    uColumns.push(third);
+
+    const compose = () => [0, 1, 2].map(i => [0, 1, 2].map(j =>
+        uColumns.reduce((sum, u, k) => sum + u[i] * vColumns[k][j], 0)
+    ));
+    let rotation = compose();
+    if (!allowReflection && determinant3(rotation) < 0) {
+        uColumns[2] = uColumns[2].map(val => -val);
+        rotation = compose();
+    }
+    return rotation;
+}
+
+export function determinant3(m) {
+    return dotProduct(m[0], cross3(m[1], m[2]));
+}
+
+// Points (row vectors) times a 3x3 rotation from procrustesRotation()
+export function applyRotation(points, rotation) {
+    return points.map(p => [0, 1, 2].map(j =>
+        p[0] * rotation[0][j] + p[1] * rotation[1][j] + p[2] * rotation[2][j]
+    ));
+}
 
-    return projected.map(p => p.map(val => val * scale));
+// Rotation that applies `first`, then `second`
+export function composeRotations(first, second) {
+    return first ? applyRotation(first, second) : second;
 }
@@ -0,0 +1,651 @@
+/**
+ * ModelComparison - the same words in two or three models, side by side
+ *
+ * Features:
+ * - Every vector embedded with each picked model from MODEL_CONFIGS (the
+ *   embedding cache makes reopening cheap) and projected with the active
+ *   method, one viewport per model
+ * - Every other model's layout rotated onto the main scene (Procrustes), so
+ *   the panes differ only where the models disagree
+ * - One camera shared by all viewports, so orbiting one orbits them all
+ * - Selection goes through StateManager: clicking a word in any viewport selects
+ *   it in every viewport and in the main scene
+ * - For a selected pair, a table of each model's cosine similarity, where that
+ *   falls among all pairs in the model, and the neighbor ranks both ways
+ *
+ * Raw cosine isn't comparable across models (E5 puts nearly every pair above
+ * 0.7), so "which model thinks these are closer" is answered by percentile.
+ */
+
+import * as THREE from 'three'
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+import { vectors, originalEmbeddings } from './vector-data.js'
+import { MODEL_CONFIGS, getCurrentModel, getEmbedding } from './embeddings.js'
+import { projectSeparately, getProjectionMethodConfig } from './projection.js'
+import { procrustesRotation, applyRotation } from './math-utils.js'
+import { computeMetrics, cosineMatrix, neighborRank } from './similarity.js'
+import { scheduleJob } from './job-scheduler.js'
+import { createVectorArrow, createTextLabel, createAxisArrow, createConnectionLine } from './three-helpers.js'
+import {
+  MODEL_COMPARE_CONFIG,
+  MODEL_SHIFT_CONFIG,
+  SCENE_CONFIG,
+  LIGHTING_CONFIG,
+  CAMERA_CONFIG,
+  CONTROLS_CONFIG,
+  RENDERER_CONFIG,
+  LABEL_CONFIG,
+  CLUSTER_CONFIG,
+  VECTOR_VISUAL_STATE
+} from './constants.js'
+
+const modelLabel = (key) => MODEL_CONFIGS[key].label ?? MODEL_CONFIGS[key].name
+
+function disposeObject(object) {
+  object.traverse((child) => {
+    child.geometry?.dispose()
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+    materials.forEach(material => {
+      material?.map?.dispose()
+      material?.dispose()
+    })
+  })
+}
+
+export class ModelComparison {
+  constructor(stateManager, interactionHandler, mainCamera, mainControls) {
+    this.state = stateManager
+    this.interactionHandler = interactionHandler
+    this.mainCamera = mainCamera
+    this.mainControls = mainControls
+
+    this.panel = document.getElementById('model-compare-view')
+    this.viewport = document.getElementById('model-compare-viewports')
+    this.paneHeaders = document.getElementById('model-compare-panes')
+    this.picker = document.getElementById('model-compare-picker')
+    this.summary = document.getElementById('model-compare-summary')
+    this.table = document.getElementById('model-compare-table')
+
+    // Picked model keys (MODEL_CONFIGS order) and one pane per model:
+    // {key, status, names, coords, embeddings, sortedPairs, scene, arrows, labels, pairLine}
+    this.modelKeys = []
+    this.panes = []
+
+    // Created on first open
+    this.renderer = null
+    this.camera = null
+    this.controls = null
+    this.frameId = null
+
+    // Bumped per refresh, so a slow earlier refresh drops its results
+    this.refreshId = 0
+    this.pointerDown = null
+
+    this.setupEventListeners()
+
+    // Same "vector set changed" signal as the similarity matrix
+    this.state.on('clustersChanged', () => {
+      if (this.isOpen()) this.refresh()
+    })
+    this.state.on('selectionChanged', () => {
+      if (!this.isOpen()) return
+      this.updateSelectionVisuals()
+      this.renderTable()
+    })
+  }
+
+  // ========================================================================
+  // VIEW VISIBILITY
+  // ========================================================================
+
+  isOpen() {
+    return this.panel && this.panel.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.panel) return
+    this.panel.style.display = 'flex'
+    if (!this.renderer) this.createRenderer()
+
+    // Start from wherever the main camera is looking
+    this.camera.position.copy(this.mainCamera.position)
+    this.controls.target.copy(this.mainControls.target)
+    this.controls.update()
+
+    this.pickDefaultModels()
+    this.renderPicker()
+    this.resize()
+    this.startRendering()
+    this.refresh()
+  }
+
+  close() {
+    if (!this.panel) return
+    this.panel.style.display = 'none'
+    cancelAnimationFrame(this.frameId)
+    this.frameId = null
+
+    // Any refresh still embedding gives up; free the GPU memory of the panes
+    this.refreshId++
+    this.disposePanes()
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  // ========================================================================
+  // MODEL PICKER
+  // ========================================================================
+
+  /**
+   * Keep picks that still exist; otherwise the current model plus the next ones
+   */
+  pickDefaultModels() {
+    const keys = Object.keys(MODEL_CONFIGS)
+    this.modelKeys = this.modelKeys.filter(key => MODEL_CONFIGS[key])
+    if (this.modelKeys.length >= MODEL_COMPARE_CONFIG.MIN_MODELS) return
+
+    const current = getCurrentModel()
+    this.modelKeys = [current, ...keys.filter(key => key !== current)]
+      .slice(0, MODEL_COMPARE_CONFIG.MIN_MODELS)
+    this.sortModelKeys()
+  }
+
+  sortModelKeys() {
+    const order = Object.keys(MODEL_CONFIGS)
+    this.modelKeys.sort((a, b) => order.indexOf(a) - order.indexOf(b))
+  }
+
+  renderPicker() {
+    if (!this.picker) return
+    this.picker.innerHTML = ''
+
+    const atMax = this.modelKeys.length >= MODEL_COMPARE_CONFIG.MAX_MODELS
+    const atMin = this.modelKeys.length <= MODEL_COMPARE_CONFIG.MIN_MODELS
+
+    Object.entries(MODEL_CONFIGS).forEach(([key, config]) => {
+      const checked = this.modelKeys.includes(key)
+      const option = document.createElement('label')
+      option.className = 'model-compare-option'
+      option.title = `${config.id} · ${config.dims}D`
+
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.value = key
+      checkbox.checked = checked
+      checkbox.disabled = checked ? atMin : atMax
+
+      option.append(checkbox, document.createTextNode(modelLabel(key)))
+      this.picker.appendChild(option)
+    })
+  }
+
+  setModelPicked(key, picked) {
+    this.modelKeys = picked
+      ? [...this.modelKeys, key]
+      : this.modelKeys.filter(k => k !== key)
+    this.sortModelKeys()
+    this.renderPicker()
+    this.resize()
+    this.refresh()
+  }
+
+  // ========================================================================
+  // EMBEDDING AND PROJECTION
+  // ========================================================================
+
+  /**
+   * Embed and project the current words with every picked model, then rebuild the panes
+   */
+  async refresh() {
+    const refreshId = ++this.refreshId
+    const isStale = () => refreshId !== this.refreshId
+    const names = Object.keys(vectors).filter(name => originalEmbeddings[name])
+
+    this.disposePanes()
+    this.panes = this.modelKeys.map(key => ({ key, status: 'Waiting...' }))
+    this.renderPaneHeaders()
+    this.renderTable()
+    if (this.summary) {
+      this.summary.textContent = `${names.length} words · ${getProjectionMethodConfig().name} per model`
+    }
+
+    for (const pane of this.panes) {
+      try {
+        await this.loadPane(pane, names, isStale)
+      } catch (error) {
+        console.error(`Comparison view: ${pane.key} failed:`, error)
+        pane.status = error.message
+      }
+      if (isStale()) return
+      if (pane.names) this.buildScene(pane)
+      this.renderPaneHeaders()
+    }
+
+    this.updateSelectionVisuals()
+    this.renderTable()
+  }
+
+  /**
+   * Embeddings, coordinates and pair statistics for one model.
+   * The current model reuses the main scene's embeddings and layout.
+   */
+  async loadPane(pane, names, isStale) {
+    // Queued with the scene's jobs, so a model switch can't land halfway through
+    const loaded = await scheduleJob(`Compare with ${MODEL_CONFIGS[pane.key]?.label ?? pane.key}`, async () => {
+      const current = pane.key === getCurrentModel()
+      const embeddings = {}
+
+      for (const [i, name] of names.entries()) {
+        if (!current && i % 10 === 0) {
+          pane.status = `Embedding ${i + 1}/${names.length}...`
+          this.renderPaneHeaders()
+        }
+        // Same texts and roles a model switch would embed
+        embeddings[name] = current
+          ? originalEmbeddings[name]
+          : await getEmbedding(name, pane.key, vectors[name]?.role)
+        if (isStale()) return null
+      }
+      return { current, embeddings }
+    })
+    if (!loaded) return
+    const { current, embeddings } = loaded
+
+    let coords
+    if (current) {
+      coords = names.map(name => vectors[name]?.coords ?? [0, 0, 0])
+    } else {
+      pane.status = 'Projecting...'
+      this.renderPaneHeaders()
+      coords = await projectSeparately(embeddings, pane.key)
+      if (isStale()) return
+      if (!coords) throw new Error('Projection failed')
+
+      const reference = names.map(name => vectors[name]?.coords ?? [0, 0, 0])
+      const rotation = procrustesRotation(coords, reference, MODEL_SHIFT_CONFIG.ALLOW_REFLECTION)
+      if (rotation) coords = applyRotation(coords, rotation)
+    }
+
+    pane.names = names
+    pane.coords = Object.fromEntries(names.map((name, i) => [name, coords[i]]))
+    pane.embeddings = embeddings
+
+    // Every pair's cosine, sorted, for percentiles
+    const cosine = cosineMatrix(names.map(name => embeddings[name]))
+    pane.sortedPairs = cosine.flatMap((row, i) => row.slice(i + 1)).sort((a, b) => a - b)
+    pane.status = null
+  }
+
+  // ========================================================================
+  // PAIR METRICS
+  // ========================================================================
+
+  /**
+   * How one model sees a pair
+   * @returns {Object|null} {cosine, percentile (0..1 share of pairs less similar),
+   *   rankAB (b among a's neighbors, 1 = nearest), rankBA} or null if either is missing
+   */
+  pairMetrics(pane, a, b) {
+    const ea = pane.embeddings?.[a]
+    const eb = pane.embeddings?.[b]
+    if (!ea || !eb) return null
+
+    // Ranked within this model's embeddings, not the scene's
+    const { cosine } = computeMetrics(ea, eb)
+    const rank = (from, to) => neighborRank(from, to, { embeddings: pane.embeddings })
+
+    // Binary search: number of pairs strictly less similar
+    const sorted = pane.sortedPairs
+    let lo = 0
+    let hi = sorted.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (sorted[mid] < cosine) lo = mid + 1
+      else hi = mid
+    }
+
+    return {
+      cosine,
+      percentile: sorted.length > 1 ? lo / (sorted.length - 1) : 1,
+      rankAB: rank(a, b),
+      rankBA: rank(b, a)
+    }
+  }
+
+  renderTable() {
+    if (!this.table) return
+    this.table.innerHTML = ''
+
+    const selected = this.state.getSelectedVectors()
+    if (selected.length !== 2) {
+      const hint = document.createElement('p')
+      hint.className = 'model-compare-hint'
+      hint.textContent = 'Select two words (in any viewport) to see how close each model puts them.'
+      this.table.appendChild(hint)
+      return
+    }
+
+    const [a, b] = selected
+    const rows = this.panes
+      .filter(pane => pane.names)
+      .map(pane => ({ pane, metrics: this.pairMetrics(pane, a, b) }))
+    const scored = rows.filter(row => row.metrics)
+    const closest = scored.length > 1
+      ? scored.reduce((best, row) => (row.metrics.percentile > best.metrics.percentile ? row : best))
+      : null
+
+    const table = document.createElement('table')
+    const caption = document.createElement('caption')
+    caption.textContent = `${a} ↔ ${b}`
+    table.appendChild(caption)
+
+    const addRow = (cells, tag = 'td', className = '') => {
+      const tr = document.createElement('tr')
+      if (className) tr.className = className
+      cells.forEach(text => {
+        const cell = document.createElement(tag)
+        cell.textContent = text
+        tr.appendChild(cell)
+      })
+      table.appendChild(tr)
+    }
+
+    addRow(['Model', 'Cosine', 'Closer than', `Rank of ${b}`, `Rank of ${a}`], 'th')
+    rows.forEach((row) => {
+      const { pane, metrics } = row
+      const name = `${modelLabel(pane.key)} · ${MODEL_CONFIGS[pane.key].dims}D`
+      if (!metrics) {
+        addRow([name, '—', 'not embedded yet', '—', '—'])
+        return
+      }
+      const n = pane.names.length - 1
+      addRow([
+        row === closest ? `${name} · closest` : name,
+        metrics.cosine.toFixed(3),
+        `${Math.round(metrics.percentile * 100)}% of pairs`,
+        `#${metrics.rankAB} of ${n}`,
+        `#${metrics.rankBA} of ${n}`
+      ], 'td', row === closest ? 'closest' : '')
+    })
+
+    const note = document.createElement('p')
+    note.className = 'model-compare-hint'
+    note.textContent = 'Cosine ranges differ between models; the closest model is the one that ranks this pair highest among its own pairs.'
+    this.table.append(table, note)
+  }
+
+  // ========================================================================
+  // RENDERING
+  // ========================================================================
+
+  createRenderer() {
+    this.renderer = new THREE.WebGLRenderer({ antialias: RENDERER_CONFIG.ANTIALIAS, alpha: RENDERER_CONFIG.ALPHA })
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, RENDERER_CONFIG.MAX_PIXEL_RATIO))
+    this.renderer.autoClear = false
+    this.viewport.prepend(this.renderer.domElement)
+
+    this.camera = new THREE.PerspectiveCamera(CAMERA_CONFIG.FOV, 1, CAMERA_CONFIG.NEAR_CLIP, CAMERA_CONFIG.FAR_CLIP)
+
+    // One camera for every pane is what keeps the viewports in sync
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
+    this.controls.enableDamping = CONTROLS_CONFIG.ENABLE_DAMPING
+    this.controls.dampingFactor = CONTROLS_CONFIG.DAMPING_FACTOR
+    this.controls.rotateSpeed = CONTROLS_CONFIG.ROTATE_SPEED
+    this.controls.zoomSpeed = CONTROLS_CONFIG.ZOOM_SPEED
+    this.controls.minDistance = CONTROLS_CONFIG.MIN_DISTANCE
+    this.controls.maxDistance = CONTROLS_CONFIG.MAX_DISTANCE
+    this.controls.enablePan = CONTROLS_CONFIG.ENABLE_PAN
+  }
+
+  /**
+   * Pane rectangle in CSS pixels (x from the left); panes split the width evenly
+   */
+  paneRect(index) {
+    const width = this.viewport.clientWidth
+    const height = this.viewport.clientHeight
+    const count = Math.max(this.modelKeys.length, 1)
+    const paneWidth = width / count
+    const gap = index < count - 1 ? MODEL_COMPARE_CONFIG.PANE_GAP : 0
+    return { x: index * paneWidth, width: paneWidth - gap, height }
+  }
+
+  resize() {
+    if (!this.renderer || !this.isOpen()) return
+    const width = this.viewport.clientWidth
+    const height = this.viewport.clientHeight
+    this.renderer.setSize(width, height)
+
+    const pane = this.paneRect(0)
+    this.camera.aspect = pane.width / Math.max(height, 1)
+    this.camera.updateProjectionMatrix()
+  }
+
+  startRendering() {
+    cancelAnimationFrame(this.frameId)
+    const render = () => {
+      this.frameId = requestAnimationFrame(render)
+      this.controls.update()
+      this.renderPanes()
+    }
+    render()
+  }
+
+  renderPanes() {
+    const renderer = this.renderer
+    renderer.setScissorTest(false)
+    renderer.setClearColor(MODEL_COMPARE_CONFIG.GAP_COLOR)
+    renderer.clear()
+    renderer.setScissorTest(true)
+
+    this.panes.forEach((pane, i) => {
+      const { x, width, height } = this.paneRect(i)
+      renderer.setViewport(x, 0, width, height)
+      renderer.setScissor(x, 0, width, height)
+      if (pane.scene) {
+        renderer.render(pane.scene, this.camera)
+      } else {
+        renderer.setClearColor(SCENE_CONFIG.BACKGROUND_COLOR)
+        renderer.clear()
+      }
+    })
+  }
+
+  renderPaneHeaders() {
+    if (!this.paneHeaders) return
+    this.paneHeaders.innerHTML = ''
+    this.panes.forEach(pane => {
+      const header = document.createElement('div')
+      header.className = 'model-compare-pane'
+
+      const title = document.createElement('span')
+      title.className = 'model-compare-pane-title'
+      title.textContent = `${modelLabel(pane.key)} · ${MODEL_CONFIGS[pane.key].dims}D`
+      if (pane.key === getCurrentModel()) title.textContent += ' · current'
+      header.appendChild(title)
+
+      if (pane.status) {
+        const status = document.createElement('span')
+        status.className = 'model-compare-pane-status'
+        status.textContent = pane.status
+        header.appendChild(status)
+      }
+      this.paneHeaders.appendChild(header)
+    })
+  }
+
+  // ========================================================================
+  // PANE SCENES
+  // ========================================================================
+
+  buildScene(pane) {
+    const scene = new THREE.Scene()
+    scene.background = new THREE.Color(SCENE_CONFIG.BACKGROUND_COLOR)
+    scene.add(new THREE.AmbientLight(LIGHTING_CONFIG.AMBIENT_COLOR, LIGHTING_CONFIG.AMBIENT_INTENSITY))
+    const light = new THREE.DirectionalLight(LIGHTING_CONFIG.MAIN_LIGHT_COLOR, LIGHTING_CONFIG.MAIN_LIGHT_INTENSITY)
+    const { x, y, z } = LIGHTING_CONFIG.MAIN_LIGHT_POSITION
+    light.position.set(x, y, z)
+    scene.add(light)
+
+    const axisLength = SCENE_CONFIG.AXIS_LENGTH
+    const axes = [
+      [[axisLength, 0, 0], SCENE_CONFIG.AXIS_COLOR_X],
+      [[0, axisLength, 0], SCENE_CONFIG.AXIS_COLOR_Y],
+      [[0, 0, axisLength], SCENE_CONFIG.AXIS_COLOR_Z]
+    ]
+    axes.forEach(([end, color]) => scene.add(createAxisArrow([0, 0, 0], end, color, SCENE_CONFIG.AXIS_THICKNESS)))
+
+    pane.scene = scene
+    pane.arrows = new Map()
+    pane.labels = new Map()
+    pane.pairLine = null
+
+    const allCoords = pane.names.map(name => pane.coords[name])
+    pane.names.forEach((name, i) => {
+      // Same color in every pane, so a word is easy to find across models
+      const color = vectors[name]?.color ?? CLUSTER_CONFIG.UNASSIGNED_COLOR
+      const arrow = createVectorArrow([0, 0, 0], allCoords[i], color, allCoords)
+      arrow.children.forEach(mesh => { mesh.userData.name = name })
+      scene.add(arrow)
+      pane.arrows.set(name, arrow)
+    })
+
+    pane.names.slice(0, MODEL_COMPARE_CONFIG.MAX_LABELS).forEach(name => this.ensureLabel(pane, name))
+  }
+
+  ensureLabel(pane, name) {
+    if (pane.labels.has(name) || !pane.coords[name]) return
+    const label = createTextLabel(name, vectors[name]?.color ?? CLUSTER_CONFIG.UNASSIGNED_COLOR)
+    label.userData.name = name
+    label.scale.multiplyScalar(MODEL_COMPARE_CONFIG.LABEL_SCALE)
+    label.position.set(...pane.coords[name].map(v => v * LABEL_CONFIG.POSITION_MULTIPLIER))
+    pane.scene.add(label)
+    pane.labels.set(name, label)
+  }
+
+  /**
+   * Selected vectors glow, the rest fade; a selected pair is joined by a line
+   * colored by its percentile, so the panes compare at a glance
+   */
+  updateSelectionVisuals() {
+    const selected = this.state.getSelectedVectors()
+
+    this.panes.filter(pane => pane.scene).forEach(pane => {
+      selected.forEach(name => this.ensureLabel(pane, name))
+
+      const visualFor = (name) => selected.length === 0
+        ? VECTOR_VISUAL_STATE.NORMAL
+        : selected.includes(name) ? VECTOR_VISUAL_STATE.SELECTED : VECTOR_VISUAL_STATE.FADED
+
+      pane.arrows.forEach((arrow, name) => {
+        const visual = visualFor(name)
+        arrow.children.forEach(child => {
+          if (child.userData.isHitbox || !child.material) return
+          child.material.emissiveIntensity = visual.emissiveIntensity
+          child.material.opacity = visual.opacity
+        })
+      })
+      pane.labels.forEach((label, name) => {
+        label.material.opacity = visualFor(name).opacity
+      })
+
+      if (pane.pairLine) {
+        pane.scene.remove(pane.pairLine)
+        disposeObject(pane.pairLine)
+        pane.pairLine = null
+      }
+      const metrics = selected.length === 2 ? this.pairMetrics(pane, ...selected) : null
+      if (metrics) {
+        const color = this.interactionHandler.getSimilarityColor(metrics.percentile)
+        pane.pairLine = createConnectionLine(pane.coords[selected[0]], pane.coords[selected[1]], color)
+        pane.scene.add(pane.pairLine)
+      }
+    })
+  }
+
+  disposePanes() {
+    this.panes.forEach(pane => {
+      if (pane.scene) disposeObject(pane.scene)
+    })
+    this.panes = []
+  }
+
+  // ========================================================================
+  // INTERACTION
+  // ========================================================================
+
+  /**
+   * Word under a mouse event, raycast in the pane it landed in
+   * @returns {string|null|undefined} Name, null for empty space, undefined outside any pane
+   */
+  pickAt(event) {
+    const bounds = this.renderer.domElement.getBoundingClientRect()
+    const x = event.clientX - bounds.left
+    const y = event.clientY - bounds.top
+    const index = this.panes.findIndex((pane, i) => {
+      const rect = this.paneRect(i)
+      return x >= rect.x && x < rect.x + rect.width
+    })
+    const pane = this.panes[index]
+    if (!pane?.scene) return undefined
+
+    const rect = this.paneRect(index)
+    const pointer = new THREE.Vector2(((x - rect.x) / rect.width) * 2 - 1, -(y / rect.height) * 2 + 1)
+    const raycaster = new THREE.Raycaster()
+    raycaster.setFromCamera(pointer, this.camera)
+
+    const meshes = [...pane.arrows.values()].flatMap(arrow => arrow.children)
+    const labels = [...pane.labels.values()]
+    const hit = raycaster.intersectObjects(meshes)[0] ?? raycaster.intersectObjects(labels)[0]
+    return hit?.object.userData.name ?? null
+  }
+
+  selectAt(event) {
+    const name = this.pickAt(event)
+    if (name === undefined) return
+
+    if (name && vectors[name]) {
+      this.state.selectVector(name)
+    } else {
+      this.state.clearSelection()
+    }
+    this.interactionHandler.updateSelection()
+  }
+
+  setupEventListeners() {
+    if (!this.panel) return
+
+    // stopPropagation: the window handlers would otherwise hover/click the hidden main scene
+    this.panel.addEventListener('mousemove', (e) => e.stopPropagation())
+
+    this.panel.addEventListener('pointerdown', (e) => {
+      this.pointerDown = { x: e.clientX, y: e.clientY }
+    })
+
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.model-compare-close-btn')) {
+        this.close()
+        return
+      }
+      if (this.renderer && e.target === this.renderer.domElement && this.pointerDown) {
+        // Orbiting ends in a click too; only a still pointer selects
+        const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y)
+        if (moved <= MODEL_COMPARE_CONFIG.CLICK_TOLERANCE_PX) this.selectAt(e)
+      }
+    })
+
+    this.picker?.addEventListener('change', (e) => {
+      if (e.target.matches('input[type="checkbox"]')) {
+        this.setModelPicked(e.target.value, e.target.checked)
+      }
+    })
+
+    window.addEventListener('resize', () => this.resize())
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Model Diagnostics - what loading and running each model costs
+ *
+ * embeddings.js reports here as it works:
+ * - Loads: per-file download progress (transformers.js progress events),
+ *   then initialization, load time and the size of the files loaded
+ * - Failures, with a hint on what to do about them
+ * - Embedding calls that reached the model (cache hits don't), for latency per item
+ *
+ * Listeners get the per-model records on every change (see diagnostics-panel.js).
+ */
+
+const models = {}
+const listeners = new Set()
+let activeModel = null
+
+// First match wins; tested against the error message
+const LOAD_ERROR_HINTS = [
+  {
+    pattern: /not available offline/i,
+    hint: (modelId) => `Download it on the server with "node download-models.js ${modelId}", or switch MODEL_HOSTING_CONFIG.MODE to 'auto'.`
+  },
+  {
+    pattern: /compute worker failed/i,
+    hint: () => 'The browser could not start the compute worker. Use a current Chrome, Edge, Firefox or Safari and reload the page.'
+  },
+  {
+    pattern: /could not locate file|404|not found/i,
+    hint: () => 'Its files were not found. Check the model id; transformers.js needs ONNX weights (e.g. a Xenova/ conversion).'
+  },
+  {
+    pattern: /unsupported model type|unsupported/i,
+    hint: () => 'transformers.js cannot run this architecture. Pick another model or export it to ONNX with Hugging Face Optimum.'
+  },
+  {
+    pattern: /memory|allocation failed/i,
+    hint: () => 'The browser ran out of memory. Close other tabs or pick a smaller model.'
+  },
+  {
+    pattern: /fetch|network|load failed|dynamically imported module|cors/i,
+    hint: () => 'The download failed. Check the internet connection and reload, or serve models offline (node download-models.js --runtime, see DOCKER.md).'
+  }
+]
+
+/**
+ * What to do about a failed model load
+ * @param {Error} error
+ * @param {string} modelId - Hugging Face id
+ * @returns {string}
+ */
+export function explainLoadError(error, modelId) {
+  const message = error?.message ?? String(error)
+  const match = LOAD_ERROR_HINTS.find(({ pattern }) => pattern.test(message))
+  return match ? match.hint(modelId) : 'See the browser console for details, then try again.'
+}
+
+function getRecord(modelKey) {
+  models[modelKey] ??= {
+    modelKey,
+    // 'idle' | 'loading' | 'ready' (in the worker) | 'unloaded' | 'error'
+    status: 'idle',
+    // file -> {loaded, total, done}, for the load in progress or the last one
+    files: {},
+    loads: 0,
+    loadMs: null,
+    bytes: null,
+    embedded: 0,
+    embedMs: 0,
+    error: null
+  }
+  return models[modelKey]
+}
+
+function notify() {
+  listeners.forEach(listener => listener(models, activeModel))
+}
+
+/**
+ * A load is starting (or may start: progress only arrives if the worker downloads)
+ * @param {string} modelKey
+ */
+export function beginModelLoad(modelKey) {
+  const record = getRecord(modelKey)
+  record.status = 'loading'
+  record.files = {}
+  record.error = null
+  activeModel = modelKey
+  notify()
+}
+
+/**
+ * @param {string} modelKey
+ * @param {Object} event - transformers.js progress event {status, file, loaded, total}
+ */
+export function recordLoadProgress(modelKey, event) {
+  const record = getRecord(modelKey)
+  if (record.status !== 'loading') beginModelLoad(modelKey)
+  if (!event.file) return
+
+  const file = record.files[event.file] ??= { loaded: 0, total: 0, done: false }
+  if (event.status === 'progress') {
+    file.loaded = event.loaded ?? file.loaded
+    file.total = event.total ?? file.total
+  } else if (event.status === 'done') {
+    file.done = true
+    file.loaded = file.total
+  }
+  notify()
+}
+
+/**
+ * @param {string} modelKey
+ * @param {number|null} loadMs - null when the worker already had the model
+ */
+export function recordModelLoaded(modelKey, loadMs) {
+  const record = getRecord(modelKey)
+  if (loadMs !== null) {
+    record.loads++
+    record.loadMs = loadMs
+    record.bytes = Object.values(record.files).reduce((sum, file) => sum + file.total, 0) || record.bytes
+
+    // The worker keeps one pipeline, so loading this model released the previous one
+    Object.values(models).forEach(other => {
+      if (other !== record && other.status === 'ready') other.status = 'unloaded'
+    })
+  }
+  record.status = 'ready'
+  notify()
+}
+
+/**
+ * @param {string} modelKey
+ * @param {Error} error
+ * @param {string} modelId - For the hint
+ * @returns {string} The hint (see explainLoadError())
+ */
+export function recordModelLoadError(modelKey, error, modelId) {
+  const record = getRecord(modelKey)
+  const hint = explainLoadError(error, modelId)
+  record.status = 'error'
+  record.error = { message: error?.message ?? String(error), hint }
+  activeModel = modelKey
+  notify()
+  return hint
+}
+
+/**
+ * @param {string} modelKey
+ * @param {number} count - Texts embedded in the call
+ * @param {number} inferenceMs - Model time for all of them
+ */
+export function recordEmbedding(modelKey, count, inferenceMs) {
+  const record = getRecord(modelKey)
+  record.embedded += count
+  record.embedMs += inferenceMs
+  notify()
+}
+
+/**
+ * Whether a load for this model is under way
+ * @param {string} modelKey
+ */
+export function isLoadInProgress(modelKey) {
+  return models[modelKey]?.status === 'loading'
+}
+
+/**
+ * @returns {Object} modelKey -> {status, files, loads, loadMs, bytes (size of the
+ *   files loaded, i.e. the weights held in memory), embedded, embedMs, error: {message, hint}}
+ */
+export function getModelDiagnostics() {
+  return models
+}
+
+/**
+ * Call a listener with (getModelDiagnostics(), modelKey of the latest load) on every change
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onModelDiagnosticsChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,178 @@
+/**
+ * ModelDialog - register feature-extraction models at runtime
+ *
+ * Takes a transformers.js model id (or a folder under the local models path),
+ * loads it once to probe its output dimension and adds it to MODEL_CONFIGS and
+ * the model selector, with its pooling, normalization and query/document
+ * templates. Added models persist in localStorage and are listed here so they
+ * can be removed again. The probe load waits its turn in the job queue.
+ */
+
+import { MODEL_CONFIGS, addModel, removeModel, isCustomModel } from './embeddings.js'
+import { scheduleJob, getJobQueue } from './job-scheduler.js'
+
+export class ModelDialog {
+  /**
+   * @param {Function} onModelsChanged - Called after a model is added or removed
+   */
+  constructor(onModelsChanged) {
+    this.onModelsChanged = onModelsChanged
+
+    this.backdrop = document.getElementById('model-dialog')
+    this.form = document.getElementById('model-dialog-form')
+    this.idInput = document.getElementById('model-id-input')
+    this.nameInput = document.getElementById('model-name-input')
+    this.poolingInput = document.getElementById('model-pooling-input')
+    this.normalizeInput = document.getElementById('model-normalize-input')
+    this.queryTemplateInput = document.getElementById('model-query-template')
+    this.documentTemplateInput = document.getElementById('model-document-template')
+    this.status = document.getElementById('model-dialog-status')
+    this.list = document.getElementById('custom-model-list')
+
+    this.busy = false
+
+    this.setupEventListeners()
+  }
+
+  isOpen() {
+    return this.backdrop && this.backdrop.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.backdrop) return
+    this.backdrop.style.display = 'flex'
+    this.setStatus('')
+    this.renderList()
+    this.idInput?.focus()
+  }
+
+  close() {
+    // A probe can't be interrupted; keep the dialog up until it reports back
+    if (!this.backdrop || this.busy) return
+    this.backdrop.style.display = 'none'
+  }
+
+  setStatus(message, type = '') {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.className = `model-dialog-status ${type}`
+  }
+
+  setBusy(busy) {
+    this.busy = busy
+    this.form?.querySelectorAll('input, select, button[type="submit"]')
+      .forEach(element => { element.disabled = busy })
+  }
+
+  /**
+   * Name, pooling, normalization and templates from the form (see addModel)
+   */
+  readOptions() {
+    const templates = {}
+    const queryTemplate = this.queryTemplateInput?.value.trim()
+    const documentTemplate = this.documentTemplateInput?.value.trim()
+    if (queryTemplate) templates.query = queryTemplate
+    if (documentTemplate) templates.document = documentTemplate
+
+    return {
+      name: this.nameInput?.value ?? '',
+      pooling: this.poolingInput?.value,
+      normalize: this.normalizeInput?.checked,
+      templates
+    }
+  }
+
+  resetForm() {
+    this.form?.reset()
+  }
+
+  renderList() {
+    if (!this.list) return
+
+    const keys = Object.keys(MODEL_CONFIGS).filter(isCustomModel)
+    this.list.innerHTML = keys.length === 0
+      ? '<li class="custom-model-empty">No models added yet</li>'
+      : ''
+
+    keys.forEach(key => {
+      const { id, name, dims, pooling } = MODEL_CONFIGS[key]
+      const item = document.createElement('li')
+      item.className = 'custom-model-item'
+
+      const label = document.createElement('span')
+      label.textContent = `${name} · ${dims}D · ${pooling ?? 'mean'} pooling`
+      label.title = id
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'custom-model-remove'
+      remove.dataset.modelKey = key
+      remove.title = `Remove ${name}`
+      remove.textContent = '×'
+
+      item.append(label, remove)
+      this.list.appendChild(item)
+    })
+  }
+
+  async submit() {
+    const input = this.idInput?.value.trim() ?? ''
+    if (!input) {
+      this.setStatus('Enter a model id or path', 'error')
+      return
+    }
+
+    this.setBusy(true)
+    const { running } = getJobQueue()
+    if (running) this.setStatus(`Waiting for ${running.label}...`, 'loading')
+    try {
+      // Queued: the worker holds one model at a time, so the probe waits for any switch or upload
+      const options = this.readOptions()
+      const key = await scheduleJob(`Load ${input}`, () => {
+        this.setStatus('Loading the model to measure its output...', 'loading')
+        return addModel(input, options)
+      }, { cancellable: false })
+      const { name, dims } = MODEL_CONFIGS[key]
+      this.setStatus(`Added ${name} (${dims}D). Pick it in the model selector to compare.`, 'success')
+      this.resetForm()
+      this.renderList()
+      this.onModelsChanged()
+    } catch (error) {
+      this.setStatus(error.message, 'error')
+    } finally {
+      this.setBusy(false)
+    }
+  }
+
+  remove(modelKey) {
+    const { name } = MODEL_CONFIGS[modelKey]
+    try {
+      removeModel(modelKey)
+      this.setStatus(`Removed ${name}`, 'success')
+      this.renderList()
+      this.onModelsChanged()
+    } catch (error) {
+      this.setStatus(error.message, 'error')
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.backdrop) return
+
+    this.form?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.submit()
+    })
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.backdrop.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target === this.backdrop || e.target.closest('.model-dialog-cancel')) {
+        this.close()
+        return
+      }
+      const remove = e.target.closest('.custom-model-remove')
+      if (remove) this.remove(remove.dataset.modelKey)
+    })
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Model Hosting - where model files are loaded from
+ *
+ * Models can be served from a folder next to the app (MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH)
+ * instead of the Hugging Face CDN, so the explorer also runs without internet
+ * access. A model is available offline when its config.json is served; the
+ * answer decides what the compute worker is told to load from.
+ */
+
+import { MODEL_HOSTING_CONFIG } from './constants.js'
+
+const probes = new Map()
+
+// Absolute URLs: the worker would resolve relative paths against js/, not the page
+const resolveUrl = (path) => new URL(path, document.baseURI).href
+
+/**
+ * Whether a file is served (checked once per URL).
+ * nginx falls back to index.html for unknown paths, so an HTML reply counts as missing.
+ * GET rather than HEAD, so the service worker can answer from its cache when offline.
+ */
+function probe(url) {
+  if (!probes.has(url)) {
+    probes.set(url, fetch(url)
+      .then(response => response.ok && !response.headers.get('content-type')?.includes('text/html'))
+      .catch(() => false))
+  }
+  return probes.get(url)
+}
+
+/**
+ * @returns {string} 'auto' | 'local' | 'remote' (see MODEL_HOSTING_CONFIG.MODE)
+ */
+export function getHostingMode() {
+  return MODEL_HOSTING_CONFIG.MODE
+}
+
+/**
+ * Folder a model's files are expected in, relative to the page
+ * @param {string} modelId - Hugging Face id, e.g. 'Xenova/all-MiniLM-L6-v2'
+ */
+export function getLocalModelFolder(modelId) {
+  return `${MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH}${modelId}/`
+}
+
+/**
+ * Model id for input that may be a path into the models folder,
+ * e.g. '/models/my-org/my-model/' -> 'my-org/my-model'
+ * @param {string} input - Hugging Face id or local path
+ * @returns {string}
+ */
+export function normalizeModelId(input) {
+  const id = input.trim().replace(/^\.?\/+/, '').replace(/\/+$/, '')
+  const folder = MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH.replace(/^\.?\/+/, '')
+  return id.startsWith(folder) ? id.slice(folder.length) : id
+}
+
+/**
+ * Whether a model's files are served next to the app
+ * @param {string} modelId - Hugging Face id
+ * @returns {Promise<boolean>} Always false in 'remote' mode
+ */
+export function isModelAvailableOffline(modelId) {
+  if (getHostingMode() === 'remote') return Promise.resolve(false)
+  return probe(resolveUrl(getLocalModelFolder(modelId) + MODEL_HOSTING_CONFIG.PROBE_FILE))
+}
+
+/**
+ * Offline availability of every configured model
+ * @param {Object} modelConfigs - MODEL_CONFIGS
+ * @returns {Promise<Object>} modelKey -> boolean
+ */
+export async function checkOfflineModels(modelConfigs) {
+  const entries = await Promise.all(
+    Object.entries(modelConfigs).map(async ([key, config]) => [key, await isModelAvailableOffline(config.id)])
+  )
+  return Object.fromEntries(entries)
+}
+
+/**
+ * Self-hosted transformers.js build, if one is served
+ * @returns {Promise<Object>} {libraryUrl, wasmPath}, both null to use the CDN
+ */
+async function getLocalRuntime() {
+  if (getHostingMode() !== 'remote') {
+    const base = resolveUrl(MODEL_HOSTING_CONFIG.LOCAL_RUNTIME_PATH)
+    const libraryUrl = base + MODEL_HOSTING_CONFIG.LOCAL_RUNTIME_LIBRARY
+    if (await probe(libraryUrl)) return { libraryUrl, wasmPath: base }
+  }
+  return { libraryUrl: null, wasmPath: null }
+}
+
+/**
+ * Where the worker should load a model from; sent with 'load' and 'embed' requests
+ * @param {string} modelId - Hugging Face id
+ * @returns {Promise<Object>} {local, localModelPath, libraryUrl, wasmPath}
+ * @throws {Error} In 'local' mode when the model isn't served
+ */
+export async function resolveModelSource(modelId) {
+  const local = await isModelAvailableOffline(modelId)
+  if (!local && getHostingMode() === 'local') {
+    throw new Error(`${modelId} is not available offline (expected in ${getLocalModelFolder(modelId)})`)
+  }
+
+  return {
+    local,
+    localModelPath: local ? resolveUrl(MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH) : null,
+    ...(await getLocalRuntime())
+  }
+}
+
+/**
+ * Register sw.js, which keeps the app shell and model files for offline use
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!MODEL_HOSTING_CONFIG.SERVICE_WORKER || !('serviceWorker' in navigator)) return null
+
+  try {
+    // The worker can't import constants.js; hand it the model folder instead
+    const url = new URL(MODEL_HOSTING_CONFIG.SERVICE_WORKER_URL, document.baseURI)
+    url.searchParams.set('models', resolveUrl(MODEL_HOSTING_CONFIG.LOCAL_MODEL_PATH))
+    return await navigator.serviceWorker.register(url)
+  } catch (error) {
+    console.warn('Service worker registration failed:', error)
+    return null
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Model Shift - what changed when the scene switched embedding models
+ *
+ * Features:
+ * - Neighborhood change per word: its k nearest neighbors (cosine, full
+ *   embedding space) under the old model vs the new one, on the vocabulary
+ *   both share
+ * - Panel ranking the words whose neighborhoods changed most, with the
+ *   neighbors they lost and gained; click a word to select it
+ *
+ * The scene itself is aligned and the displacement trails are drawn by
+ * VectorManager.switchModel(), which emits 'modelShifted' with the report.
+ */
+
+import { vectors } from './vector-data.js'
+import { MODEL_CONFIGS } from './embeddings.js'
+import { nearestNeighbors } from './similarity.js'
+import { MODEL_SHIFT_CONFIG } from './constants.js'
+
+// Each name's k nearest other names by cosine, among the given embeddings only
+const cosineNeighbors = (names, embeddings, k) =>
+  names.map(name => nearestNeighbors(name, { topK: k, embeddings }).map(neighbor => neighbor.name))
+
+/**
+ * Compare every shared word's nearest neighbors under two models
+ * @param {Object} before - name -> embedding under the old model
+ * @param {Object} after - name -> embedding under the new model
+ * @param {Object} options - {k, displacements: name -> 3D distance moved (breaks ties)}
+ * @returns {Object} {k, meanOverlap, words: [{name, change (0..1), lost, gained, distance}]},
+ *   most changed first
+ */
+export function computeNeighborhoodShift(before, after, { k = MODEL_SHIFT_CONFIG.NEIGHBORS, displacements = {} } = {}) {
+  const names = Object.keys(after).filter(name => before[name] && after[name])
+  const size = Math.min(k, names.length - 1)
+  if (size < 1) return { k: 0, meanOverlap: 1, words: [] }
+
+  // Restricted to the shared vocabulary, so a word only present in one model isn't "lost" or "gained"
+  const pick = (embeddings) => Object.fromEntries(names.map(name => [name, embeddings[name]]))
+  const neighborsBefore = cosineNeighbors(names, pick(before), size)
+  const neighborsAfter = cosineNeighbors(names, pick(after), size)
+
+  const words = names.map((name, i) => {
+    const previous = new Set(neighborsBefore[i])
+    const current = new Set(neighborsAfter[i])
+    const kept = neighborsAfter[i].filter(neighbor => previous.has(neighbor)).length
+    return {
+      name,
+      change: 1 - kept / size,
+      lost: neighborsBefore[i].filter(neighbor => !current.has(neighbor)),
+      gained: neighborsAfter[i].filter(neighbor => !previous.has(neighbor)),
+      distance: displacements[name] ?? 0
+    }
+  })
+
+  const meanOverlap = words.reduce((sum, word) => sum + (1 - word.change), 0) / words.length
+  words.sort((a, b) => b.change - a.change || b.distance - a.distance)
+  return { k: size, meanOverlap, words }
+}
+
+export class ModelShiftPanel {
+  /**
+   * @param {Function} onClose - Called when the panel closes (removes the trails)
+   */
+  constructor(stateManager, cameraController, interactionHandler, onClose) {
+    this.state = stateManager
+    this.cameraController = cameraController
+    this.interactionHandler = interactionHandler
+    this.onClose = onClose
+
+    this.panel = document.getElementById('model-shift-panel')
+    this.title = document.getElementById('model-shift-title')
+    this.summary = document.getElementById('model-shift-summary')
+    this.list = document.getElementById('model-shift-list')
+
+    this.setupEventListeners()
+
+    this.state.on('modelShifted', (report) => this.show(report))
+  }
+
+  isOpen() {
+    return this.panel && this.panel.style.display !== 'none'
+  }
+
+  close() {
+    if (!this.panel) return
+    this.panel.style.display = 'none'
+    this.onClose()
+  }
+
+  /**
+   * @param {Object} report - computeNeighborhoodShift() result plus {from, to, aligned}
+   */
+  show(report) {
+    if (!this.panel) return
+
+    const name = (key) => MODEL_CONFIGS[key]?.label ?? MODEL_CONFIGS[key]?.name ?? key
+    if (this.title) this.title.textContent = `${name(report.from)} → ${name(report.to)}`
+    if (this.summary) {
+      this.summary.textContent = report.words.length > 0
+        ? `${report.words.length} words · ${Math.round(report.meanOverlap * 100)}% of top-${report.k} neighbors kept` +
+          (report.aligned ? ' · layout aligned' : '')
+        : 'Too few words to compare neighborhoods'
+    }
+
+    this.list.innerHTML = ''
+    report.words.slice(0, MODEL_SHIFT_CONFIG.TOP_WORDS).forEach(word => {
+      const item = document.createElement('li')
+      item.className = 'model-shift-item'
+      item.dataset.name = word.name
+
+      const header = document.createElement('div')
+      header.className = 'model-shift-word'
+      const label = document.createElement('strong')
+      label.textContent = word.name
+      const change = document.createElement('span')
+      change.className = 'model-shift-change'
+      change.textContent = `${Math.round(word.change * 100)}% new`
+      header.append(label, change)
+
+      const details = document.createElement('div')
+      details.className = 'model-shift-neighbors'
+      details.textContent = word.lost.length > 0
+        ? `lost ${word.lost.join(', ')} · gained ${word.gained.join(', ')}`
+        : 'same neighbors'
+
+      item.append(header, details)
+      this.list.appendChild(item)
+    })
+
+    this.panel.style.display = 'flex'
+  }
+
+  selectWord(name) {
+    if (!vectors[name]) return
+    this.state.clearSelection()
+    this.state.selectVector(name)
+    this.interactionHandler.updateSelection()
+    this.cameraController.focusOnVectors(vectors[name].coords, null)
+  }
+
+  setupEventListeners() {
+    if (!this.panel) return
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.model-shift-close-btn')) {
+        this.close()
+        return
+      }
+      const item = e.target.closest('.model-shift-item')
+      if (item) this.selectWord(item.dataset.name)
+    })
+  }
+}
@@ -27,7 +27,8 @@ export class OnboardingTour {
         target: '.legend',
         title: 'Color Coding',
         content: `
-          <p>Colors show <strong>cosine similarity</strong> — how aligned two vectors are in direction.</p>
+          <p>Arrow colors show <strong>clusters</strong> found automatically in the full 384D embeddings. Pick k-means or agglomerative clustering, and a fixed number of clusters or Auto.</p>
+          <p style="margin-top: 8px;">Lines between vectors show <strong>cosine similarity</strong>:</p>
           <ul style="margin-top: 8px; padding-left: 20px;">
             <li><span style="color: var(--accent-primary);">Green</span>: Very similar (>0.7)</li>
             <li><span style="color: var(--accent-warning);">Yellow</span>: Somewhat similar (0.3-0.7)</li>
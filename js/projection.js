@@ -0,0 +1,441 @@
+/**
+ * Projection Layer - Pluggable n-D -> 3D reducers
+ *
+ * Every place that turns embeddings into scene coordinates goes through
+ * projectTo3D(), which dispatches to the active method:
+ * - pca:  linear, preserves global structure (default)
+ * - tsne: local neighborhoods, good for separating clusters
+ * - umap: local neighborhoods with more of the global layout kept
+ *
+ * Methods are registered in a table so new reducers can be plugged in with
+ * registerProjectionMethod() without touching the call sites.
+ *
+ * PCA can also run with a frozen basis: new words are placed on the existing
+ * axes instead of refitting, so the rest of the scene stays put.
+ *
+ * Every projection is followed by a quality report (getProjectionQuality()):
+ * explained variance per PCA component, and a per-vector fidelity score -
+ * reconstruction share for PCA, neighborhood preservation for t-SNE/UMAP.
+ *
+ * projectInWorker() runs the same fit in the compute worker and installs the
+ * result here, so the page stays responsive while large scenes are projected.
+ * projectSeparately() fits without installing anything, for views that sit
+ * next to the main scene.
+ *
+ * alignProjection() rotates a fresh layout onto an earlier one (Procrustes),
+ * so switching models keeps the scene's orientation.
+ */
+
+import {
+  pcaTo3D,
+  pcaQuality,
+  projectWithLastBasis,
+  projectOntoLastBasis,
+  cosineSimilarity,
+  squaredDistanceMatrix,
+  getLastPCABasis,
+  setLastPCABasis,
+  procrustesRotation,
+  applyRotation,
+  composeRotations
+} from './math-utils.js'
+import { tsne3D } from './tsne.js'
+import { umap3D } from './umap.js'
+import { runInWorker } from './worker-client.js'
+import { PROJECTION_CONFIG, MODEL_SHIFT_CONFIG } from './constants.js'
+
+/**
+ * Wrap a raw matrix reducer so it follows the pcaTo3D contract:
+ * embeddings dict in, coords for the non-null entries (in key order) out
+ */
+function nonLinear(reducer) {
+  return (embeddings, modelKey) => {
+    const words = Object.keys(embeddings).filter(w => embeddings[w] !== null)
+    const matrix = words.map(w => embeddings[w])
+
+    // Too few points to form neighborhoods; PCA is the honest answer here
+    if (matrix.length < PROJECTION_CONFIG.MIN_POINTS_NONLINEAR) {
+      return { coords: pcaTo3D(embeddings, modelKey), linear: true, pca: true }
+    }
+
+    const coords = normalizeLayout(reducer(matrix))
+    return { coords, linear: false, matrix }
+  }
+}
+
+/**
+ * Center a layout and scale it so the farthest point lands on TARGET_RADIUS
+ * @param {Array<Array<number>>} layout - Raw 3D coordinates
+ * @returns {Array<Array<number>>}
+ */
+function normalizeLayout(layout) {
+  const n = layout.length
+  const center = [0, 1, 2].map(k => layout.reduce((sum, p) => sum + p[k], 0) / n)
+  const centered = layout.map(p => p.map((v, k) => v - center[k]))
+  const maxRadius = Math.max(...centered.map(p => Math.hypot(...p)))
+  const scale = maxRadius > 0 ? PROJECTION_CONFIG.TARGET_RADIUS / maxRadius : 1
+  return centered.map(p => p.map(v => v * scale))
+}
+
+const projectionMethods = {
+  pca: {
+    name: 'PCA',
+    description: 'Linear projection onto the top 3 principal components. Distances and directions stay comparable.',
+    project: (embeddings, modelKey) => {
+      const frozen = basisFrozen ? projectOntoLastBasis(embeddings, modelKey) : null
+      return { coords: frozen || pcaTo3D(embeddings, modelKey), linear: true, pca: true }
+    }
+  },
+  tsne: {
+    name: 't-SNE',
+    description: 'Keeps each vector next to its nearest neighbors. Clusters separate clearly; distances between clusters are not meaningful.',
+    project: nonLinear(matrix => tsne3D(matrix))
+  },
+  umap: {
+    name: 'UMAP',
+    description: 'Neighborhood-preserving like t-SNE, but keeps more of the global arrangement between clusters.',
+    project: nonLinear(matrix => umap3D(matrix))
+  }
+}
+
+// Methods registered at runtime only exist on the thread that registered them
+const WORKER_METHODS = new Set(Object.keys(projectionMethods))
+
+let currentMethod = PROJECTION_CONFIG.DEFAULT_METHOD
+let basisFrozen = false
+
+// Most recent non-linear fit, for placing vectors that are not in the scene
+let lastLayout = null
+
+// Quality report for the most recent projection (see getProjectionQuality)
+let lastQuality = null
+
+/**
+ * Indices of each row's k nearest other rows
+ * @param {Array<Array<number>>} matrix
+ * @param {number} k
+ * @returns {Array<Set<number>>}
+ */
+function nearestNeighborSets(matrix, k) {
+  const distances = squaredDistanceMatrix(matrix)
+  return distances.map((row, i) =>
+    new Set(
+      Array.from(row.keys())
+        .filter(j => j !== i)
+        .sort((a, b) => row[a] - row[b])
+        .slice(0, k)
+    )
+  )
+}
+
+/**
+ * Measure how faithfully a projection represents the original embeddings
+ * @param {Array<string>} words - Names in projection order
+ * @param {Array<Array<number>>} matrix - Original embeddings, same order
+ * @param {Object} result - Output of a method's project()
+ * @returns {Object|null} See getProjectionQuality()
+ */
+function assessQuality(words, matrix, result) {
+  const n = words.length
+  if (n < 2 || !result.coords) return null
+
+  const k = Math.min(PROJECTION_CONFIG.FIDELITY_NEIGHBORS, n - 1)
+  const originalNeighbors = nearestNeighborSets(matrix, k)
+  const projectedNeighbors = nearestNeighborSets(result.coords, k)
+
+  // PCA has an exact answer (variance kept); other layouts are judged by neighborhoods
+  const pca = result.pca ? pcaQuality(matrix) : null
+  const scores = pca
+    ? pca.fidelity
+    : projectedNeighbors.map((set, i) =>
+      [...set].filter(j => originalNeighbors[i].has(j)).length / k
+    )
+
+  const byName = (values) => Object.fromEntries(words.map((w, i) => [w, values[i]]))
+  const toNames = (set) => new Set([...set].map(j => words[j]))
+
+  return {
+    method: currentMethod,
+    kind: pca ? 'reconstruction' : 'neighborhood',
+    explainedVariance: pca ? pca.explainedVariance : null,
+    fidelity: byName(scores),
+    originalNeighbors: byName(originalNeighbors.map(toNames)),
+    projectedNeighbors: byName(projectedNeighbors.map(toNames))
+  }
+}
+
+/**
+ * Register a projection method
+ * @param {string} key - Method key used by setProjectionMethod()
+ * @param {Object} method - {name, description, project(embeddings, modelKey) -> {coords, linear}}
+ */
+export function registerProjectionMethod(key, method) {
+  if (typeof method?.project !== 'function') {
+    throw new Error(`Projection method "${key}" must provide a project() function`)
+  }
+  projectionMethods[key] = method
+}
+
+/**
+ * List available methods for UI selectors
+ * @returns {Array<{key: string, name: string, description: string}>}
+ */
+export function getProjectionMethods() {
+  return Object.entries(projectionMethods).map(([key, { name, description }]) => ({
+    key,
+    name,
+    description
+  }))
+}
+
+export function getProjectionMethod() {
+  return currentMethod
+}
+
+export function getProjectionMethodConfig() {
+  return projectionMethods[currentMethod]
+}
+
+/**
+ * Select the method used by subsequent projectTo3D() calls
+ * @param {string} key - 'pca' | 'tsne' | 'umap' | any registered key
+ */
+export function setProjectionMethod(key) {
+  if (!projectionMethods[key]) {
+    throw new Error(`Unknown projection method: ${key}`)
+  }
+  currentMethod = key
+}
+
+/**
+ * Freeze or release the PCA axes. While frozen, PCA projects onto the last
+ * fitted components; it still refits when there is no basis for the model.
+ * @param {boolean} frozen
+ */
+export function setBasisFrozen(frozen) {
+  basisFrozen = !!frozen
+}
+
+export function isBasisFrozen() {
+  return basisFrozen
+}
+
+/**
+ * Fit the active method and measure its quality, without touching module state
+ * @returns {{coords, layout, quality}}
+ */
+function runProjection(embeddings, modelKey) {
+  const result = projectionMethods[currentMethod].project(embeddings, modelKey)
+  const words = Object.keys(embeddings).filter(w => embeddings[w] !== null)
+  return {
+    coords: result.coords,
+    layout: result.linear ? null : result,
+    quality: assessQuality(words, words.map(w => embeddings[w]), result)
+  }
+}
+
+function applyProjection(run) {
+  lastLayout = run.layout
+  lastQuality = run.quality
+  return run.coords
+}
+
+/**
+ * Project embeddings to 3D with the active method
+ * @param {Object} embeddings - name -> embedding (null entries are skipped)
+ * @param {string} modelKey - Used for model-specific PCA scaling and basis matching
+ * @returns {Array<Array<number>>|null} Coords for the non-null entries, in key order
+ */
+export function projectTo3D(embeddings, modelKey = null) {
+  return applyProjection(runProjection(embeddings, modelKey))
+}
+
+/**
+ * projectTo3D() in the compute worker. The worker gets this thread's method,
+ * frozen flag and PCA basis, and its fitted basis is installed here afterwards,
+ * so results are identical to a main-thread fit.
+ * @param {Object} embeddings - name -> embedding (null entries are skipped)
+ * @param {string} modelKey
+ * @returns {Promise<Array<Array<number>>|null>}
+ */
+export async function projectInWorker(embeddings, modelKey = null) {
+  if (!WORKER_METHODS.has(currentMethod)) {
+    return projectTo3D(embeddings, modelKey)
+  }
+
+  const run = await runInWorker('project', {
+    embeddings,
+    modelKey,
+    method: currentMethod,
+    frozen: basisFrozen,
+    basis: getLastPCABasis()
+  })
+  setLastPCABasis(run.basis)
+  return applyProjection(run)
+}
+
+/**
+ * Fit the active method on another set of embeddings (e.g. a second model's view)
+ * without installing its layout, quality or basis. Axes are always fitted fresh.
+ * @param {Object} embeddings - name -> embedding (null entries are skipped)
+ * @param {string} modelKey
+ * @returns {Promise<Array<Array<number>>|null>}
+ */
+export async function projectSeparately(embeddings, modelKey = null) {
+  if (WORKER_METHODS.has(currentMethod)) {
+    const run = await runInWorker('project', { embeddings, modelKey, method: currentMethod, frozen: false, basis: null })
+    return run.coords
+  }
+
+  // Custom methods run here; keep the scene's PCA basis and frozen flag intact
+  const basis = getLastPCABasis()
+  const frozen = basisFrozen
+  basisFrozen = false
+  try {
+    return runProjection(embeddings, modelKey).coords
+  } finally {
+    basisFrozen = frozen
+    setLastPCABasis(basis)
+  }
+}
+
+/**
+ * Rotate the layout just installed onto reference positions (orthogonal Procrustes
+ * over the names both have), e.g. the scene before a model switch, so moving
+ * words show what changed rather than where the new axes happened to point.
+ * The rotation is kept with the PCA basis or non-linear layout, so refits of
+ * the same model and out-of-sample placements land in the same frame.
+ * @param {Array<string>} names - Names of `coords`, same order
+ * @param {Array<Array<number>>} coords - Output of the last projection
+ * @param {Object} reference - name -> [x, y, z]
+ * @returns {Array<Array<number>>} Rotated coords (as given if fewer than 3 names are shared)
+ */
+export function alignProjection(names, coords, reference) {
+  const shared = names.map((name, i) => i).filter(i => reference[names[i]])
+  const rotation = procrustesRotation(
+    shared.map(i => coords[i]),
+    shared.map(i => reference[names[i]]),
+    MODEL_SHIFT_CONFIG.ALLOW_REFLECTION
+  )
+  // Already in the reference frame (e.g. a session saved without alignment)
+  const identity = rotation?.every((row, i) => row.every((v, j) => Math.abs(v - (i === j ? 1 : 0)) < 1e-6))
+  if (!rotation || identity) return coords
+
+  if (lastLayout) {
+    lastLayout = { ...lastLayout, coords: applyRotation(lastLayout.coords, rotation), aligned: true }
+  } else if (getLastPCABasis()) {
+    const basis = getLastPCABasis()
+    setLastPCABasis({ ...basis, rotation: composeRotations(basis.rotation, rotation) })
+  }
+  return applyRotation(coords, rotation)
+}
+
+/**
+ * Whether the current layout was rotated by alignProjection(), i.e. its axes
+ * are no longer the principal components
+ */
+export function isProjectionAligned() {
+  return lastLayout ? !!lastLayout.aligned : !!getLastPCABasis()?.rotation
+}
+
+/**
+ * Worker side of projectInWorker()
+ * @param {Object} request - {embeddings, modelKey, method, frozen, basis}
+ * @returns {{coords, layout, quality, basis}}
+ */
+export function computeProjection({ embeddings, modelKey, method, frozen, basis }) {
+  setProjectionMethod(method)
+  setBasisFrozen(frozen)
+  setLastPCABasis(basis)
+  return { ...runProjection(embeddings, modelKey), basis: getLastPCABasis() }
+}
+
+/**
+ * Quality report for the most recent projectTo3D() call
+ * @returns {Object|null} {
+ *   method, kind: 'reconstruction' | 'neighborhood',
+ *   explainedVariance: Array<number> | null (share of variance per axis, PCA only),
+ *   fidelity: name -> 0..1,
+ *   originalNeighbors / projectedNeighbors: name -> Set of nearest names
+ * } or null when fewer than two vectors were projected
+ */
+export function getProjectionQuality() {
+  return lastQuality
+}
+
+/**
+ * Fidelity of one vector in the current layout (1 = perfectly represented)
+ * @param {string} name
+ * @returns {number|null}
+ */
+export function getVectorFidelity(name) {
+  return lastQuality?.fidelity[name] ?? null
+}
+
+/**
+ * Color for a fidelity score on the LOW -> MID -> HIGH ramp
+ * @param {number} fidelity - 0..1
+ * @returns {number} Hex color
+ */
+export function getFidelityColor(fidelity) {
+  const { LOW, MID, HIGH } = PROJECTION_CONFIG.FIDELITY_COLORS
+  const t = Math.min(Math.max(fidelity, 0), 1)
+  const [from, to, local] = t < 0.5 ? [LOW, MID, t * 2] : [MID, HIGH, (t - 0.5) * 2]
+  return [16, 8, 0].reduce((color, shift) => {
+    const a = (from >> shift) & 255
+    const b = (to >> shift) & 255
+    return color | (Math.round(a + (b - a) * local) << shift)
+  }, 0)
+}
+
+/**
+ * Whether a pair looks close in 3D without being close in the original space:
+ * one is among the other's nearest neighbors in the layout, but neither is
+ * among the other's FIDELITY_NEIGHBORS nearest in the full embedding.
+ * @param {string} name1
+ * @param {string} name2
+ * @returns {boolean}
+ */
+export function isCloseOnlyIn3D(name1, name2) {
+  if (!lastQuality) return false
+  const { originalNeighbors, projectedNeighbors } = lastQuality
+  if (!originalNeighbors[name1] || !originalNeighbors[name2]) return false
+
+  const rank = PROJECTION_CONFIG.CLOSE_IN_3D_NEIGHBORS
+  const closeIn3D = [...projectedNeighbors[name1]].slice(0, rank).includes(name2) ||
+    [...projectedNeighbors[name2]].slice(0, rank).includes(name1)
+  const closeInOriginal = originalNeighbors[name1].has(name2) || originalNeighbors[name2].has(name1)
+  return closeIn3D && !closeInOriginal
+}
+
+/**
+ * Place an arbitrary high-dimensional vector in the current layout without refitting.
+ * Linear layouts use the PCA basis directly; non-linear layouts have no explicit
+ * mapping, so the vector is placed at the similarity-weighted average of its
+ * nearest neighbors' positions.
+ * @param {Array<number>} vector - High-dimensional vector
+ * @returns {Array<number>|null} 3D coordinates, or null if no layout can place it
+ */
+export function projectPoint(vector) {
+  if (!lastLayout) {
+    return projectWithLastBasis(vector)
+  }
+
+  const { matrix, coords } = lastLayout
+  if (vector.length !== matrix[0].length) return null
+
+  const neighbors = matrix
+    .map((row, index) => ({ index, similarity: cosineSimilarity(vector, row) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, PROJECTION_CONFIG.OUT_OF_SAMPLE_NEIGHBORS)
+
+  // Only positive similarity pulls the point; fall back to equal weights if none
+  const weights = neighbors.map(n => Math.max(n.similarity, 0))
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  return [0, 1, 2].map(k =>
+    neighbors.reduce((sum, n, i) => {
+      const weight = total > 0 ? weights[i] / total : 1 / neighbors.length
+      return sum + coords[n.index][k] * weight
+    }, 0)
+  )
+}
@@ -0,0 +1,356 @@
+/**
+ * RecordingPanel - repeatable camera animations saved as WebM or GIF
+ *
+ * Two camera moves:
+ * - Turntable: a constant-speed orbit around the current target
+ * - Keyframe path: views captured with "Add current view", played back
+ *   through AnimationController.animateCamera(); the path is kept in
+ *   localStorage so the same move can be recorded again after a reload
+ *
+ * Preview plays the move without capturing. Orbit controls are disabled
+ * while a move plays; Stop (or closing the panel) ends it where it is and
+ * still saves what was recorded.
+ */
+
+import * as THREE from 'three'
+import { startWebmCapture, startGifCapture } from './canvas-recorder.js'
+import { fileTimestamp, downloadBlob, formatBytes } from './ui.js'
+import { clamp } from './math-utils.js'
+import { CAMERA_CONFIG, RECORDING_CONFIG } from './constants.js'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const roundCoords = (vector) => vector.toArray().map(v => Number(v.toFixed(4)))
+
+const isCoords = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+// Saved keyframes, skipping any that don't parse
+function loadKeyframes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECORDING_CONFIG.STORAGE_KEY) || '[]')
+    if (!Array.isArray(stored)) return []
+    return stored
+      .filter(k => isCoords(k?.position) && isCoords(k?.target) && Number.isFinite(k?.duration))
+      .map(k => ({
+        ...k,
+        duration: clamp(k.duration, RECORDING_CONFIG.MIN_DURATION_S, RECORDING_CONFIG.MAX_DURATION_S)
+      }))
+  } catch {
+    return []
+  }
+}
+
+export class RecordingPanel {
+  constructor(sceneManager, animationController) {
+    this.sceneManager = sceneManager
+    this.animator = animationController
+
+    this.panel = document.getElementById('recording-panel')
+    this.modeInput = document.getElementById('recording-mode')
+    this.formatInput = document.getElementById('recording-format')
+    this.durationInput = document.getElementById('recording-duration')
+    this.turnsInput = document.getElementById('recording-turns')
+    this.turntableSection = document.getElementById('recording-turntable')
+    this.pathSection = document.getElementById('recording-path')
+    this.keyframeList = document.getElementById('recording-keyframes')
+    this.status = document.getElementById('recording-status')
+
+    // [{position: [x, y, z], target: [x, y, z], duration: seconds to reach it}]
+    this.keyframes = loadKeyframes()
+    this.playing = null // 'preview' | 'record' while a move plays
+    this.stopRequested = false
+
+    if (this.durationInput) {
+      this.durationInput.min = RECORDING_CONFIG.MIN_DURATION_S
+      this.durationInput.max = RECORDING_CONFIG.MAX_DURATION_S
+      this.durationInput.value = RECORDING_CONFIG.TURNTABLE_DURATION_S
+    }
+    if (this.turnsInput) this.turnsInput.value = RECORDING_CONFIG.TURNTABLE_TURNS
+
+    this.setupEventListeners()
+  }
+
+  isOpen() {
+    return this.panel && this.panel.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.panel) return
+    this.updateMode()
+    this.renderKeyframes()
+    this.panel.style.display = 'flex'
+  }
+
+  // Closing ends a running move; a recording is still saved
+  close() {
+    if (!this.panel) return
+    this.stop()
+    this.panel.style.display = 'none'
+  }
+
+  setStatus(message, type = '') {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.className = `recording-status ${type}`
+  }
+
+  updateMode() {
+    const path = this.modeInput?.value === 'path'
+    if (this.turntableSection) this.turntableSection.style.display = path ? 'none' : 'flex'
+    if (this.pathSection) this.pathSection.style.display = path ? 'flex' : 'none'
+  }
+
+  // The path still works for this visit if it can't be stored (full quota, private mode)
+  saveKeyframes() {
+    try {
+      localStorage.setItem(RECORDING_CONFIG.STORAGE_KEY, JSON.stringify(this.keyframes))
+    } catch (error) {
+      console.warn('Could not save keyframes:', error)
+    }
+    this.renderKeyframes()
+  }
+
+  addKeyframe() {
+    const { camera, controls } = this.sceneManager
+    this.keyframes.push({
+      position: roundCoords(camera.position),
+      target: roundCoords(controls.target),
+      duration: RECORDING_CONFIG.KEYFRAME_DURATION_S
+    })
+    this.saveKeyframes()
+  }
+
+  // Fly to a keyframe's view, e.g. to check it before recording
+  goToKeyframe(index) {
+    const keyframe = this.keyframes[index]
+    if (!keyframe || this.playing) return
+    const { camera, controls } = this.sceneManager
+    this.animator.animateCamera(
+      camera,
+      controls,
+      new THREE.Vector3(...keyframe.position),
+      new THREE.Vector3(...keyframe.target),
+      CAMERA_CONFIG.ANIMATION_DURATION_MS
+    )
+  }
+
+  renderKeyframes() {
+    if (!this.keyframeList) return
+    this.keyframeList.innerHTML = ''
+
+    if (this.keyframes.length === 0) {
+      const empty = document.createElement('li')
+      empty.className = 'recording-keyframes-empty'
+      empty.textContent = 'No keyframes yet. Move the camera, then add the view.'
+      this.keyframeList.appendChild(empty)
+      return
+    }
+
+    this.keyframes.forEach((keyframe, index) => {
+      const item = document.createElement('li')
+      item.className = 'recording-keyframe'
+      item.dataset.index = index
+
+      const view = document.createElement('button')
+      view.type = 'button'
+      view.className = 'recording-keyframe-view'
+      view.title = 'Go to this view'
+      view.textContent = `View ${index + 1}`
+      item.appendChild(view)
+
+      // The first keyframe is where the path starts; the others say how long it takes to reach them
+      if (index === 0) {
+        const start = document.createElement('span')
+        start.className = 'recording-keyframe-start'
+        start.textContent = 'start'
+        item.appendChild(start)
+      } else {
+        const label = document.createElement('label')
+        label.className = 'recording-keyframe-duration'
+        const input = document.createElement('input')
+        input.type = 'number'
+        input.min = RECORDING_CONFIG.MIN_DURATION_S
+        input.max = RECORDING_CONFIG.MAX_DURATION_S
+        input.step = 0.5
+        input.value = keyframe.duration
+        label.append(input, ' s')
+        item.appendChild(label)
+      }
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'recording-keyframe-remove'
+      remove.title = 'Remove keyframe'
+      remove.textContent = '×'
+      item.appendChild(remove)
+
+      this.keyframeList.appendChild(item)
+    })
+  }
+
+  readDuration(value, fallback) {
+    const seconds = Number(value)
+    return clamp(Number.isFinite(seconds) ? seconds : fallback, RECORDING_CONFIG.MIN_DURATION_S, RECORDING_CONFIG.MAX_DURATION_S)
+  }
+
+  /**
+   * The selected camera move
+   * @returns {Function} () => Promise<boolean>, true if the move finished
+   * @throws {Error} If the path has fewer than two keyframes or the turns aren't positive
+   */
+  getMove() {
+    const { camera, controls } = this.sceneManager
+
+    if (this.modeInput?.value === 'path') {
+      if (this.keyframes.length < 2) {
+        throw new Error('Add at least two keyframes: move the camera, then "Add current view"')
+      }
+      const path = this.keyframes.map(keyframe => ({
+        position: new THREE.Vector3(...keyframe.position),
+        target: new THREE.Vector3(...keyframe.target),
+        duration: keyframe.duration * 1000
+      }))
+      return () => this.animator.playCameraPath(camera, controls, path)
+    }
+
+    const turns = Number(this.turnsInput?.value ?? RECORDING_CONFIG.TURNTABLE_TURNS)
+    if (!(turns > 0)) throw new Error('Turns must be more than 0')
+    const duration = this.readDuration(this.durationInput?.value, RECORDING_CONFIG.TURNTABLE_DURATION_S) * 1000
+    return () => this.animator.orbitCamera(camera, controls, { turns, duration })
+  }
+
+  setPlaying(mode) {
+    this.playing = mode
+    this.stopRequested = false
+    this.panel?.classList.toggle('playing', mode !== null)
+    this.panel?.querySelectorAll('[data-action="preview"], [data-action="record"]').forEach(button => {
+      const active = button.dataset.action === mode
+      button.textContent = active ? 'Stop' : button.dataset.label
+      button.disabled = mode !== null && !active
+    })
+    const inputs = [this.modeInput, this.formatInput, this.durationInput, this.turnsInput]
+    inputs.forEach(input => {
+      if (input) input.disabled = mode !== null
+    })
+  }
+
+  stop() {
+    if (!this.playing) return
+    this.stopRequested = true
+    this.animator.stopCameraAnimation()
+  }
+
+  /**
+   * Play the selected move, capturing it when recording, then download the file
+   * @param {boolean} record - false for a preview
+   */
+  async play(record) {
+    if (this.playing) return
+
+    let move
+    let capture = null
+    let hitLimit = false
+    const format = this.formatInput?.value ?? 'webm'
+    try {
+      move = this.getMove()
+      if (record) {
+        capture = format === 'gif'
+          ? startGifCapture(this.sceneManager, {
+            onLimit: () => {
+              hitLimit = true
+              this.stop()
+            }
+          })
+          : startWebmCapture(this.sceneManager.renderer.domElement)
+      }
+    } catch (error) {
+      this.setStatus(error.message, 'error')
+      return
+    }
+
+    const { controls } = this.sceneManager
+    controls.enabled = false
+    this.setPlaying(record ? 'record' : 'preview')
+    this.setStatus(record ? 'Recording...' : 'Previewing...', 'loading')
+
+    try {
+      if (capture) await wait(RECORDING_CONFIG.LEAD_IN_MS)
+      const finished = this.stopRequested ? false : await move()
+
+      if (!capture) {
+        this.setStatus(finished ? '' : 'Preview stopped')
+        return
+      }
+
+      this.setStatus(format === 'gif' ? 'Encoding GIF...' : 'Finishing video...', 'loading')
+      const blob = await capture.stop((done, total) => {
+        this.setStatus(`Encoding GIF: frame ${done} of ${total}`, 'loading')
+      })
+      downloadBlob(blob, `${RECORDING_CONFIG.FILENAME_PREFIX}-${fileTimestamp()}${capture.extension}`)
+
+      const note = hitLimit
+        ? ` (stopped at the ${RECORDING_CONFIG.GIF_MAX_FRAMES} frame GIF limit)`
+        : finished ? '' : ' (stopped early)'
+      this.setStatus(`Saved ${format.toUpperCase()}, ${formatBytes(blob.size)}${note}`, 'success')
+    } catch (error) {
+      console.error('Recording failed:', error)
+      this.setStatus(`Recording failed: ${error.message}`, 'error')
+    } finally {
+      controls.enabled = true
+      this.setPlaying(null)
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.panel) return
+
+    this.panel.querySelectorAll('[data-action="preview"], [data-action="record"]').forEach(button => {
+      button.dataset.label = button.textContent.trim()
+    })
+    this.modeInput?.addEventListener('change', () => this.updateMode())
+
+    // Keyframe durations are saved as they are edited
+    this.keyframeList?.addEventListener('change', (e) => {
+      const item = e.target.closest('.recording-keyframe')
+      if (!item || e.target.tagName !== 'INPUT') return
+      const keyframe = this.keyframes[Number(item.dataset.index)]
+      keyframe.duration = this.readDuration(e.target.value, RECORDING_CONFIG.KEYFRAME_DURATION_S)
+      this.saveKeyframes()
+    })
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.recording-close-btn')) {
+        this.close()
+        return
+      }
+
+      const keyframeItem = e.target.closest('.recording-keyframe')
+      if (keyframeItem) {
+        const index = Number(keyframeItem.dataset.index)
+        if (e.target.closest('.recording-keyframe-remove') && !this.playing) {
+          this.keyframes.splice(index, 1)
+          this.saveKeyframes()
+        } else if (e.target.closest('.recording-keyframe-view')) {
+          this.goToKeyframe(index)
+        }
+        return
+      }
+
+      const action = e.target.closest('[data-action]')?.dataset.action
+      if (action === 'preview' || action === 'record') {
+        if (this.playing) {
+          this.stop()
+        } else {
+          this.play(action === 'record')
+        }
+      } else if (action === 'add-keyframe' && !this.playing) {
+        this.addKeyframe()
+      } else if (action === 'clear-keyframes' && !this.playing) {
+        this.keyframes = []
+        this.saveKeyframes()
+      }
+    })
+  }
+}
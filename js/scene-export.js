@@ -0,0 +1,230 @@
+/**
+ * Scene Export - the vector space as glTF for other 3D tools
+ *
+ * A copy of what the scene draws, made for tools that don't share its shaders:
+ * - Arrows (createVectorArrow) as their shaft and cone, with standard PBR materials
+ * - Labels (createTextLabel) as textured planes facing the current camera,
+ *   at full size whatever the level of detail hides
+ * - Comparison annotations and neighbor lines (createComparisonPlate, badges,
+ *   angle arc, distance label) in an "Annotations" node
+ *
+ * Hitboxes and additive glow layers are left out. Each vector's node carries
+ * its label, model, role, cluster, coordinates and imported metadata in
+ * `extras`; the root node says which model and projection made the layout.
+ */
+
+import * as THREE from 'three'
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js'
+import { vectors } from './vector-data.js'
+import { compareVectors } from './similarity.js'
+import { getProjectionMethod, getVectorFidelity } from './projection.js'
+import { getCurrentModel } from './embeddings.js'
+import { describeVector } from './data-export.js'
+import { fileTimestamp, downloadBlob } from './ui.js'
+import { EXPORT_CONFIG } from './constants.js'
+
+// Every label plane shares one unit quad (so the file holds it once)
+const LABEL_PLANE = new THREE.PlaneGeometry(1, 1)
+
+// Materials glTF can carry, or null for ones the export leaves out
+function convertMaterial(material) {
+  if (!material || material.visible === false || material.blending === THREE.AdditiveBlending) return null
+
+  const shared = { transparent: material.transparent, opacity: material.opacity, side: material.side }
+
+  // Animated connection lines: their main color, without the pulse
+  if (material.isShaderMaterial) {
+    const color = material.uniforms?.colorMain?.value ?? new THREE.Color(0xffffff)
+    return new THREE.MeshBasicMaterial({ ...shared, color, transparent: true, opacity: 0.85 })
+  }
+  if (material.isLineBasicMaterial) {
+    return new THREE.LineBasicMaterial({ ...shared, color: material.color, vertexColors: material.vertexColors })
+  }
+  // Transmission and clearcoat don't survive most importers, so arrows get plain PBR
+  if (material.isMeshStandardMaterial) {
+    return new THREE.MeshStandardMaterial({
+      ...shared,
+      color: material.color,
+      emissive: material.emissive,
+      emissiveIntensity: material.emissiveIntensity,
+      roughness: material.roughness,
+      metalness: material.metalness
+    })
+  }
+  if (material.isMeshBasicMaterial) {
+    return new THREE.MeshBasicMaterial({ ...shared, color: material.color, map: material.map })
+  }
+  return null
+}
+
+/**
+ * A sprite as a plane facing the camera (sprites have no glTF equivalent)
+ * @param {THREE.Sprite} sprite
+ * @param {THREE.Camera} camera
+ * @param {Object} options - {scale, opacity} to use instead of the sprite's current ones
+ * @returns {THREE.Mesh}
+ */
+function spriteToPlane(sprite, camera, { scale = sprite.scale, opacity = sprite.material.opacity } = {}) {
+  const material = new THREE.MeshBasicMaterial({
+    map: sprite.material.map,
+    color: sprite.material.color,
+    transparent: true,
+    opacity,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  })
+  const plane = new THREE.Mesh(LABEL_PLANE, material)
+  plane.position.copy(sprite.position)
+  plane.scale.set(scale.x, scale.y, 1)
+
+  // Face the camera in world space, whatever the sprite's parents are turned to
+  const parentRotation = new THREE.Quaternion()
+  sprite.parent?.getWorldQuaternion(parentRotation)
+  plane.quaternion.copy(parentRotation.invert().multiply(camera.quaternion))
+  return plane
+}
+
+/**
+ * Copy an object tree with export-friendly meshes, lines and materials
+ * @param {THREE.Object3D} source
+ * @param {THREE.Camera} camera - Sprites are turned to face it
+ * @returns {THREE.Object3D|null} null if nothing in it can be exported
+ */
+function convertObject(source, camera) {
+  if (source.userData?.isHitbox) return null
+  if (source.isSprite) return spriteToPlane(source, camera)
+
+  let target
+  if (source.isMesh || source.isLine) {
+    const material = convertMaterial(source.material)
+    if (!material) return null
+    const Type = source.isLineSegments ? THREE.LineSegments : source.isLine ? THREE.Line : THREE.Mesh
+    target = new Type(source.geometry, material)
+  } else {
+    target = new THREE.Group()
+  }
+
+  target.name = source.name
+  target.position.copy(source.position)
+  target.quaternion.copy(source.quaternion)
+  target.scale.copy(source.scale)
+
+  source.children.forEach(child => {
+    const converted = convertObject(child, camera)
+    if (converted) target.add(converted)
+  })
+
+  return target.isGroup && target.children.length === 0 ? null : target
+}
+
+// What a vector's node carries in extras
+function vectorExtras(name) {
+  const data = vectors[name]
+  return {
+    ...describeVector(name),
+    coords: data.coords,
+    fidelity: getVectorFidelity(name),
+    metadata: data.metadata ?? null
+  }
+}
+
+// The selected pair's metrics, when the annotations show a comparison
+function annotationExtras(selected) {
+  if (selected.length !== 2) return { selected }
+  const { original, projected, distortion } = compareVectors(selected[0], selected[1])
+  return { selected, original, projected, distortion }
+}
+
+/**
+ * Build the tree that gets exported
+ * @param {SceneManager} sceneManager - Its camera orients the labels
+ * @param {StateManager} stateManager - The scene's arrows, labels and annotations
+ * @returns {THREE.Group} Root named "Vector Space"
+ */
+export function buildExportScene(sceneManager, stateManager) {
+  const { camera } = sceneManager
+  const root = new THREE.Group()
+  root.name = 'Vector Space'
+  let vectorCount = 0
+
+  Object.keys(vectors).forEach(name => {
+    const arrow = stateManager.getVectorObject(name)
+    const label = stateManager.getLabelSprite(name)
+    if (!arrow) return
+
+    const node = new THREE.Group()
+    node.name = name
+    node.userData = vectorExtras(name)
+
+    const arrowNode = convertObject(arrow, camera)
+    if (arrowNode) {
+      arrowNode.name = `${name} arrow`
+      node.add(arrowNode)
+    }
+    if (label) {
+      const labelNode = spriteToPlane(label, camera, {
+        scale: label.userData.baseScale ?? label.scale,
+        opacity: 1
+      })
+      labelNode.name = `${name} label`
+      node.add(labelNode)
+    }
+    root.add(node)
+    vectorCount++
+  })
+
+  const annotations = new THREE.Group()
+  annotations.name = 'Annotations'
+  const overlays = [...stateManager.getAnnotations(), ...stateManager.getConnectionLines()]
+  overlays.forEach(object => {
+    const converted = convertObject(object, camera)
+    if (converted) annotations.add(converted)
+  })
+  if (annotations.children.length > 0) {
+    annotations.userData = annotationExtras(stateManager.getSelectedVectors())
+    root.add(annotations)
+  }
+
+  root.userData = {
+    model: getCurrentModel(),
+    projection: getProjectionMethod(),
+    vectors: vectorCount
+  }
+  return root
+}
+
+// Materials made for the export; geometries and textures are the scene's own
+function disposeMaterials(root) {
+  root.traverse(object => object.material?.dispose())
+}
+
+/**
+ * Export the scene's arrows, labels and annotations and download the file
+ * @param {SceneManager} sceneManager
+ * @param {StateManager} stateManager
+ * @param {Object} options - {binary: true for .glb, false for .gltf with embedded buffers}
+ * @returns {Promise<string>} What was exported, for the status bar
+ * @throws {Error} For an empty scene
+ */
+export async function exportSceneGltf(sceneManager, stateManager, { binary = true } = {}) {
+  if (Object.keys(vectors).length === 0) {
+    throw new Error('There are no vectors to export')
+  }
+
+  const root = buildExportScene(sceneManager, stateManager)
+  try {
+    const result = await new GLTFExporter().parseAsync(root, {
+      binary,
+      onlyVisible: false,
+      maxTextureSize: EXPORT_CONFIG.GLTF_MAX_TEXTURE_SIZE
+    })
+    const blob = binary
+      ? new Blob([result], { type: 'model/gltf-binary' })
+      : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' })
+    downloadBlob(blob, `${EXPORT_CONFIG.DATA_FILENAME_PREFIX}-${fileTimestamp()}-scene${binary ? '.glb' : '.gltf'}`)
+  } finally {
+    disposeMaterials(root)
+  }
+
+  return `${root.userData.vectors} vectors as ${binary ? 'GLB' : 'glTF'}`
+}
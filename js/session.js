@@ -0,0 +1,195 @@
+/**
+ * Session Module
+ *
+ * Saves the whole workspace to a portable JSON file and reads it back:
+ * - Every vector's text, full text, role, color, cluster, 3D coords, embedding
+ *   (with the model that produced it, or 'external' if imported) and metadata
+ * - Model key (and its config for models added at runtime), projection method /
+ *   frozen axes, clustering settings
+ * - Camera position and target
+ *
+ * Embeddings travel with the file, so loading a session never re-embeds.
+ * The same snapshot is autosaved to IndexedDB and backs undo/redo.
+ */
+
+import { vectors, originalEmbeddings } from './vector-data.js'
+import { getCurrentModel, MODEL_CONFIGS, isCustomModel, isValidModelConfig } from './embeddings.js'
+import { getProjectionMethod, getProjectionMethods, isBasisFrozen } from './projection.js'
+import { createKeyValueStore } from './idb.js'
+import { fileTimestamp, downloadBlob } from './ui.js'
+import { SESSION_CONFIG, EMBEDDING_INPUT_CONFIG } from './constants.js'
+
+const autosaveStore = createKeyValueStore(SESSION_CONFIG.AUTOSAVE_DB, SESSION_CONFIG.AUTOSAVE_STORE)
+
+/**
+ * Snapshot the current workspace
+ * @param {Object} options
+ * @param {Object} options.camera - CameraController.getCurrentState() ({position, target} Vector3s)
+ * @param {Object} options.clusterSettings - VectorManager.clusterSettings
+ * @param {string} options.colorMode - VectorManager.colorMode
+ * @returns {Object} Plain JSON-serializable session
+ */
+export function createSession({ camera, clusterSettings, colorMode }) {
+  const model = getCurrentModel()
+  return {
+    format: SESSION_CONFIG.FORMAT,
+    version: SESSION_CONFIG.VERSION,
+    savedAt: new Date().toISOString(),
+    model,
+    // Lets another browser register the model (see VectorManager.loadSession)
+    modelConfig: isCustomModel(model) ? { ...MODEL_CONFIGS[model] } : null,
+    projection: {
+      method: getProjectionMethod(),
+      frozen: isBasisFrozen()
+    },
+    clusterSettings: { ...clusterSettings },
+    colorMode,
+    camera: camera
+      ? { position: camera.position.toArray(), target: camera.target.toArray() }
+      : null,
+    vectors: Object.entries(vectors).map(([text, data]) => ({
+      text,
+      fullText: data.fullText ?? null,
+      description: data.description ?? null,
+      color: data.color,
+      cluster: data.cluster ?? null,
+      isCustom: !!data.isCustom,
+      role: data.role ?? EMBEDDING_INPUT_CONFIG.DEFAULT_ROLE,
+      model: data.model ?? model,
+      coords: data.coords ? [...data.coords] : null,
+      embedding: originalEmbeddings[text] ?? null,
+      metadata: data.metadata ?? null
+    }))
+  }
+}
+
+const isNumberArray = (value, length) =>
+  Array.isArray(value) &&
+  (length === undefined || value.length === length) &&
+  value.every(v => typeof v === 'number' && Number.isFinite(v))
+
+/**
+ * Parse and validate a session file
+ * @param {string} json - File contents
+ * @returns {Object} The session
+ * @throws {Error} With a message suitable for the status bar
+ */
+export function parseSession(json) {
+  let session
+  try {
+    session = JSON.parse(json)
+  } catch {
+    throw new Error('Session file is not valid JSON')
+  }
+  return validateSession(session)
+}
+
+/**
+ * Check that an object is a usable session
+ * @param {Object} session
+ * @returns {Object} The same session
+ * @throws {Error} With a message suitable for the status bar
+ */
+export function validateSession(session) {
+  if (session?.format !== SESSION_CONFIG.FORMAT) {
+    throw new Error('Not a vector session file')
+  }
+  if (session.version > SESSION_CONFIG.VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports`)
+  }
+  if (!MODEL_CONFIGS[session.model] && !isValidModelConfig(session.modelConfig)) {
+    throw new Error(`Session uses an unknown model: ${session.model}`)
+  }
+  if (!getProjectionMethods().some(({ key }) => key === session.projection?.method)) {
+    throw new Error(`Session uses an unknown projection: ${session.projection?.method}`)
+  }
+  if (!Array.isArray(session.vectors)) {
+    throw new Error('Session has no vectors')
+  }
+
+  const names = new Set()
+  let dims = null
+  session.vectors.forEach((entry, i) => {
+    if (typeof entry?.text !== 'string' || entry.text.length === 0) {
+      throw new Error(`Vector ${i + 1} has no text`)
+    }
+    if (names.has(entry.text)) {
+      throw new Error(`Vector "${entry.text}" appears twice`)
+    }
+    names.add(entry.text)
+
+    if (entry.embedding !== null) {
+      if (!isNumberArray(entry.embedding) || entry.embedding.length === 0) {
+        throw new Error(`Vector "${entry.text}" has an invalid embedding`)
+      }
+      dims = dims ?? entry.embedding.length
+      if (entry.embedding.length !== dims) {
+        throw new Error(`Vector "${entry.text}" has ${entry.embedding.length} dimensions, expected ${dims}`)
+      }
+    }
+    if (entry.role !== undefined && !EMBEDDING_INPUT_CONFIG.ROLES.includes(entry.role)) {
+      throw new Error(`Vector "${entry.text}" has an unknown role: ${entry.role}`)
+    }
+    if (entry.model !== undefined && typeof entry.model !== 'string') {
+      throw new Error(`Vector "${entry.text}" has an invalid model`)
+    }
+    if (entry.coords !== null && entry.coords !== undefined && !isNumberArray(entry.coords, 3)) {
+      throw new Error(`Vector "${entry.text}" has invalid coordinates`)
+    }
+    if (entry.metadata !== null && entry.metadata !== undefined &&
+        (typeof entry.metadata !== 'object' || Array.isArray(entry.metadata))) {
+      throw new Error(`Vector "${entry.text}" has invalid metadata`)
+    }
+  })
+
+  const camera = session.camera
+  if (camera && !(isNumberArray(camera.position, 3) && isNumberArray(camera.target, 3))) {
+    throw new Error('Session has an invalid camera state')
+  }
+
+  return session
+}
+
+/**
+ * Read and validate a session from a File
+ * @param {File} file
+ * @returns {Promise<Object>}
+ */
+export async function readSessionFile(file) {
+  return parseSession(await file.text())
+}
+
+/**
+ * Download a session as a timestamped .json file
+ * @param {Object} session - From createSession()
+ */
+export function downloadSession(session) {
+  const filename = `${SESSION_CONFIG.FILENAME_PREFIX}-${fileTimestamp()}${SESSION_CONFIG.FILENAME_SUFFIX}`
+  downloadBlob(new Blob([JSON.stringify(session)], { type: SESSION_CONFIG.MIME_TYPE }), filename)
+}
+
+/**
+ * Store a session as the autosave (replaces the previous one)
+ * @param {Object} session - From createSession()
+ * @returns {Promise<void>}
+ */
+export function saveAutosave(session) {
+  return autosaveStore.set(SESSION_CONFIG.AUTOSAVE_KEY, session)
+}
+
+/**
+ * Read the autosaved session, if there is a valid one
+ * @returns {Promise<Object|null>}
+ */
+export async function loadAutosave() {
+  const stored = await autosaveStore.get(SESSION_CONFIG.AUTOSAVE_KEY)
+  if (!stored) return null
+
+  try {
+    // Same validation as a file, so an outdated autosave can't break startup
+    return validateSession(stored)
+  } catch (error) {
+    console.warn('Ignoring autosaved session:', error.message)
+    return null
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * SimilarityMatrix - 2D heatmap of pairwise cosine similarity
+ *
+ * Features:
+ * - Full n x n cosine matrix in the original embedding space
+ * - Rows and columns in dendrogram leaf order (average linkage), so groups of
+ *   similar vectors show up as bright blocks along the diagonal
+ * - Cluster color strips matching the 3D scene
+ * - Hover readout for any cell
+ * - Click a cell to select that pair in 3D (diagonal cells select one vector)
+ */
+
+import { vectors } from './vector-data.js'
+import { getEmbeddingVector, cosineMatrix } from './similarity.js'
+import { hierarchicalOrder } from './clustering.js'
+import { escapeHtml } from './ui.js'
+import { MATRIX_CONFIG } from './constants.js'
+
+const toCssColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`
+
+/**
+ * Interpolate MATRIX_CONFIG.COLOR_STOPS for a similarity value
+ * @param {number} value - Cosine similarity
+ * @returns {string} CSS color
+ */
+function heatColor(value) {
+  const stops = MATRIX_CONFIG.COLOR_STOPS
+  if (value <= stops[0].value) return toCssColor(stops[0].color)
+
+  for (let i = 1; i < stops.length; i++) {
+    const to = stops[i]
+    if (value > to.value) continue
+    const from = stops[i - 1]
+    const t = (value - from.value) / (to.value - from.value)
+    const channels = [16, 8, 0].map(shift => {
+      const a = (from.color >> shift) & 255
+      const b = (to.color >> shift) & 255
+      return Math.round(a + (b - a) * t)
+    })
+    return `rgb(${channels.join(', ')})`
+  }
+  return toCssColor(stops[stops.length - 1].color)
+}
+
+export class SimilarityMatrix {
+  constructor(stateManager, cameraController, interactionHandler) {
+    this.state = stateManager
+    this.cameraController = cameraController
+    this.interactionHandler = interactionHandler
+
+    this.panel = document.getElementById('matrix-panel')
+    this.canvas = document.getElementById('matrix-canvas')
+    this.tooltip = document.getElementById('matrix-tooltip')
+    this.summary = document.getElementById('matrix-summary')
+    this.scale = document.getElementById('matrix-scale')
+
+    // Names in display order and their similarity matrix (same order)
+    this.names = []
+    this.values = []
+    this.layout = null
+    this.hoveredCell = null
+
+    this.setupEventListeners()
+    this.renderScale()
+
+    // Clustering runs after every add/remove/model switch, so it doubles as a
+    // "vector set changed" signal and keeps the cluster strips in sync
+    this.state.on('clustersChanged', () => {
+      if (this.isOpen()) this.refresh()
+    })
+    this.state.on('selectionChanged', () => {
+      if (this.isOpen()) this.draw()
+    })
+  }
+
+  // ========================================================================
+  // PANEL VISIBILITY
+  // ========================================================================
+
+  isOpen() {
+    return this.panel && this.panel.style.display !== 'none'
+  }
+
+  open() {
+    if (!this.panel) return
+    this.panel.style.display = 'flex'
+    this.refresh()
+  }
+
+  close() {
+    if (!this.panel) return
+    this.panel.style.display = 'none'
+    this.hideTooltip()
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  // ========================================================================
+  // MATRIX COMPUTATION
+  // ========================================================================
+
+  /**
+   * Recompute similarities and ordering, then redraw
+   */
+  refresh() {
+    const entries = Object.keys(vectors)
+      .map(name => ({ name, embedding: getEmbeddingVector(name) }))
+      .filter(entry => entry.embedding)
+
+    // Mid model switch the scene can hold two dimensions; compare the majority
+    const counts = new Map()
+    entries.forEach(({ embedding }) => {
+      counts.set(embedding.length, (counts.get(embedding.length) || 0) + 1)
+    })
+    const dims = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]
+    const usable = entries.filter(({ embedding }) => embedding.length === dims)
+
+    const cosine = cosineMatrix(usable.map(({ embedding }) => embedding))
+    const order = hierarchicalOrder(cosine.map(row => row.map(value => 1 - value)))
+
+    this.names = order.map(i => usable[i].name)
+    this.values = order.map(i => order.map(j => cosine[i][j]))
+    this.hoveredCell = null
+
+    if (this.summary) {
+      const skipped = entries.length - usable.length
+      this.summary.textContent = this.names.length > 0
+        ? `${this.names.length} vectors · ${dims}D cosine` +
+          (skipped > 0 ? ` · ${skipped} with a different dimension hidden` : '')
+        : 'No embeddings to compare yet'
+    }
+
+    this.draw()
+  }
+
+  // ========================================================================
+  // DRAWING
+  // ========================================================================
+
+  /**
+   * Cell size and offsets for the current vector count
+   */
+  computeLayout() {
+    const n = this.names.length
+    const cell = n > 0 ? Math.min(MATRIX_CONFIG.MAX_CELL_SIZE, MATRIX_CONFIG.MAX_GRID_SIZE / n) : 0
+    const showLabels = cell >= MATRIX_CONFIG.MIN_LABEL_CELL_SIZE
+    const strip = MATRIX_CONFIG.CLUSTER_STRIP_WIDTH + 2
+    const left = (showLabels ? MATRIX_CONFIG.LABEL_WIDTH : 0) + strip
+    const top = strip
+    return { n, cell, showLabels, left, top, width: left + n * cell, height: top + n * cell }
+  }
+
+  draw() {
+    if (!this.canvas) return
+
+    const layout = this.computeLayout()
+    this.layout = layout
+
+    // Backing store at device resolution so thin cells stay crisp
+    const dpr = window.devicePixelRatio || 1
+    this.canvas.style.width = `${layout.width}px`
+    this.canvas.style.height = `${layout.height}px`
+    this.canvas.width = Math.round(layout.width * dpr)
+    this.canvas.height = Math.round(layout.height * dpr)
+
+    const ctx = this.canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, layout.width, layout.height)
+
+    const { n, cell, left, top } = layout
+    const stripWidth = MATRIX_CONFIG.CLUSTER_STRIP_WIDTH
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        ctx.fillStyle = heatColor(this.values[i][j])
+        // Slight overdraw hides hairline gaps between fractional cells
+        ctx.fillRect(left + j * cell, top + i * cell, cell + 0.5, cell + 0.5)
+      }
+    }
+
+    this.names.forEach((name, i) => {
+      ctx.fillStyle = toCssColor(vectors[name]?.color ?? 0x64748b)
+      ctx.fillRect(left - stripWidth - 2, top + i * cell, stripWidth, cell + 0.5)
+      ctx.fillRect(left + i * cell, top - stripWidth - 2, cell + 0.5, stripWidth)
+    })
+
+    if (layout.showLabels) {
+      ctx.font = MATRIX_CONFIG.LABEL_FONT
+      ctx.textAlign = 'right'
+      ctx.textBaseline = 'middle'
+      ctx.fillStyle = '#cbd5e1'
+      const labelRight = left - stripWidth - 6
+      this.names.forEach((name, i) => {
+        ctx.fillText(this.truncateLabel(ctx, name, MATRIX_CONFIG.LABEL_WIDTH - 8), labelRight, top + (i + 0.5) * cell)
+      })
+    }
+
+    // Selected pair: outline both symmetric cells (or the diagonal cell for one vector)
+    const selected = this.state.getSelectedVectors()
+      .map(name => this.names.indexOf(name))
+      .filter(index => index !== -1)
+    if (selected.length === 2) {
+      this.outlineCell(ctx, selected[0], selected[1], MATRIX_CONFIG.SELECTION_COLOR)
+      this.outlineCell(ctx, selected[1], selected[0], MATRIX_CONFIG.SELECTION_COLOR)
+    } else if (selected.length === 1) {
+      this.outlineCell(ctx, selected[0], selected[0], MATRIX_CONFIG.SELECTION_COLOR)
+    }
+
+    if (this.hoveredCell) {
+      this.outlineCell(ctx, this.hoveredCell.row, this.hoveredCell.col, MATRIX_CONFIG.HOVER_COLOR)
+    }
+  }
+
+  outlineCell(ctx, row, col, color) {
+    const { cell, left, top } = this.layout
+    ctx.strokeStyle = color
+    ctx.lineWidth = 2
+    ctx.strokeRect(left + col * cell, top + row * cell, Math.max(cell, 3), Math.max(cell, 3))
+  }
+
+  truncateLabel(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text
+    let truncated = text
+    while (truncated.length > 1 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+      truncated = truncated.slice(0, -1)
+    }
+    return `${truncated}…`
+  }
+
+  renderScale() {
+    if (!this.scale) return
+    const stops = MATRIX_CONFIG.COLOR_STOPS
+    const min = stops[0].value
+    const max = stops[stops.length - 1].value
+    const gradient = stops
+      .map(stop => `${toCssColor(stop.color)} ${((stop.value - min) / (max - min)) * 100}%`)
+      .join(', ')
+
+    this.scale.innerHTML = `
+      <span>≤ ${min.toFixed(1)}</span>
+      <div class="matrix-scale-bar" style="background: linear-gradient(to right, ${gradient})"></div>
+      <span>${max.toFixed(1)}</span>
+    `
+  }
+
+  // ========================================================================
+  // INTERACTION
+  // ========================================================================
+
+  /**
+   * Matrix cell under a mouse event, or null outside the grid
+   */
+  cellAt(event) {
+    if (!this.layout || this.layout.n === 0) return null
+    const rect = this.canvas.getBoundingClientRect()
+    const { n, cell, left, top } = this.layout
+    const col = Math.floor((event.clientX - rect.left - left) / cell)
+    const row = Math.floor((event.clientY - rect.top - top) / cell)
+    if (row < 0 || col < 0 || row >= n || col >= n) return null
+    return { row, col }
+  }
+
+  showTooltip(event, { row, col }) {
+    if (!this.tooltip) return
+    const a = this.names[row]
+    const b = this.names[col]
+    const value = this.values[row][col]
+    this.tooltip.innerHTML = row === col
+      ? `<strong>${escapeHtml(a)}</strong>`
+      : `<strong>${escapeHtml(a)}</strong> ↔ <strong>${escapeHtml(b)}</strong><span class="matrix-tooltip-value">${value.toFixed(3)} cosine</span>`
+    this.tooltip.style.display = 'block'
+
+    const panelRect = this.panel.getBoundingClientRect()
+    this.tooltip.style.left = `${event.clientX - panelRect.left + 12}px`
+    this.tooltip.style.top = `${event.clientY - panelRect.top + 12}px`
+  }
+
+  hideTooltip() {
+    if (this.tooltip) this.tooltip.style.display = 'none'
+  }
+
+  /**
+   * Select the vectors behind a cell in the 3D scene
+   */
+  selectCell({ row, col }) {
+    const a = this.names[row]
+    const b = this.names[col]
+    if (!vectors[a] || !vectors[b]) return
+
+    this.state.clearSelection()
+    this.state.selectVector(a)
+    if (b !== a) this.state.selectVector(b)
+    this.interactionHandler.updateSelection()
+
+    // Comparison mode frames the pair itself; a single vector needs a focus
+    if (a === b && vectors[a].coords) {
+      this.cameraController.focusOnVectors(vectors[a].coords, null)
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.panel || !this.canvas) return
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      const cell = this.cellAt(e)
+      const changed = cell?.row !== this.hoveredCell?.row || cell?.col !== this.hoveredCell?.col
+      this.hoveredCell = cell
+      if (cell) {
+        this.showTooltip(e, cell)
+      } else {
+        this.hideTooltip()
+      }
+      if (changed) this.draw()
+    })
+
+    this.canvas.addEventListener('mouseleave', () => {
+      this.hoveredCell = null
+      this.hideTooltip()
+      this.draw()
+    })
+
+    // stopPropagation: the window click handler would otherwise treat these as canvas clicks
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation()
+      if (e.target.closest('.matrix-close-btn')) {
+        this.close()
+        return
+      }
+      if (e.target === this.canvas) {
+        const cell = this.cellAt(e)
+        if (cell) this.selectCell(cell)
+      }
+    })
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Similarity Service - n-dimensional vector comparisons
+ *
+ * Every similarity shown in the app goes through this module so the numbers
+ * come from the original embedding space (originalEmbeddings, e.g. 384D)
+ * rather than the 3D PCA projection used for rendering. The projected
+ * metrics are still available so the UI can show how much the projection
+ * distorts a relationship.
+ */
+
+import { vectors, originalEmbeddings } from './vector-data.js'
+import { cosineSimilarity, euclideanDistance, dotProduct } from './math-utils.js'
+import { SIMILARITY_CONFIG } from './constants.js'
+
+/**
+ * Get the high-dimensional embedding for a vector
+ * @param {string} name - Vector name
+ * @returns {Array<number>|null} Embedding or null if none is stored
+ */
+export function getEmbeddingVector(name) {
+  const embedding = originalEmbeddings[name]
+  return Array.isArray(embedding) && embedding.length > 0 ? embedding : null
+}
+
+/**
+ * Compute all metrics between two raw vectors of equal dimension
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {{cosine: number, euclidean: number, dot: number}}
+ */
+export function computeMetrics(a, b) {
+  return {
+    cosine: cosineSimilarity(a, b),
+    euclidean: euclideanDistance(a, b),
+    dot: dotProduct(a, b)
+  }
+}
+
+// One metric at a time, for rankings over many vectors
+const METRIC_FUNCTIONS = {
+  cosine: cosineSimilarity,
+  euclidean: euclideanDistance,
+  dot: dotProduct
+}
+
+/**
+ * Cosine similarity of every pair of raw vectors of equal dimension
+ * @param {Array<Array<number>>} embeddings
+ * @returns {Array<Array<number>>} Symmetric n x n matrix
+ */
+export function cosineMatrix(embeddings) {
+  const matrix = embeddings.map(() => new Array(embeddings.length))
+  embeddings.forEach((a, i) => {
+    for (let j = i; j < embeddings.length; j++) {
+      matrix[i][j] = matrix[j][i] = cosineSimilarity(a, embeddings[j])
+    }
+  })
+  return matrix
+}
+
+/**
+ * Compare two named vectors in both the original and the projected space
+ * @param {string} name1
+ * @param {string} name2
+ * @returns {{original: Object|null, projected: Object|null, dims: number|null, distortion: number|null}}
+ *   original/projected are {cosine, euclidean, dot}; distortion is projected cosine minus original cosine
+ */
+export function compareVectors(name1, name2) {
+  const e1 = getEmbeddingVector(name1)
+  const e2 = getEmbeddingVector(name2)
+  const original = e1 && e2 && e1.length === e2.length ? computeMetrics(e1, e2) : null
+
+  const c1 = vectors[name1]?.coords
+  const c2 = vectors[name2]?.coords
+  const projected = c1 && c2 ? computeMetrics(c1, c2) : null
+
+  return {
+    original,
+    projected,
+    dims: original ? e1.length : null,
+    distortion: original && projected ? projected.cosine - original.cosine : null
+  }
+}
+
+/**
+ * Single similarity value between two named vectors, preferring the original space
+ * @param {string} name1
+ * @param {string} name2
+ * @param {string} metric - 'cosine' | 'euclidean' | 'dot'
+ * @returns {number|null}
+ */
+export function similarity(name1, name2, metric = 'cosine') {
+  const { original, projected } = compareVectors(name1, name2)
+  const source = original || projected
+  return source ? source[metric] : null
+}
+
+/**
+ * Whether the projection misrepresents a pair badly enough to warn about
+ * @param {number|null} distortion - Value from compareVectors()
+ * @returns {boolean}
+ */
+export function isDistorted(distortion) {
+  return distortion !== null && Math.abs(distortion) >= SIMILARITY_CONFIG.DISTORTION_WARNING_THRESHOLD
+}
+
+/**
+ * CSS class for a metric value ('high-similarity' | 'medium-similarity' | 'low-similarity')
+ * @param {string} metric - 'cosine' | 'euclidean' | 'dot'
+ * @param {number} value
+ * @param {string} space - 'original' | 'projected' (euclidean scales differ)
+ * @returns {string}
+ */
+export function getSimilarityClass(metric, value, space = 'original') {
+  if (metric === 'euclidean') {
+    const close = space === 'original'
+      ? SIMILARITY_CONFIG.ORIGINAL_EUCLIDEAN_CLOSE
+      : SIMILARITY_CONFIG.PROJECTED_EUCLIDEAN_CLOSE
+    const moderate = space === 'original'
+      ? SIMILARITY_CONFIG.ORIGINAL_EUCLIDEAN_MODERATE
+      : SIMILARITY_CONFIG.PROJECTED_EUCLIDEAN_MODERATE
+    return value < close ? 'high-similarity' : value < moderate ? 'medium-similarity' : 'low-similarity'
+  }
+
+  if (metric === 'dot') {
+    return value > SIMILARITY_CONFIG.DOT_HIGH_THRESHOLD
+      ? 'high-similarity'
+      : value > SIMILARITY_CONFIG.DOT_MEDIUM_THRESHOLD ? 'medium-similarity' : 'low-similarity'
+  }
+
+  return value > SIMILARITY_CONFIG.COSINE_HIGH_THRESHOLD
+    ? 'high-similarity'
+    : value > SIMILARITY_CONFIG.COSINE_MEDIUM_THRESHOLD ? 'medium-similarity' : 'low-similarity'
+}
+
+/**
+ * Rank scene vectors by similarity to an arbitrary high-dimensional query
+ * @param {Array<number>} query - Query embedding
+ * @param {Object} options
+ * @param {string} options.metric - 'cosine' | 'euclidean' | 'dot'
+ * @param {number} options.topK - Maximum number of results
+ * @param {Array<string>} options.exclude - Vector names to skip
+ * @param {Object} options.embeddings - name -> embedding to rank instead of the
+ *   scene's, e.g. one model's in the comparison view
+ * @returns {Array<{name: string, score: number}>} Best matches first
+ */
+export function rankNeighbors(query, { metric = 'cosine', topK = 5, exclude = [], embeddings = null } = {}) {
+  const score = METRIC_FUNCTIONS[metric]
+  const results = []
+
+  Object.keys(embeddings ?? vectors).forEach(name => {
+    if (exclude.includes(name)) return
+    const embedding = embeddings ? embeddings[name] : getEmbeddingVector(name)
+    if (!embedding || embedding.length !== query.length) return
+    results.push({ name, score: score(query, embedding) })
+  })
+
+  // Euclidean is a distance (lower is closer); the others are similarities
+  results.sort((a, b) => metric === 'euclidean' ? a.score - b.score : b.score - a.score)
+
+  return results.slice(0, topK)
+}
+
+/**
+ * Nearest scene vectors to a named vector, ranked in the original space
+ * @param {string} name - Vector name
+ * @param {Object} options - Same as rankNeighbors() (the vector itself is always excluded)
+ * @returns {Array<{name: string, score: number}>} Empty if the vector has no embedding
+ */
+export function nearestNeighbors(name, { metric = 'cosine', topK = 5, embeddings = null } = {}) {
+  const embedding = embeddings ? embeddings[name] : getEmbeddingVector(name)
+  return embedding ? rankNeighbors(embedding, { metric, topK, exclude: [name], embeddings }) : []
+}
+
+/**
+ * Where one vector falls among another's neighbors
+ * @param {string} name - Vector whose neighbors are ranked
+ * @param {string} other
+ * @param {Object} options - {metric, embeddings}, as for rankNeighbors()
+ * @returns {number|null} 1 for the nearest neighbor; null if either has no embedding
+ */
+export function neighborRank(name, other, { metric = 'cosine', embeddings = null } = {}) {
+  const index = nearestNeighbors(name, { metric, topK: Infinity, embeddings })
+    .findIndex(neighbor => neighbor.name === other)
+  return index === -1 ? null : index + 1
+}
@@ -676,3 +676,42 @@ export function createTipBadge(position, color) {
 
     return group;
 }
+
+// Trail from where a vector's tip was to where it is now: a line brightening
+// toward the new position and a small dot marking the old one
+export function createDisplacementTrail(start, end, color, opacity = 0.55, dotRadius = 0.035) {
+    const group = new THREE.Group();
+
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(...start),
+        new THREE.Vector3(...end)
+    ]);
+    const faded = new THREE.Color(color).multiplyScalar(0.25);
+    const full = new THREE.Color(color);
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute([
+        faded.r, faded.g, faded.b,
+        full.r, full.g, full.b
+    ], 3));
+    const lineMaterial = new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity,
+        depthWrite: false
+    });
+    group.add(new THREE.Line(geometry, lineMaterial));
+
+    const dotMaterial = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false
+    });
+    const dot = new THREE.Mesh(new THREE.SphereGeometry(dotRadius, 12, 12), dotMaterial);
+    dot.position.set(...start);
+    group.add(dot);
+
+    // Trails are context, not targets; clicks pass through
+    group.traverse(child => { child.raycast = () => {}; });
+
+    return group;
+}
@@ -0,0 +1,151 @@
+/**
+ * t-SNE - Exact t-distributed Stochastic Neighbor Embedding (n-D -> 3D)
+ *
+ * Exact O(n²) gradient, which is fine for the scene sizes this app handles
+ * (tens to low hundreds of vectors). Emphasizes local neighborhoods, so
+ * tight clusters that PCA squashes together become visible.
+ *
+ * Reference: van der Maaten & Hinton, "Visualizing Data using t-SNE" (2008)
+ */
+
+import { createSeededRandom, gaussianRandom, squaredDistanceMatrix } from './math-utils.js'
+import { PROJECTION_CONFIG } from './constants.js'
+
+const PERPLEXITY_TOLERANCE = 1e-5
+const PERPLEXITY_SEARCH_STEPS = 50
+const MIN_PROBABILITY = 1e-12
+const MIN_GAIN = 0.01
+
+/**
+ * Conditional probabilities p(j|i) with a per-point Gaussian bandwidth
+ * chosen by binary search so each row has the requested perplexity
+ */
+function computeAffinities(distances, perplexity) {
+  const n = distances.length
+  const targetEntropy = Math.log(perplexity)
+  const P = Array.from({ length: n }, () => new Float64Array(n))
+
+  for (let i = 0; i < n; i++) {
+    let beta = 1
+    let betaMin = -Infinity
+    let betaMax = Infinity
+    const row = P[i]
+
+    for (let step = 0; step < PERPLEXITY_SEARCH_STEPS; step++) {
+      let sum = 0
+      for (let j = 0; j < n; j++) {
+        row[j] = i === j ? 0 : Math.exp(-distances[i][j] * beta)
+        sum += row[j]
+      }
+      if (sum === 0) sum = MIN_PROBABILITY
+
+      let entropy = 0
+      for (let j = 0; j < n; j++) {
+        row[j] /= sum
+        if (row[j] > MIN_PROBABILITY) {
+          entropy -= row[j] * Math.log(row[j])
+        }
+      }
+
+      const diff = entropy - targetEntropy
+      if (Math.abs(diff) < PERPLEXITY_TOLERANCE) break
+
+      // Entropy too high -> distribution too flat -> sharpen (raise beta)
+      if (diff > 0) {
+        betaMin = beta
+        beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2
+      } else {
+        betaMax = beta
+        beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2
+      }
+    }
+  }
+
+  // Symmetrize: p_ij = (p(j|i) + p(i|j)) / 2n
+  const joint = Array.from({ length: n }, () => new Float64Array(n))
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      joint[i][j] = Math.max((P[i][j] + P[j][i]) / (2 * n), MIN_PROBABILITY)
+    }
+  }
+  return joint
+}
+
+/**
+ * Embed high-dimensional rows into 3D with t-SNE
+ * @param {Array<Array<number>>} matrix - One row per vector
+ * @param {Object} options - Overrides for PROJECTION_CONFIG.TSNE keys and seed
+ * @returns {Array<Array<number>>} Raw 3D layout (arbitrary scale, one row per input)
+ */
+export function tsne3D(matrix, options = {}) {
+  const config = { ...PROJECTION_CONFIG.TSNE, ...options }
+  const n = matrix.length
+  const dims = 3
+  const random = createSeededRandom(options.seed ?? PROJECTION_CONFIG.RANDOM_SEED)
+
+  // Perplexity must stay well below n or every point looks like everyone's neighbor
+  const perplexity = Math.max(2, Math.min(config.PERPLEXITY, (n - 1) / 3))
+  const P = computeAffinities(squaredDistanceMatrix(matrix), perplexity)
+
+  const Y = Array.from({ length: n }, () =>
+    Array.from({ length: dims }, () => gaussianRandom(random) * 1e-4)
+  )
+  const velocity = Array.from({ length: n }, () => new Array(dims).fill(0))
+  const gains = Array.from({ length: n }, () => new Array(dims).fill(1))
+  const num = Array.from({ length: n }, () => new Float64Array(n))
+
+  for (let iter = 0; iter < config.ITERATIONS; iter++) {
+    const exaggeration = iter < config.EXAGGERATION_ITERATIONS ? config.EARLY_EXAGGERATION : 1
+    const momentum = iter < config.MOMENTUM_SWITCH_ITERATION
+      ? config.INITIAL_MOMENTUM
+      : config.FINAL_MOMENTUM
+
+    // Student-t kernel in the low-dimensional space
+    let sumQ = 0
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let d = 0
+        for (let k = 0; k < dims; k++) {
+          d += (Y[i][k] - Y[j][k]) ** 2
+        }
+        const q = 1 / (1 + d)
+        num[i][j] = q
+        num[j][i] = q
+        sumQ += 2 * q
+      }
+    }
+
+    // Full gradient first so every point sees the same layout
+    const grads = Y.map((yi, i) => {
+      const grad = [0, 0, 0]
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue
+        const q = Math.max(num[i][j] / sumQ, MIN_PROBABILITY)
+        const mult = 4 * (exaggeration * P[i][j] - q) * num[i][j]
+        for (let k = 0; k < dims; k++) {
+          grad[k] += mult * (yi[k] - Y[j][k])
+        }
+      }
+      return grad
+    })
+
+    // Adaptive per-coordinate gains (delta-bar-delta) with momentum
+    for (let i = 0; i < n; i++) {
+      for (let k = 0; k < dims; k++) {
+        const grad = grads[i][k]
+        const sameSign = Math.sign(grad) === Math.sign(velocity[i][k])
+        gains[i][k] = Math.max(sameSign ? gains[i][k] * 0.8 : gains[i][k] + 0.2, MIN_GAIN)
+        velocity[i][k] = momentum * velocity[i][k] - config.LEARNING_RATE * gains[i][k] * grad
+        Y[i][k] += velocity[i][k]
+      }
+    }
+
+    // Keep the layout centered so it doesn't drift
+    for (let k = 0; k < dims; k++) {
+      const mean = Y.reduce((sum, row) => sum + row[k], 0) / n
+      Y.forEach(row => { row[k] -= mean })
+    }
+  }
+
+  return Y
+}
@@ -1,7 +1,168 @@
 import { vectors } from './vector-data.js';
-import { cosineSimilarity, euclideanDistance, dotProduct, magnitude } from './math-utils.js';
+import { magnitude } from './math-utils.js';
+import { compareVectors, getSimilarityClass, isDistorted, getEmbeddingVector, nearestNeighbors } from './similarity.js';
+import { getProjectionQuality, getFidelityColor, isCloseOnlyIn3D } from './projection.js';
+import { CLUSTER_METHODS } from './clustering.js';
+import { PROJECTION_CONFIG, KNN_CONFIG, CLUSTER_CONFIG, COMPARISON_CONFIG, SIMILARITY_CONFIG } from './constants.js';
 
-export function updateInfoPanel(selectedVectors) {
+/**
+ * Render one metric card with the original-space value and its 3D projection
+ */
+function renderMetricCard(label, metric, comparison, explanation) {
+    const { original, projected, dims } = comparison;
+    const primary = original || projected;
+    const primarySpace = original ? 'original' : 'projected';
+    const valueClass = getSimilarityClass(metric, primary[metric], primarySpace);
+    const spaceLabel = original ? `${dims}D` : '3D';
+
+    // Only cosine is scale-free, so only its delta is comparable across spaces
+    const delta = metric === 'cosine' && original && projected
+        ? ` <span class="metric-delta">(Δ ${formatDelta(projected.cosine - original.cosine)})</span>`
+        : '';
+    const projectedRow = original && projected ? `
+                <div class="metric-projection">
+                    <span>3D projection</span>
+                    <span class="metric-projection-value">${projected[metric].toFixed(3)}${delta}</span>
+                </div>` : '';
+
+    return `<div class="metric-card">
+                <div class="metric-header">
+                    <span class="metric-name">${label} <span class="metric-space">${spaceLabel}</span></span>
+                    <span class="metric-value ${valueClass}">${primary[metric].toFixed(3)}</span>
+                </div>${projectedRow}
+                <div class="metric-explanation">
+                    ${explanation}
+                </div>
+            </div>`;
+}
+
+/**
+ * Render how faithfully the current layout shows one vector
+ */
+function renderFidelity(name) {
+    const quality = getProjectionQuality();
+    const fidelity = quality?.fidelity[name];
+    if (fidelity === undefined) return '';
+
+    const embedding = getEmbeddingVector(name);
+    const dims = embedding ? `${embedding.length}D` : 'original';
+    const color = `#${getFidelityColor(fidelity).toString(16).padStart(6, '0')}`;
+    const percent = Math.round(fidelity * 100);
+
+    const explanation = quality.kind === 'reconstruction'
+        ? `Share of this vector's ${dims} offset from the mean that the 3 PCA axes keep. The axes together explain <strong>${formatPercent(quality.explainedVariance.reduce((sum, v) => sum + v, 0))}</strong> of the variance.`
+        : `Share of its ${PROJECTION_CONFIG.FIDELITY_NEIGHBORS} nearest ${dims} neighbors that are also its nearest in 3D.`;
+
+    return `<div class="metric-card fidelity-card">
+                <div class="metric-header">
+                    <span class="metric-name">3D Fidelity</span>
+                    <span class="metric-value" style="color: ${color}">${percent}%</span>
+                </div>
+                <div class="fidelity-bar">
+                    <div class="fidelity-bar-fill" style="width: ${percent}%; background: ${color}"></div>
+                </div>
+                <div class="metric-explanation">
+                    ${explanation}
+                </div>
+            </div>`;
+}
+
+/**
+ * Render the ranked neighbor list for one vector, with metric switch buttons
+ */
+function renderNeighbors(name, metric) {
+    const embedding = getEmbeddingVector(name);
+    const buttons = Object.entries(KNN_CONFIG.METRIC_LABELS).map(([key, label]) => `
+                    <button class="neighbor-metric-btn${key === metric ? ' active' : ''}" data-metric="${key}">${label}</button>`).join('');
+
+    let body;
+    if (!embedding) {
+        body = '<div class="neighbor-empty">No embedding stored for this vector.</div>';
+    } else {
+        const neighbors = nearestNeighbors(name, { metric, topK: KNN_CONFIG.TOP_K });
+        body = neighbors.length === 0
+            ? '<div class="neighbor-empty">Add more vectors to see neighbors.</div>'
+            : neighbors.map(({ name: neighbor, score }, index) => `
+                <button class="neighbor-item" data-neighbor="${escapeHtml(neighbor)}">
+                    <span class="neighbor-rank">${index + 1}</span>
+                    <span class="neighbor-name">${escapeHtml(neighbor)}</span>
+                    <span class="neighbor-score ${getSimilarityClass(metric, score)}">${score.toFixed(3)}</span>
+                </button>`).join('');
+    }
+
+    const rankingNote = metric === 'euclidean' ? 'lower = closer' : 'higher = closer';
+
+    return `<div class="neighbor-panel">
+                <div class="neighbor-header">
+                    <span class="neighbor-title">NEAREST NEIGHBORS</span>
+                    <div class="neighbor-metrics">${buttons}
+                    </div>
+                </div>
+                <div class="neighbor-list">${body}
+                </div>
+                <div class="metric-explanation">
+                    Ranked in ${embedding ? `${embedding.length}D` : 'the original space'} (${rankingNote}). Click a neighbor, or any vector in the scene, to compare.
+                </div>
+            </div>`;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML templates. Vector names come from imported files and
+ * sessions, so any name put into innerHTML (content or a quoted attribute) goes through this.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+export function formatPercent(share) {
+    return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Current time for download file names, e.g. 2024-05-01T12-30-00
+ * @returns {string}
+ */
+export function fileTimestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function formatDelta(delta) {
+    return `${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`;
+}
+
+/**
+ * Render the info panel for the current selection
+ * @param {Array<string>} selectedVectors - 0, 1 or 2 vector names
+ * @param {Object} options
+ * @param {string} options.neighborMetric - Metric for the single-vector neighbor list
+ */
+export function updateInfoPanel(selectedVectors, { neighborMetric = KNN_CONFIG.DEFAULT_METRIC } = {}) {
     const panel = document.getElementById('info-panel');
 
     // Pro Tip alternatives (swap the text below to change):
@@ -43,13 +204,13 @@ export function updateInfoPanel(selectedVectors) {
         panel.innerHTML = `
             <h3>Selected Vector</h3>
             <div class="vector-detail" style="border-color: #${data.color.toString(16).padStart(6, '0')}">
-                <div class="vector-name" style="color: #${data.color.toString(16).padStart(6, '0')}">${name}</div>
+                <div class="vector-name" style="color: #${data.color.toString(16).padStart(6, '0')}">${escapeHtml(name)}</div>
                 <div class="vector-coords">[${data.coords.map(v => v.toFixed(2)).join(', ')}]</div>
                 <div class="vector-magnitude">Magnitude: ${mag.toFixed(3)}</div>
+                ${data.role === 'query' ? '<div class="vector-magnitude">Embedded as a query</div>' : ''}
             </div>
-            <p style="color: rgba(255, 255, 255, 0.6); font-size: 0.85rem; margin-top: 15px;">
-                Click another vector to compare.
-            </p>
+            ${renderFidelity(name)}
+            ${renderNeighbors(name, neighborMetric)}
         `;
         return;
     }
@@ -59,21 +220,16 @@ export function updateInfoPanel(selectedVectors) {
     const data1 = vectors[name1];
     const data2 = vectors[name2];
     
-    const cosine = cosineSimilarity(data1.coords, data2.coords);
-    const euclidean = euclideanDistance(data1.coords, data2.coords);
-    const dot = dotProduct(data1.coords, data2.coords);
-
-    // Color coding for cosine similarity (negative = opposite, positive = similar)
-    const cosineClass = cosine > 0.7 ? 'high-similarity' : cosine > 0.3 ? 'medium-similarity' : 'low-similarity';
-
-    // Color coding for euclidean distance (lower is better - inverted scale)
-    // Typical range in 3D PCA space is ~0.5 to ~4.0
-    const euclideanClass = euclidean < 1.0 ? 'high-similarity' : euclidean < 2.0 ? 'medium-similarity' : 'low-similarity';
+    const comparison = compareVectors(name1, name2);
+    const distortionWarning = isDistorted(comparison.distortion) ? `
+            <div class="distortion-warning">
+                The 3D view ${comparison.distortion > 0 ? 'exaggerates' : 'understates'} this similarity by ${Math.abs(comparison.distortion).toFixed(2)} cosine. Trust the ${comparison.dims}D values.
+            </div>` : '';
+    const closeOnlyIn3DWarning = isCloseOnlyIn3D(name1, name2) ? `
+            <div class="distortion-warning">
+                Close in 3D, but not in ${comparison.dims ? `${comparison.dims}D` : 'the full space'}: neither is among the other's ${PROJECTION_CONFIG.FIDELITY_NEIGHBORS} nearest neighbors there.
+            </div>` : '';
 
-    // Color coding for dot product (higher is better)
-    // Range varies but typically -2.0 to +2.0 for normalized vectors
-    const dotClass = dot > 0.5 ? 'high-similarity' : dot > -0.5 ? 'medium-similarity' : 'low-similarity';
-    
     panel.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
             <h3 style="margin: 0;">Vector Comparison</h3>
@@ -81,53 +237,80 @@ export function updateInfoPanel(selectedVectors) {
         </div>
         
         <div class="vector-detail" style="border-color: #${data1.color.toString(16).padStart(6, '0')}">
-            <div class="vector-name" style="color: #${data1.color.toString(16).padStart(6, '0')}">${name1}</div>
+            <div class="vector-name" style="color: #${data1.color.toString(16).padStart(6, '0')}">${escapeHtml(name1)}</div>
             <div class="vector-coords">[${data1.coords.map(v => v.toFixed(2)).join(', ')}]</div>
             <div class="vector-magnitude">Magnitude: ${magnitude(data1.coords).toFixed(3)}</div>
         </div>
         
         <div class="vector-detail" style="border-color: #${data2.color.toString(16).padStart(6, '0')}">
-            <div class="vector-name" style="color: #${data2.color.toString(16).padStart(6, '0')}">${name2}</div>
+            <div class="vector-name" style="color: #${data2.color.toString(16).padStart(6, '0')}">${escapeHtml(name2)}</div>
             <div class="vector-coords">[${data2.coords.map(v => v.toFixed(2)).join(', ')}]</div>
             <div class="vector-magnitude">Magnitude: ${magnitude(data2.coords).toFixed(3)}</div>
         </div>
         
         <div class="comparison">
             <div class="comparison-header">SIMILARITY METRICS</div>
-            
-            <div class="metric-card">
-                <div class="metric-header">
-                    <span class="metric-name">Cosine Similarity</span>
-                    <span class="metric-value ${cosineClass}">${cosine.toFixed(3)}</span>
-                </div>
-                <div class="metric-explanation">
-                    Measures angle between vectors. <strong>+1 = same direction</strong>, 0 = perpendicular, <strong>-1 = opposite</strong>. Negative values mean semantically dissimilar.
-                </div>
-            </div>
-            
-            <div class="metric-card">
-                <div class="metric-header">
-                    <span class="metric-name">Euclidean Distance</span>
-                    <span class="metric-value ${euclideanClass}">${euclidean.toFixed(3)}</span>
-                </div>
-                <div class="metric-explanation">
-                    Straight-line distance between points. <strong>Lower = closer together.</strong> Sensitive to magnitude.
-                </div>
-            </div>
 
-            <div class="metric-card">
-                <div class="metric-header">
-                    <span class="metric-name">Dot Product</span>
-                    <span class="metric-value ${dotClass}">${dot.toFixed(3)}</span>
-                </div>
-                <div class="metric-explanation">
-                    Combines angle and magnitude. <strong>Higher = more aligned</strong> and longer vectors.
-                </div>
-            </div>
+            ${renderMetricCard('Cosine Similarity', 'cosine', comparison, 'Measures angle between vectors. <strong>+1 = same direction</strong>, 0 = perpendicular, <strong>-1 = opposite</strong>. Negative values mean semantically dissimilar.')}
+            ${renderMetricCard('Euclidean Distance', 'euclidean', comparison, 'Straight-line distance between points. <strong>Lower = closer together.</strong> Sensitive to magnitude.')}
+            ${renderMetricCard('Dot Product', 'dot', comparison, 'Combines angle and magnitude. <strong>Higher = more aligned</strong> and longer vectors.')}
+            ${distortionWarning}
+            ${closeOnlyIn3DWarning}
         </div>
     `;
 }
 
+function toHexColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Render the legend: one entry per cluster, then the similarity line colors
+ * @param {Object|null} result - From clusterEmbeddings(), with a color per cluster
+ */
+export function renderLegend(result) {
+    const container = document.getElementById('legend-items');
+    if (!container) return;
+
+    const preview = CLUSTER_CONFIG.LEGEND_PREVIEW_COUNT;
+    const clusterItems = result && result.clusters.length > 0
+        ? result.clusters.map(({ members, color }) => {
+            const more = members.length > preview ? ` +${members.length - preview}` : '';
+            return `
+            <div class="legend-item" title="${escapeHtml(members.join(', '))}">
+                <div class="legend-swatch" style="background: ${toHexColor(color)}"></div>
+                <div class="legend-text">${escapeHtml(members.slice(0, preview).join(', '))}${more}</div>
+            </div>`;
+        }).join('')
+        : '<div class="legend-empty">Add vectors to see clusters.</div>';
+
+    let summary = '';
+    if (result && result.clusters.length > 0) {
+        const kText = result.auto ? `Auto k = ${result.k}` : `k = ${result.k}`;
+        const silhouetteText = result.silhouette !== null ? ` · silhouette ${result.silhouette.toFixed(2)}` : '';
+        summary = `<div class="legend-summary">${CLUSTER_METHODS[result.method]} · ${kText}${silhouetteText}</div>`;
+    }
+
+    const high = COMPARISON_CONFIG.SIMILARITY_HIGH_THRESHOLD;
+    const medium = COMPARISON_CONFIG.SIMILARITY_MEDIUM_THRESHOLD;
+    const lineItems = [
+        [COMPARISON_CONFIG.COLOR_HIGH_SIMILARITY, `High (>${high}) - Very Similar`],
+        [COMPARISON_CONFIG.COLOR_MEDIUM_SIMILARITY, `Medium (${medium}-${high}) - Somewhat Similar`],
+        [COMPARISON_CONFIG.COLOR_LOW_SIMILARITY, `Low (<${medium}) - Different`]
+    ].map(([color, text]) => `
+            <div class="legend-item">
+                <div class="legend-color" style="background: ${toHexColor(color)}"></div>
+                <div class="legend-text">${text}</div>
+            </div>`).join('');
+
+    container.innerHTML = `
+        ${clusterItems}
+        ${summary}
+        <div class="legend-subheading">Line colors (cosine)</div>
+        ${lineItems}
+    `;
+}
+
 export function showStatus(message, type = 'success') {
     const statusDiv = document.getElementById('status-message');
     if (statusDiv) {
@@ -156,43 +339,66 @@ export function updateSearchContainerForComparison(isComparisonMode, selectedVec
         const v1 = vectors[name1];
         const v2 = vectors[name2];
 
-        const cosine = cosineSimilarity(v1.coords, v2.coords);
-        const euclidean = euclideanDistance(v1.coords, v2.coords);
+        // Summary uses the original embedding space, with the 3D cosine for reference
+        const comparison = compareVectors(name1, name2);
+        const primary = comparison.original || comparison.projected;
+        const space = comparison.original ? 'original' : 'projected';
+        const cosine = primary.cosine;
+        const euclidean = primary.euclidean;
 
-        // Determine similarity interpretation and color class (matching info panel logic)
-        const cosineClass = cosine > 0.7 ? 'high-similarity' : cosine > 0.3 ? 'medium-similarity' : 'low-similarity';
-        const euclideanClass = euclidean < 1.0 ? 'high-similarity' : euclidean < 2.0 ? 'medium-similarity' : 'low-similarity';
+        const cosineClass = getSimilarityClass('cosine', cosine, space);
+        const euclideanClass = getSimilarityClass('euclidean', euclidean, space);
 
         let cosineMeaning = '';
-        if (cosine > 0.7) {
+        if (cosineClass === 'high-similarity') {
             cosineMeaning = 'very similar';
-        } else if (cosine > 0.3) {
+        } else if (cosineClass === 'medium-similarity') {
             cosineMeaning = 'somewhat related';
         } else {
             cosineMeaning = 'quite different';
         }
 
-        const euclideanMeaning = euclidean < 2 ? 'close' : euclidean < 4 ? 'moderate' : 'far apart';
+        // 3D distances keep their own wording bands; original-space ones follow the color bands
+        let euclideanMeaning;
+        if (space === 'projected') {
+            euclideanMeaning = euclidean < SIMILARITY_CONFIG.PROJECTED_EUCLIDEAN_CLOSE_WORDING ? 'close'
+                : euclidean < SIMILARITY_CONFIG.PROJECTED_EUCLIDEAN_MODERATE_WORDING ? 'moderate' : 'far apart';
+        } else {
+            euclideanMeaning = euclideanClass === 'high-similarity' ? 'close' : euclideanClass === 'medium-similarity' ? 'moderate' : 'far apart';
+        }
+
+        const projectedNote = comparison.original && comparison.projected
+            ? `<p class="comparison-projected">3D view: ${comparison.projected.cosine.toFixed(2)} cosine (Δ ${formatDelta(comparison.distortion)})</p>`
+            : '';
 
         // Get vector colors
         const color1 = `#${v1.color.toString(16).padStart(6, '0')}`;
         const color2 = `#${v2.color.toString(16).padStart(6, '0')}`;
 
-        searchContainer.innerHTML = `
+        // Summary sits next to the (hidden) search UI so search state survives comparison mode
+        let summary = searchContainer.querySelector('.comparison-summary-content');
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'comparison-summary-content';
+            searchContainer.appendChild(summary);
+        }
+
+        summary.innerHTML = `
             <div class="comparison-label">COMPARISON</div>
             <div class="comparison-header">
-                <strong style="color: ${color1};">${name1}</strong> <span style="color: var(--text-muted);">↔</span> <strong style="color: ${color2};">${name2}</strong>
+                <strong style="color: ${color1};">${escapeHtml(name1)}</strong> <span style="color: var(--text-muted);">↔</span> <strong style="color: ${color2};">${escapeHtml(name2)}</strong>
             </div>
             <div class="comparison-metrics">
                 <p><strong class="${cosineClass}">${cosine.toFixed(2)}</strong> cosine → <span class="${cosineClass}">${cosineMeaning}</span></p>
                 <p><strong class="${euclideanClass}">${euclidean.toFixed(2)}</strong> distance → <span class="${euclideanClass}">${euclideanMeaning}</span></p>
+                ${projectedNote}
             </div>
         `;
         searchContainer.classList.add('comparison-summary');
         legend.classList.add('legend-prominent');
     } else {
-        if (searchContainer.classList.contains('comparison-summary')) {
-            location.reload(); // Simple reload to restore everything properly
-        }
+        searchContainer.querySelector('.comparison-summary-content')?.remove();
+        searchContainer.classList.remove('comparison-summary');
+        legend.classList.remove('legend-prominent');
     }
 }
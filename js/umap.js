@@ -0,0 +1,166 @@
+/**
+ * UMAP - Uniform Manifold Approximation and Projection (n-D -> 3D)
+ *
+ * Compact in-browser implementation sized for scene-scale data:
+ * - Exact k-nearest-neighbor graph (no approximate index needed for < 1000 points)
+ * - Fuzzy simplicial set with per-point rho/sigma, symmetrized by fuzzy union
+ * - SGD layout with edge sampling and negative sampling
+ *
+ * Reference: McInnes, Healy & Melville, "UMAP" (2018)
+ */
+
+import { createSeededRandom, squaredDistanceMatrix } from './math-utils.js'
+import { PROJECTION_CONFIG } from './constants.js'
+
+const SIGMA_SEARCH_STEPS = 64
+const SIGMA_TOLERANCE = 1e-5
+const GRADIENT_CLIP = 4
+const INITIAL_LAYOUT_RANGE = 10
+
+// Fitted {a, b} per "minDist:spread"; the grid search is the slow part and its inputs are config constants
+const curveParamsCache = new Map()
+
+/**
+ * Fit the low-dimensional curve 1 / (1 + a·d^2b) to UMAP's target membership
+ * function for the given min_dist/spread (coarse grid search, cached per pair)
+ */
+function fitCurveParams(minDist, spread) {
+  const key = `${minDist}:${spread}`
+  if (!curveParamsCache.has(key)) curveParamsCache.set(key, searchCurveParams(minDist, spread))
+  return curveParamsCache.get(key)
+}
+
+function searchCurveParams(minDist, spread) {
+  const xs = Array.from({ length: 100 }, (_, i) => (i + 1) * (spread * 3) / 100)
+  const target = xs.map(x => (x < minDist ? 1 : Math.exp(-(x - minDist) / spread)))
+
+  let best = { a: 1.577, b: 0.895, error: Infinity }
+  for (let a = 0.1; a <= 4; a += 0.02) {
+    for (let b = 0.3; b <= 2; b += 0.01) {
+      let error = 0
+      for (let i = 0; i < xs.length; i++) {
+        error += (1 / (1 + a * Math.pow(xs[i], 2 * b)) - target[i]) ** 2
+      }
+      if (error < best.error) best = { a, b, error }
+    }
+  }
+  return best
+}
+
+/**
+ * Weighted kNN graph as a fuzzy simplicial set
+ * @returns {Array<{i: number, j: number, weight: number}>} Undirected edges
+ */
+function buildFuzzyGraph(distances, nNeighbors) {
+  const n = distances.length
+  const target = Math.log2(nNeighbors)
+  const weights = Array.from({ length: n }, () => new Map())
+
+  for (let i = 0; i < n; i++) {
+    const neighbors = Array.from({ length: n }, (_, j) => j)
+      .filter(j => j !== i)
+      .map(j => ({ j, d: Math.sqrt(distances[i][j]) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, nNeighbors)
+
+    // rho: distance to the nearest neighbor, so every point is connected to at least one other
+    const rho = neighbors[0].d
+
+    // sigma: bandwidth such that the memberships sum to log2(k)
+    let lo = 0
+    let hi = Infinity
+    let sigma = 1
+    for (let step = 0; step < SIGMA_SEARCH_STEPS; step++) {
+      const sum = neighbors.reduce((acc, { d }) => acc + Math.exp(-Math.max(0, d - rho) / sigma), 0)
+      if (Math.abs(sum - target) < SIGMA_TOLERANCE) break
+      if (sum > target) {
+        hi = sigma
+        sigma = (lo + hi) / 2
+      } else {
+        lo = sigma
+        sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2
+      }
+    }
+
+    neighbors.forEach(({ j, d }) => {
+      weights[i].set(j, Math.exp(-Math.max(0, d - rho) / sigma))
+    })
+  }
+
+  // Fuzzy union: w_ij + w_ji - w_ij·w_ji
+  const edges = []
+  for (let i = 0; i < n; i++) {
+    weights[i].forEach((w, j) => {
+      if (j < i && weights[j].has(i)) return // counted from j's side
+      const wji = weights[j].get(i) || 0
+      edges.push({ i, j, weight: w + wji - w * wji })
+    })
+  }
+  return edges
+}
+
+/**
+ * Embed high-dimensional rows into 3D with UMAP
+ * @param {Array<Array<number>>} matrix - One row per vector
+ * @param {Object} options - Overrides for PROJECTION_CONFIG.UMAP keys and seed
+ * @returns {Array<Array<number>>} Raw 3D layout (arbitrary scale, one row per input)
+ */
+export function umap3D(matrix, options = {}) {
+  const config = { ...PROJECTION_CONFIG.UMAP, ...options }
+  const n = matrix.length
+  const dims = 3
+  const random = createSeededRandom(options.seed ?? PROJECTION_CONFIG.RANDOM_SEED)
+
+  const nNeighbors = Math.max(2, Math.min(config.N_NEIGHBORS, n - 1))
+  const edges = buildFuzzyGraph(squaredDistanceMatrix(matrix), nNeighbors)
+  const { a, b } = fitCurveParams(config.MIN_DIST, config.SPREAD)
+  const maxWeight = Math.max(...edges.map(e => e.weight))
+
+  const Y = Array.from({ length: n }, () =>
+    Array.from({ length: dims }, () => (random() * 2 - 1) * INITIAL_LAYOUT_RANGE)
+  )
+
+  const clip = (value) => Math.max(-GRADIENT_CLIP, Math.min(GRADIENT_CLIP, value))
+  const squaredDistance = (p, q) => {
+    let d = 0
+    for (let k = 0; k < dims; k++) d += (p[k] - q[k]) ** 2
+    return d
+  }
+
+  for (let epoch = 0; epoch < config.EPOCHS; epoch++) {
+    const alpha = config.LEARNING_RATE * (1 - epoch / config.EPOCHS)
+
+    edges.forEach(({ i, j, weight }) => {
+      // Sample each edge in proportion to its membership strength
+      if (random() > weight / maxWeight) return
+
+      const yi = Y[i]
+      const yj = Y[j]
+      const dist = squaredDistance(yi, yj)
+      if (dist > 0) {
+        const coeff = (-2 * a * b * Math.pow(dist, b - 1)) / (a * Math.pow(dist, b) + 1)
+        for (let k = 0; k < dims; k++) {
+          const grad = clip(coeff * (yi[k] - yj[k])) * alpha
+          yi[k] += grad
+          yj[k] -= grad
+        }
+      }
+
+      // Push i away from a few random points
+      for (let s = 0; s < config.NEGATIVE_SAMPLE_RATE; s++) {
+        const other = Math.floor(random() * n)
+        if (other === i) continue
+        const yk = Y[other]
+        const negDist = squaredDistance(yi, yk)
+        const coeff = negDist > 0
+          ? (2 * config.REPULSION_STRENGTH * b) / ((0.001 + negDist) * (a * Math.pow(negDist, b) + 1))
+          : 0
+        for (let k = 0; k < dims; k++) {
+          yi[k] += (coeff > 0 ? clip(coeff * (yi[k] - yk[k])) : GRADIENT_CLIP) * alpha
+        }
+      }
+    })
+  }
+
+  return Y
+}
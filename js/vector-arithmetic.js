@@ -0,0 +1,335 @@
+/**
+ * VectorArithmetic - Evaluate expressions like "king - man + woman"
+ *
+ * Features:
+ * - Parses +/- expressions with optional scalar weights ("0.5 * king")
+ * - Uses existing embeddings, embedding missing terms on the fly
+ * - Ranks scene vectors by true cosine to the result
+ * - Draws the result as a distinct arrow in the current 3D projection
+ */
+
+import { getEmbedding, getCurrentModel } from './embeddings.js'
+import { scheduleJob } from './job-scheduler.js'
+import { projectPoint } from './projection.js'
+import { getEmbeddingVector, rankNeighbors, getSimilarityClass } from './similarity.js'
+import { createVectorArrow, createTextLabel } from './three-helpers.js'
+import { showStatus, clearStatus, escapeHtml } from './ui.js'
+import { ARITHMETIC_CONFIG, LABEL_CONFIG, STATUS_CONFIG } from './constants.js'
+import { vectors } from './vector-data.js'
+
+// Matches a leading weight: "0.5 * king", "2*queen" or "3 woman"
+const LEADING_WEIGHT = /^(\d*\.?\d+)(?:\s*\*\s*|\s+)(.+)$/
+// Matches a trailing weight: "king * 0.5"
+const TRAILING_WEIGHT = /^(.+?)\s*\*\s*(\d*\.?\d+)$/
+
+/**
+ * Parse an arithmetic expression into weighted terms
+ * "+" always splits terms; "-" only when it starts the expression or follows
+ * whitespace, so hyphenated words like "e-mail" stay intact.
+ * @param {string} expression - e.g. "king - man + woman"
+ * @returns {Array<{word: string, weight: number}>}
+ */
+export function parseExpression(expression) {
+  const source = (expression || '').trim().toLowerCase()
+  if (!source) {
+    throw new Error('Enter an expression like "king - man + woman"')
+  }
+
+  const terms = []
+  let sign = 1
+  let buffer = ''
+
+  const pushTerm = () => {
+    const text = buffer.trim()
+    buffer = ''
+    if (!text) {
+      throw new Error('Missing word between operators')
+    }
+
+    let weight = 1
+    let word = text
+    const leading = text.match(LEADING_WEIGHT)
+    const trailing = text.match(TRAILING_WEIGHT)
+    if (leading) {
+      weight = parseFloat(leading[1])
+      word = leading[2].trim()
+    } else if (trailing) {
+      word = trailing[1].trim()
+      weight = parseFloat(trailing[2])
+    }
+
+    if (!word || word.includes('*')) {
+      throw new Error(`Could not read term "${text}"`)
+    }
+
+    terms.push({ word, weight: sign * weight })
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    const isOperator = char === '+' || (char === '-' && (i === 0 || /\s/.test(source[i - 1])))
+
+    if (!isOperator) {
+      buffer += char
+      continue
+    }
+
+    // A leading operator only sets the sign of the first term
+    if (buffer.trim() || terms.length > 0) {
+      pushTerm()
+    }
+    sign = char === '-' ? -1 : 1
+  }
+  pushTerm()
+
+  return terms
+}
+
+export class VectorArithmetic {
+  constructor(sceneManager, stateManager, cameraController, interactionHandler) {
+    this.sceneManager = sceneManager
+    this.state = stateManager
+    this.cameraController = cameraController
+    this.interactionHandler = interactionHandler
+
+    this.input = document.getElementById('arithmetic-input')
+    this.runButton = document.getElementById('arithmetic-run')
+    this.resultsContainer = document.getElementById('arithmetic-results')
+
+    this.resultArrow = null
+    this.resultLabel = null
+    this.isEvaluating = false
+
+    this.setupEventListeners()
+
+    // Any re-projection (add, delete, model switch) invalidates the drawn result
+    this.state.on('vectorUnregistered', () => this.clearResult())
+    this.state.on('projectionChanged', () => this.clearResult())
+  }
+
+  // ========================================================================
+  // EVALUATION
+  // ========================================================================
+
+  /**
+   * Evaluate an expression and return the result vector with its neighbors.
+   * Queued like other embedding jobs, so terms and scene share a model.
+   * @param {string} expression
+   * @returns {Promise<Object>} {terms, result, neighbors, coords}
+   */
+  async evaluate(expression) {
+    const parsed = parseExpression(expression)
+
+    return scheduleJob(`Evaluate "${expression.trim()}"`, async () => {
+      const modelKey = getCurrentModel()
+
+      const terms = []
+      for (const term of parsed) {
+        let embedding = getEmbeddingVector(term.word)
+        const inScene = !!embedding
+        if (!embedding) {
+          showStatus(`Embedding "${term.word}"...`, 'loading')
+          embedding = await getEmbedding(term.word, modelKey)
+        }
+        terms.push({ ...term, embedding, inScene })
+      }
+
+      const dims = terms[0].embedding.length
+      if (terms.some(t => t.embedding.length !== dims)) {
+        throw new Error('Terms come from models with different dimensions')
+      }
+
+      const result = new Array(dims).fill(0)
+      terms.forEach(({ embedding, weight }) => {
+        for (let j = 0; j < dims; j++) {
+          result[j] += weight * embedding[j]
+        }
+      })
+
+      const neighbors = rankNeighbors(result, {
+        topK: ARITHMETIC_CONFIG.TOP_K,
+        exclude: terms.map(t => t.word)
+      })
+
+      return {
+        terms,
+        result,
+        neighbors,
+        coords: projectPoint(result)
+      }
+    })
+  }
+
+  /**
+   * Evaluate the current input and update the scene and results list
+   */
+  async run() {
+    if (this.isEvaluating || !this.input) return
+
+    this.isEvaluating = true
+    if (this.runButton) this.runButton.disabled = true
+
+    try {
+      const expression = this.input.value
+      const evaluation = await this.evaluate(expression)
+      this.drawResult(evaluation.coords, expression)
+      this.displayResults(evaluation)
+      clearStatus()
+    } catch (error) {
+      console.error('Error evaluating expression:', error)
+      showStatus(`Error: ${error.message}`, 'error')
+      setTimeout(() => clearStatus(), STATUS_CONFIG.LONG_SUCCESS_TIMEOUT_MS)
+    } finally {
+      this.isEvaluating = false
+      if (this.runButton) this.runButton.disabled = false
+    }
+  }
+
+  // ========================================================================
+  // SCENE
+  // ========================================================================
+
+  /**
+   * Draw the result vector as a white arrow with its own label
+   * @param {Array<number>|null} coords - Projected coordinates
+   * @param {string} expression - Original expression for the label
+   */
+  drawResult(coords, expression) {
+    this.removeResultObjects()
+    if (!coords) return
+
+    const allCoords = Object.values(vectors).map(v => v.coords)
+    const arrow = createVectorArrow([0, 0, 0], coords, ARITHMETIC_CONFIG.RESULT_COLOR, allCoords)
+    arrow.userData = { isArithmeticResult: true, coords }
+    // Not selectable: keep it out of raycasting entirely
+    arrow.traverse(child => { child.raycast = () => {} })
+
+    const label = createTextLabel(
+      `${ARITHMETIC_CONFIG.RESULT_LABEL_PREFIX}${expression.trim()}`,
+      ARITHMETIC_CONFIG.RESULT_COLOR
+    )
+    label.position.set(...coords.map(c => c * LABEL_CONFIG.POSITION_MULTIPLIER))
+    label.raycast = () => {}
+
+    this.sceneManager.add(arrow)
+    this.sceneManager.add(label)
+    this.resultArrow = arrow
+    this.resultLabel = label
+  }
+
+  removeResultObjects() {
+    if (this.resultArrow) this.sceneManager.remove(this.resultArrow)
+    if (this.resultLabel) this.sceneManager.remove(this.resultLabel)
+    this.resultArrow = null
+    this.resultLabel = null
+  }
+
+  /**
+   * Remove the drawn result and hide the results list
+   */
+  clearResult() {
+    if (!this.resultArrow && !this.resultsContainer?.innerHTML) return
+    this.removeResultObjects()
+    if (this.resultsContainer) {
+      this.resultsContainer.innerHTML = ''
+      this.resultsContainer.style.display = 'none'
+    }
+  }
+
+  // ========================================================================
+  // UI MANAGEMENT
+  // ========================================================================
+
+  /**
+   * Render the parsed terms and nearest neighbors
+   */
+  displayResults({ terms, neighbors, coords }) {
+    if (!this.resultsContainer) return
+
+    const termHtml = terms.map(({ word, weight, inScene }, index) => {
+      const sign = weight < 0 ? '−' : index === 0 ? '' : '+'
+      const magnitude = Math.abs(weight) === 1 ? '' : `${Math.abs(weight)}·`
+      const badge = inScene ? '' : ' <span class="arithmetic-badge" title="Embedded for this expression only">new</span>'
+      return `<span class="arithmetic-term">${sign} ${magnitude}${escapeHtml(word)}${badge}</span>`
+    }).join(' ')
+
+    const neighborHtml = neighbors.length > 0
+      ? neighbors.map(({ name, score }) => `
+          <div class="search-result-item" data-name="${escapeHtml(name)}">
+            <div class="search-result-name">
+              <span class="result-text">${escapeHtml(name)}</span>
+              <span class="result-score ${getSimilarityClass('cosine', score)}">${score.toFixed(3)}</span>
+            </div>
+          </div>
+        `).join('')
+      : '<div class="arithmetic-empty">No other vectors in the scene to compare against.</div>'
+
+    const projectionNote = coords
+      ? ''
+      : '<div class="arithmetic-empty">Add more vectors to place the result in 3D.</div>'
+
+    this.resultsContainer.innerHTML = `
+      <div class="arithmetic-expression">${termHtml}</div>
+      <div class="arithmetic-subheading">Nearest by cosine (inputs excluded)</div>
+      ${neighborHtml}
+      ${projectionNote}
+    `
+    this.resultsContainer.style.display = 'block'
+  }
+
+  /**
+   * Select a neighbor and focus the camera on it
+   */
+  selectVector(name) {
+    const vectorData = vectors[name]
+    if (!vectorData) return
+
+    this.state.clearSelection()
+    this.state.selectVector(name)
+    this.interactionHandler.updateSelection()
+    this.cameraController.focusOnVectors(vectorData.coords, null)
+  }
+
+  // ========================================================================
+  // EVENT LISTENERS
+  // ========================================================================
+
+  setupEventListeners() {
+    if (!this.input) return
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this.run()
+      } else if (e.key === 'Escape') {
+        this.input.value = ''
+        this.clearResult()
+        this.input.blur()
+      }
+    })
+
+    if (this.runButton) {
+      this.runButton.addEventListener('click', () => this.run())
+    }
+
+    if (this.resultsContainer) {
+      this.resultsContainer.addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result-item')
+        if (item) {
+          this.selectVector(item.dataset.name)
+        }
+      })
+    }
+
+    // Analogies in the ideas panel can be evaluated directly
+    document.querySelectorAll('[data-expression]').forEach((element) => {
+      element.addEventListener('click', () => {
+        this.input.value = element.dataset.expression
+        if (typeof window.toggleIdeasPanel === 'function') {
+          window.toggleIdeasPanel()
+        }
+        this.run()
+      })
+    })
+  }
+}
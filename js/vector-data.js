@@ -1,19 +1,20 @@
 // Curated starter dataset demonstrating semantic relationships
+// (model: which embedding model produced the vector, see VectorManager)
 export const vectors = {
-    "king": { coords: [0, 0, 0], color: 0x8b5cf6, cluster: "royalty", isCustom: false },
-    "queen": { coords: [0, 0, 0], color: 0xe879f9, cluster: "royalty", isCustom: false },
-    "man": { coords: [0, 0, 0], color: 0x60a5fa, cluster: "royalty", isCustom: false },
-    "woman": { coords: [0, 0, 0], color: 0xf472b6, cluster: "royalty", isCustom: false },
-    "dog": { coords: [0, 0, 0], color: 0x4ade80, cluster: "animals", isCustom: false },
-    "cat": { coords: [0, 0, 0], color: 0x22c55e, cluster: "animals", isCustom: false },
-    "bird": { coords: [0, 0, 0], color: 0x16a34a, cluster: "animals", isCustom: false },
-    "happy": { coords: [0, 0, 0], color: 0xfbbf24, cluster: "emotions", isCustom: false },
-    "sad": { coords: [0, 0, 0], color: 0xf59e0b, cluster: "emotions", isCustom: false },
-    "angry": { coords: [0, 0, 0], color: 0xef4444, cluster: "emotions", isCustom: false },
-    "computer": { coords: [0, 0, 0], color: 0x3b82f6, cluster: "mixed", isCustom: false },
-    "code": { coords: [0, 0, 0], color: 0x2563eb, cluster: "mixed", isCustom: false },
-    "tree": { coords: [0, 0, 0], color: 0x15803d, cluster: "nature", isCustom: false },
-    "ocean": { coords: [0, 0, 0], color: 0x06b6d4, cluster: "nature", isCustom: false },
+    "king": { coords: [0, 0, 0], color: 0x8b5cf6, cluster: "royalty", isCustom: false, model: "minilm" },
+    "queen": { coords: [0, 0, 0], color: 0xe879f9, cluster: "royalty", isCustom: false, model: "minilm" },
+    "man": { coords: [0, 0, 0], color: 0x60a5fa, cluster: "royalty", isCustom: false, model: "minilm" },
+    "woman": { coords: [0, 0, 0], color: 0xf472b6, cluster: "royalty", isCustom: false, model: "minilm" },
+    "dog": { coords: [0, 0, 0], color: 0x4ade80, cluster: "animals", isCustom: false, model: "minilm" },
+    "cat": { coords: [0, 0, 0], color: 0x22c55e, cluster: "animals", isCustom: false, model: "minilm" },
+    "bird": { coords: [0, 0, 0], color: 0x16a34a, cluster: "animals", isCustom: false, model: "minilm" },
+    "happy": { coords: [0, 0, 0], color: 0xfbbf24, cluster: "emotions", isCustom: false, model: "minilm" },
+    "sad": { coords: [0, 0, 0], color: 0xf59e0b, cluster: "emotions", isCustom: false, model: "minilm" },
+    "angry": { coords: [0, 0, 0], color: 0xef4444, cluster: "emotions", isCustom: false, model: "minilm" },
+    "computer": { coords: [0, 0, 0], color: 0x3b82f6, cluster: "mixed", isCustom: false, model: "minilm" },
+    "code": { coords: [0, 0, 0], color: 0x2563eb, cluster: "mixed", isCustom: false, model: "minilm" },
+    "tree": { coords: [0, 0, 0], color: 0x15803d, cluster: "nature", isCustom: false, model: "minilm" },
+    "ocean": { coords: [0, 0, 0], color: 0x06b6d4, cluster: "nature", isCustom: false, model: "minilm" },
 };
 
 // Original 384D embeddings
@@ -1,29 +1,53 @@
 /**
- * VectorSearch - Fuzzy search functionality for vectors
+ * VectorSearch - Fuzzy and semantic search functionality for vectors
  *
  * Features:
- * - Fuzzy string matching
+ * - Fuzzy string matching on vector names
+ * - Semantic mode: embeds the query and ranks vectors by true cosine
+ * - Transient probe marker at the query's projected position
  * - Keyboard navigation
  * - Live search results
  * - Integration with selection and camera systems
  */
 
 import { vectors } from './vector-data.js'
+import { getEmbedding, getCurrentModel, getCurrentModelConfig, isModelReady } from './embeddings.js'
+import { scheduleJob, cancelJob, getJobQueue } from './job-scheduler.js'
+import { assertModelFitsScene } from './embedding-import.js'
+import { projectPoint } from './projection.js'
+import { rankNeighbors, getSimilarityClass } from './similarity.js'
+import { createTipBadge, createTextLabel } from './three-helpers.js'
+import { escapeHtml } from './ui.js'
+import { SEARCH_CONFIG, LABEL_CONFIG } from './constants.js'
 
 export class VectorSearch {
-  constructor(stateManager, cameraController, interactionHandler) {
+  constructor(stateManager, cameraController, interactionHandler, sceneManager) {
     this.state = stateManager
     this.cameraController = cameraController
     this.interactionHandler = interactionHandler
+    this.sceneManager = sceneManager
 
     this.searchInput = document.getElementById('vector-search')
     this.searchResults = document.getElementById('search-results')
     this.clearButton = document.getElementById('search-clear')
+    this.modeButtons = document.querySelectorAll('.search-mode-btn')
 
     this.currentResults = []
     this.selectedIndex = -1
 
+    // 'name': fuzzy match on names; 'semantic': rank by meaning
+    this.mode = 'name'
+    this.semanticTimer = null
+    this.semanticRequestId = 0
+    // Job of the latest search, cancelled when another one replaces it
+    this.semanticJobId = null
+    this.lastSemanticQuery = null
+    this.probe = null
+
     this.setupEventListeners()
+
+    // The probe sits in the old layout after any re-projection
+    this.state.on('projectionChanged', () => this.removeProbe())
   }
 
   // ========================================================================
@@ -117,37 +141,193 @@ export class VectorSearch {
     return results.slice(0, 10)
   }
 
+  // ========================================================================
+  // SEMANTIC SEARCH
+  // ========================================================================
+
+  /**
+   * Embed a query with the current model (without adding it to the scene)
+   * and rank scene vectors by cosine in the original space.
+   * Queued like other embedding jobs, so it never runs mid model switch.
+   * @param {string} query - Free text
+   * @returns {Promise<Object>} {results: [{name, score}], coords: Array<number>|null},
+   *   with the job's id as `jobId` (see scheduleJob())
+   */
+  semanticSearch(query) {
+    return scheduleJob(`Search "${query.trim()}"`, async (job) => {
+      // Imported vectors can only be searched with a model of their dimensionality
+      assertModelFitsScene(getCurrentModel())
+
+      // Search text is a query; models like E5 and BGE format it accordingly
+      const embedding = await getEmbedding(query.trim(), getCurrentModel(), 'query')
+      job.throwIfCancelled()
+
+      return {
+        results: rankNeighbors(embedding, { metric: 'cosine', topK: SEARCH_CONFIG.SEMANTIC_TOP_K }),
+        coords: projectPoint(embedding)
+      }
+    })
+  }
+
+  /**
+   * Run a semantic search and update the dropdown and probe.
+   * A superseded query's job is cancelled (dropped if it is still queued),
+   * and any response it still gets is ignored.
+   * @param {string} query
+   */
+  async runSemanticSearch(query) {
+    this.cancelSemanticSearch()
+
+    const requestId = this.semanticRequestId
+    this.lastSemanticQuery = query
+
+    const { running } = getJobQueue()
+    const { name } = getCurrentModelConfig()
+    if (running) {
+      this.displayMessage(`Waiting for ${running.label}...`)
+    } else {
+      this.displayMessage(isModelReady() ? `Embedding query with ${name}...` : `Loading ${name} (first time only)...`)
+    }
+
+    try {
+      const search = this.semanticSearch(query)
+      this.semanticJobId = search.jobId
+      const { results, coords } = await search
+      if (requestId !== this.semanticRequestId) return
+
+      this.placeProbe(coords, query)
+      this.displayResults(results, {
+        note: coords ? null : 'Add more vectors to place the query in 3D.'
+      })
+    } catch (error) {
+      if (requestId !== this.semanticRequestId) return
+      console.error('Error running semantic search:', error)
+      this.displayMessage(`Could not embed query: ${error.message}`)
+    }
+  }
+
+  /**
+   * Debounce semantic searches while typing
+   * @param {string} query
+   */
+  scheduleSemanticSearch(query) {
+    clearTimeout(this.semanticTimer)
+    this.semanticTimer = setTimeout(() => this.runSemanticSearch(query), SEARCH_CONFIG.SEMANTIC_DEBOUNCE_MS)
+  }
+
+  /**
+   * Switch between name and semantic search, re-running the current query
+   * @param {string} mode - 'name' | 'semantic'
+   */
+  setMode(mode) {
+    if (mode === this.mode) return
+
+    this.mode = mode
+    this.modeButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === mode)
+    })
+    this.searchInput.placeholder = mode === 'semantic' ? 'Search by meaning...' : 'Search vectors...'
+
+    this.cancelSemanticSearch()
+    this.removeProbe()
+    this.onQueryChanged(this.searchInput.value)
+    this.searchInput.focus()
+  }
+
+  cancelSemanticSearch() {
+    clearTimeout(this.semanticTimer)
+    this.semanticTimer = null
+    this.semanticRequestId++
+    this.lastSemanticQuery = null
+    if (this.semanticJobId !== null) cancelJob(this.semanticJobId)
+    this.semanticJobId = null
+  }
+
+  // ========================================================================
+  // PROBE MARKER
+  // ========================================================================
+
+  /**
+   * Mark the query's projected position with a badge and label
+   * @param {Array<number>|null} coords - Projected query position
+   * @param {string} query - Query text for the label
+   */
+  placeProbe(coords, query) {
+    this.removeProbe()
+    if (!coords || !this.sceneManager) return
+
+    const badge = createTipBadge(coords, SEARCH_CONFIG.PROBE_COLOR)
+    const label = createTextLabel(`${SEARCH_CONFIG.PROBE_LABEL_PREFIX}${query.trim()}`, SEARCH_CONFIG.PROBE_COLOR)
+    label.position.set(...coords.map(c => c * LABEL_CONFIG.POSITION_MULTIPLIER))
+    label.raycast = () => {}
+
+    this.sceneManager.add(badge)
+    this.sceneManager.add(label)
+    this.probe = { badge, label }
+  }
+
+  removeProbe() {
+    if (!this.probe) return
+    this.sceneManager.remove(this.probe.badge)
+    this.sceneManager.remove(this.probe.label)
+    this.probe = null
+  }
+
   // ========================================================================
   // UI MANAGEMENT
   // ========================================================================
 
   /**
    * Display search results
+   * @param {Array<{name: string, score: number}>} results
+   * @param {Object} options
+   * @param {string|null} options.note - Extra line below semantic results
    */
-  displayResults(results) {
+  displayResults(results, { note = null } = {}) {
+    const semantic = this.mode === 'semantic'
+
     if (results.length === 0) {
-      this.hideResults()
+      if (semantic) {
+        this.displayMessage('No vectors with embeddings to rank yet.')
+      } else {
+        this.hideResults()
+      }
       return
     }
 
-    let html = ''
+    let html = semantic
+      ? `<div class="search-results-heading">By meaning · cosine in ${getCurrentModelConfig().dims}D</div>`
+      : ''
     results.forEach((result, index) => {
       // If no item is explicitly selected, highlight the first result
       const selected = this.selectedIndex >= 0
         ? (index === this.selectedIndex ? 'selected' : '')
         : (index === 0 ? 'selected' : '')
-      const scorePercent = Math.round(result.score * 100)
-      const scoreClass = scorePercent > 80 ? 'high' : scorePercent > 60 ? 'medium' : 'low'
+
+      let nameHtml
+      let scoreHtml
+      if (semantic) {
+        nameHtml = escapeHtml(result.name)
+        scoreHtml = `<span class="result-score ${getSimilarityClass('cosine', result.score)}">${result.score.toFixed(3)}</span>`
+      } else {
+        const scorePercent = Math.round(result.score * 100)
+        const scoreClass = scorePercent > 80 ? 'high' : scorePercent > 60 ? 'medium' : 'low'
+        nameHtml = this.highlightMatch(this.searchInput.value, result.name)
+        scoreHtml = `<span class="result-score ${scoreClass}">${scorePercent}%</span>`
+      }
 
       html += `
-        <div class="search-result-item ${selected}" data-index="${index}" data-name="${result.name}">
+        <div class="search-result-item ${selected}" data-index="${index}" data-name="${escapeHtml(result.name)}">
           <div class="search-result-name">
-            <span class="result-text">${this.highlightMatch(this.searchInput.value, result.name)}</span>
-            <span class="result-score ${scoreClass}">${scorePercent}%</span>
+            <span class="result-text">${nameHtml}</span>
+            ${scoreHtml}
           </div>
         </div>
       `
     })
+    if (note) {
+      html += `<div class="search-results-message">${note}</div>`
+    }
 
     this.searchResults.innerHTML = html
     this.searchResults.style.display = 'block'
@@ -155,11 +335,24 @@ export class VectorSearch {
   }
 
   /**
-   * Highlight matched characters in result
+   * Show a single status line in the dropdown (loading, empty, error)
+   * @param {string} message
+   */
+  displayMessage(message) {
+    this.searchResults.innerHTML = `<div class="search-results-message">${escapeHtml(message)}</div>`
+    this.searchResults.style.display = 'block'
+    this.currentResults = []
+    this.selectedIndex = -1
+  }
+
+  /**
+   * Highlight matched characters in result (both escaped, so names render as text)
    */
   highlightMatch(query, text) {
-    const regex = new RegExp(`(${query.split('').join('|')})`, 'gi')
-    return text.replace(regex, '<strong>$1</strong>')
+    const chars = new Set(query.toLowerCase())
+    return [...text]
+      .map(char => chars.has(char.toLowerCase()) ? `<strong>${escapeHtml(char)}</strong>` : escapeHtml(char))
+      .join('')
   }
 
   /**
@@ -177,9 +370,33 @@ export class VectorSearch {
   clearSearch() {
     this.searchInput.value = ''
     this.clearButton.style.display = 'none'
+    this.cancelSemanticSearch()
+    this.removeProbe()
     this.hideResults()
   }
 
+  /**
+   * React to the query text changing in either mode
+   * @param {string} query
+   */
+  onQueryChanged(query) {
+    if (query.trim().length === 0) {
+      this.clearButton.style.display = query.length > 0 ? 'block' : 'none'
+      this.cancelSemanticSearch()
+      this.removeProbe()
+      this.hideResults()
+      return
+    }
+
+    this.clearButton.style.display = 'block'
+    this.selectedIndex = -1
+    if (this.mode === 'semantic') {
+      this.scheduleSemanticSearch(query)
+    } else {
+      this.displayResults(this.searchVectors(query))
+    }
+  }
+
   // ========================================================================
   // VECTOR SELECTION
   // ========================================================================
@@ -215,16 +432,12 @@ export class VectorSearch {
   setupEventListeners() {
     // Input events
     this.searchInput.addEventListener('input', (e) => {
-      const query = e.target.value
+      this.onQueryChanged(e.target.value)
+    })
 
-      if (query.length > 0) {
-        this.clearButton.style.display = 'block'
-        const results = this.searchVectors(query)
-        this.displayResults(results)
-      } else {
-        this.clearButton.style.display = 'none'
-        this.hideResults()
-      }
+    // Name / meaning toggle
+    this.modeButtons.forEach(button => {
+      button.addEventListener('click', () => this.setMode(button.dataset.mode))
     })
 
     // Keyboard navigation
@@ -240,6 +453,12 @@ export class VectorSearch {
           break
         case 'Enter':
           e.preventDefault()
+          // Semantic mode: search now if the results don't match the typed query yet
+          if (this.mode === 'semantic' && this.searchInput.value.trim() &&
+              (this.semanticTimer || this.searchInput.value !== this.lastSemanticQuery)) {
+            this.runSemanticSearch(this.searchInput.value)
+            break
+          }
           // Always select first result if any results exist
           if (this.currentResults.length > 0) {
             // Use selected index if one is selected, otherwise use first result
@@ -273,7 +492,8 @@ export class VectorSearch {
     document.addEventListener('click', (e) => {
       if (!this.searchInput.contains(e.target) &&
           !this.searchResults.contains(e.target) &&
-          !this.clearButton.contains(e.target)) {
+          !this.clearButton.contains(e.target) &&
+          !e.target.closest('.search-mode')) {
         this.hideResults()
       }
     })
@@ -0,0 +1,72 @@
+/**
+ * Worker Client - promise API for the compute worker
+ *
+ * Model loading, embedding, projection and clustering run in js/compute-worker.js
+ * so inference and O(n·d) fits never block rendering or OrbitControls.
+ * Requests are matched to replies by id; the worker is started on first use
+ * and restarted on the next request if it crashes. Model downloads report
+ * progress on the same id before the reply.
+ */
+
+let worker = null
+let nextRequestId = 1
+const pending = new Map()
+
+function rejectAll(error) {
+  pending.forEach(({ reject }) => reject(error))
+  pending.clear()
+}
+
+function getWorker() {
+  if (worker) return worker
+
+  worker = new Worker(new URL('./compute-worker.js', import.meta.url), { type: 'module' })
+
+  worker.onmessage = (event) => {
+    const { id, result, error, progress } = event.data
+    const request = pending.get(id)
+    if (!request) return
+    if (progress !== undefined) {
+      request.onProgress?.(progress)
+      return
+    }
+    pending.delete(id)
+
+    if (error) {
+      request.reject(new Error(error))
+    } else {
+      request.resolve(result)
+    }
+  }
+
+  // Script failed to load or threw outside a request: fail everything in flight
+  worker.onerror = (event) => {
+    event.preventDefault()
+    worker.terminate()
+    worker = null
+    rejectAll(new Error(`Compute worker failed: ${event.message || 'could not start'}`))
+  }
+
+  return worker
+}
+
+/**
+ * Send a request to the compute worker
+ * @param {string} type - 'load' | 'embed' | 'project' | 'cluster'
+ * @param {Object} payload - Request fields (structured-cloneable)
+ * @param {Array<Transferable>} transfer - Buffers to move instead of copy
+ * @param {Function} onProgress - Called with each progress message (model downloads)
+ * @returns {Promise<*>} The worker's result
+ */
+export function runInWorker(type, payload = {}, transfer = [], onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++
+    pending.set(id, { resolve, reject, onProgress })
+    try {
+      getWorker().postMessage({ id, type, ...payload }, transfer)
+    } catch (error) {
+      pending.delete(id)
+      reject(error)
+    }
+  })
+}
@@ -0,0 +1,86 @@
+/**
+ * Service Worker - offline copy of the app and its models
+ *
+ * Registered by js/model-hosting.js when MODEL_HOSTING_CONFIG.SERVICE_WORKER is on.
+ * - Self-hosted model files (the ?models= folder) and versioned CDN libraries
+ *   never change in place: cache first
+ * - Everything else from this origin (the app shell): network first, so deploys
+ *   show up immediately, with the cached copy when offline
+ *
+ * Bump CACHE_VERSION to drop every cached file, e.g. after replacing model weights.
+ */
+
+const CACHE_VERSION = 'v1'
+const CACHE_PREFIX = 'vector-explorer-'
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`
+
+// Three.js and transformers.js are loaded by pinned version from here
+const IMMUTABLE_HOSTS = ['cdn.jsdelivr.net']
+
+const modelPath = new URL(self.location.href).searchParams.get('models')
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(['./', 'index.html']))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== ASSET_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if ((modelPath && request.url.startsWith(modelPath)) || IMMUTABLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request))
+  }
+})
+
+// nginx answers unknown paths with index.html; never store that as a model file
+const isCacheable = (response) =>
+  response.ok && !response.headers.get('content-type')?.includes('text/html')
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (isCacheable(response)) {
+    const cache = await caches.open(ASSET_CACHE)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      await cache.put(request, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+    if (cached) return cached
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('index.html')
+      if (shell) return shell
+    }
+    throw error
+  }
+}
@@ -0,0 +1,53 @@
+// Vector names come from imported files and sessions; they must render as text
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readEmbeddingFiles } from '../js/embedding-import.js'
+import { escapeHtml, renderLegend, updateInfoPanel } from '../js/ui.js'
+import { vectors } from '../js/vector-data.js'
+
+const LABEL = '<img src=x onerror="alert(1)">'
+
+// Stand-in for the one element each renderer writes to
+function withElement(run) {
+  const element = { innerHTML: '' }
+  globalThis.document = { getElementById: () => element }
+  try {
+    run()
+  } finally {
+    delete globalThis.document
+  }
+  return element.innerHTML
+}
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(LABEL), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;')
+  assert.equal(escapeHtml("Tom & Jerry's"), 'Tom &amp; Jerry&#39;s')
+})
+
+test('an imported label is kept as text and rendered escaped', async () => {
+  const files = [
+    new File(['0.1\t0.2\t0.3\n0.3\t0.2\t0.1\n'], 'vectors.tsv'),
+    new File([`${LABEL}\nplain\n`], 'metadata.tsv')
+  ]
+  const { entries } = await readEmbeddingFiles(files)
+  assert.equal(entries[0].name, LABEL)
+
+  const legend = withElement(() => renderLegend({
+    method: 'kmeans',
+    k: 1,
+    auto: false,
+    silhouette: null,
+    clusters: [{ members: [LABEL, 'plain'], color: 0x4488ff }]
+  }))
+  assert.ok(!legend.includes('<img'))
+  assert.ok(legend.includes(escapeHtml(LABEL)))
+
+  vectors[LABEL] = { coords: [1, 0, 0], color: 0x4488ff, isCustom: true }
+  try {
+    const panel = withElement(() => updateInfoPanel([LABEL]))
+    assert.ok(!panel.includes('<img'))
+    assert.ok(panel.includes(escapeHtml(LABEL)))
+  } finally {
+    delete vectors[LABEL]
+  }
+})